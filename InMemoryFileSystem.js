@@ -0,0 +1,1869 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, bitwise: true, indent: 4, maxerr: 50 */
+/*global define, $, window, escape, unescape, ArrayBuffer, Uint8Array */
+
+/**
+ * An in-memory implementation of the NodeFileSystem API, for testing code
+ * that uses the file system without touching the disk or running the Node
+ * domain. It has the same exports as NodeFileSystem and reports the same
+ * errors, hashes and watcher changes, plus functions for tests to seed the
+ * tree, make changes as another program would, and inject latency and
+ * failures.
+ * 
+ * Like the Node domain, it reports the changes made through this module to
+ * "changes" event handlers as own changes, and only passes the changes made
+ * through the external* functions to the change callback.
+ * 
+ * Text is stored as UTF-8; other text encodings fail with
+ * UNSUPPORTED_ENCODING. Content hashes are the SHA-1 hashes of the Node
+ * domain. Local history is always kept, whatever the preferences.
+ */
+define(function (require, exports, module) {
+    "use strict";
+    
+    var FileSystemError     = require("filesystem/FileSystemError"),
+        NodeFileSystemStats = require("./NodeFileSystemStats");
+    
+    // How file hashes are computed; see NodeFileSystemDomain
+    var HASH_MODE_MTIME = "mtime",
+        HASH_MODE_LAZY  = "lazy",
+        HASH_MODE_EAGER = "eager";
+    
+    // Binary data is passed as base64-encoded strings with this encoding
+    var BINARY_ENCODING = "base64";
+    
+    // Byte order mark of UTF-8, as stored
+    var UTF8_BOM = "\u00EF\u00BB\u00BF";
+    
+    // Length of the chunks read by readFileChunk unless given
+    var DEFAULT_CHUNK_LENGTH = 1024 * 1024;
+    
+    // Links followed when resolving a path before it is considered a cycle
+    var MAX_LINK_HOPS = 40;
+    
+    var DEFAULT_FILE_MODE = parseInt("0644", 8),
+        DEFAULT_DIR_MODE = parseInt("0755", 8),
+        PERMISSION_BITS = parseInt("7777", 8),
+        OWNER_WRITE = parseInt("0200", 8);
+    
+    // As in NodeFileSystem, the changes made by these operations are not
+    // passed to the change callback
+    var TRACKED_OPERATIONS = {
+        writeFile: true,
+        mkdir: true,
+        rename: true,
+        unlink: true,
+        moveToTrash: true,
+        transaction: true
+    };
+    
+    // The same values as the errors of NodeFileSystem
+    var ERROR_CANCELED = "Canceled",
+        ERROR_OFFLINE = "Offline",
+        ERROR_LOCKED = "Locked",
+        ERROR_NOT_EMPTY = "DirectoryNotEmpty",
+        ERROR_TOO_MANY_OPEN_FILES = "TooManyOpenFiles";
+    
+    var _hashMode = HASH_MODE_MTIME,
+        _maxFileSize = -1,
+        _latency = 0;
+    
+    /**
+     * Entries keyed by path without a trailing slash, with the root as "/".
+     * Contents of files are strings of bytes. Entries are never modified,
+     * only replaced, so that a copy of the map is a snapshot of the tree.
+     * @type {Object.<string, {type: string, bytes: ?string, linkTarget: ?string, mode: number, uid: number, gid: number, ino: number, atime: number, mtime: number, ctime: number, birthtime: number}>}
+     */
+    var _entries,
+        _inoCounter = 1,
+        _lastTime = 0;
+    
+    var _failures = [],             // Injected failures, see injectFailure
+        _history = [],              // Local history entries, oldest first
+        _historyCounter = 0,
+        _locks = {};                // Locks held by this window, keyed by path
+    
+    var _changeCallback,
+        _offlineCallback,
+        _watchedRoots = {},         // Ignore tests of the watched paths, keyed by path
+        _queuedChanges = [],
+        _changeTimeout = null,
+        _pauseCount = 0,
+        _ownOperation = null;       // Name of the operation making changes through this module, if any
+    
+    /**
+     * A time in ms that is later than the previous one, so that every change
+     * gives a new modification time and thus a new hash.
+     * @return {number}
+     */
+    function _now() {
+        _lastTime = Math.max(Date.now(), _lastTime + 1);
+        return _lastTime;
+    }
+    
+    function _normalize(path) {
+        return path.length > 1 && path[path.length - 1] === "/" ? path.substr(0, path.length - 1) : path;
+    }
+    
+    function _parentKey(key) {
+        return key.substr(0, key.lastIndexOf("/")) || "/";
+    }
+    
+    function _join(dirKey, name) {
+        return (dirKey === "/" ? "" : dirKey) + "/" + name;
+    }
+    
+    function _isBelow(key, ancestorKey) {
+        return ancestorKey === "/" ? key !== "/" : key.indexOf(ancestorKey + "/") === 0;
+    }
+    
+    /**
+     * Path of an entry as passed to callers, with a trailing slash for
+     * directories.
+     */
+    function _displayPath(key, entry) {
+        return entry && entry.type === "directory" && key !== "/" ? key + "/" : key;
+    }
+    
+    function _error(error, path) {
+        return {error: error, path: path};
+    }
+    
+    function _createEntry(type, properties) {
+        var time = _now(),
+            entry = {
+                type: type,
+                bytes: null,
+                linkTarget: null,
+                mode: type === "directory" ? DEFAULT_DIR_MODE : DEFAULT_FILE_MODE,
+                uid: 0,
+                gid: 0,
+                ino: _inoCounter++,
+                atime: time,
+                mtime: time,
+                ctime: time,
+                birthtime: time
+            };
+        
+        Object.keys(properties || {}).forEach(function (key) {
+            entry[key] = properties[key];
+        });
+        return entry;
+    }
+    
+    function _updateEntry(entry, properties) {
+        var updated = {};
+        
+        Object.keys(entry).forEach(function (key) {
+            updated[key] = entry[key];
+        });
+        Object.keys(properties).forEach(function (key) {
+            updated[key] = properties[key];
+        });
+        return updated;
+    }
+    
+    /**
+     * Resolve a path to the key of its entry, following symbolic links.
+     * @param {string} path
+     * @param {boolean} followLast Whether to follow a link at the end of path
+     * @return {{key: string, entry: ?Object}} entry is null if the last
+     *      component of path does not exist
+     */
+    function _lookup(path, followLast) {
+        var segments = _normalize(path).split("/"),
+            current = "/",
+            hops = 0,
+            i,
+            key,
+            entry = _entries["/"],
+            target;
+        
+        for (i = 0; i < segments.length; i++) {
+            if (segments[i] === "" || segments[i] === ".") {
+                continue;
+            }
+            if (segments[i] === "..") {
+                current = _parentKey(current);
+                entry = _entries[current];
+                continue;
+            }
+            
+            key = _join(current, segments[i]);
+            entry = _entries[key];
+            
+            if (!entry) {
+                if (segments.slice(i + 1).some(Boolean)) {
+                    throw _error(FileSystemError.NOT_FOUND, path);
+                }
+                return {key: key, entry: null};
+            }
+            
+            if (entry.type === "link" && (followLast || segments.slice(i + 1).some(Boolean))) {
+                if (++hops > MAX_LINK_HOPS) {
+                    throw _error(FileSystemError.NOT_FOUND, path);
+                }
+                target = entry.linkTarget[0] === "/" ? entry.linkTarget : current + "/" + entry.linkTarget;
+                segments = target.split("/").concat(segments.slice(i + 1));
+                current = "/";
+                entry = _entries["/"];
+                i = -1;
+            } else if (entry.type === "file" && segments.slice(i + 1).some(Boolean)) {
+                throw _error(FileSystemError.INVALID_PARAMS, path);
+            } else {
+                current = key;
+            }
+        }
+        
+        return {key: current, entry: entry};
+    }
+    
+    function _requireEntry(path, followLast) {
+        var found = _lookup(path, followLast);
+        
+        if (!found.entry) {
+            throw _error(FileSystemError.NOT_FOUND, path);
+        }
+        return found;
+    }
+    
+    /**
+     * Check that the parent directory of a new entry exists.
+     * @param {string} key
+     */
+    function _requireParentDirectory(key) {
+        var parent = _lookup(_parentKey(key), true);
+        
+        if (!parent.entry) {
+            throw _error(FileSystemError.NOT_FOUND, key);
+        }
+        if (parent.entry.type !== "directory") {
+            throw _error(FileSystemError.INVALID_PARAMS, key);
+        }
+    }
+    
+    function _childKeys(dirKey) {
+        return Object.keys(_entries).filter(function (key) {
+            return key !== "/" && _parentKey(key) === dirKey;
+        }).sort();
+    }
+    
+    function _subtreeKeys(key) {
+        return Object.keys(_entries).filter(function (other) {
+            return other === key || _isBelow(other, key);
+        });
+    }
+    
+    /**
+     * A hash of file contents: the hex SHA-1 digest of the bytes, as computed
+     * by the Node domain, so that hashes of the same contents are the same.
+     * @param {string} bytes
+     * @return {string}
+     */
+    function _contentHash(bytes) {
+        var length = bytes.length,
+            blockCount = ((length + 8) >> 6) + 1,
+            words = [],
+            w = [],
+            h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0],
+            a,
+            b,
+            c,
+            d,
+            e,
+            f,
+            k,
+            t,
+            x,
+            i;
+        
+        // Big-endian words of the bytes, padded with a 1 bit, zeros and the
+        // length in bits
+        for (i = 0; i < blockCount * 16; i++) {
+            words[i] = 0;
+        }
+        for (i = 0; i < length; i++) {
+            words[i >> 2] |= bytes.charCodeAt(i) << (24 - (i % 4) * 8);
+        }
+        words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+        words[blockCount * 16 - 2] = Math.floor(length / 0x20000000);
+        words[blockCount * 16 - 1] = (length * 8) | 0;
+        
+        for (i = 0; i < words.length; i += 16) {
+            a = h[0];
+            b = h[1];
+            c = h[2];
+            d = h[3];
+            e = h[4];
+            for (t = 0; t < 80; t++) {
+                if (t < 16) {
+                    w[t] = words[i + t];
+                } else {
+                    x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+                    w[t] = (x << 1) | (x >>> 31);
+                }
+                if (t < 20) {
+                    f = (b & c) | (~b & d);
+                    k = 0x5A827999;
+                } else if (t < 40) {
+                    f = b ^ c ^ d;
+                    k = 0x6ED9EBA1;
+                } else if (t < 60) {
+                    f = (b & c) | (b & d) | (c & d);
+                    k = 0x8F1BBCDC;
+                } else {
+                    f = b ^ c ^ d;
+                    k = 0xCA62C1D6;
+                }
+                x = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) | 0;
+                e = d;
+                d = c;
+                c = (b << 30) | (b >>> 2);
+                b = a;
+                a = x;
+            }
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0;
+        }
+        
+        return h.map(function (word) {
+            return ("0000000" + (word >>> 0).toString(16)).slice(-8);
+        }).join("");
+    }
+    
+    function _usesContentHash(hashMode) {
+        return hashMode === HASH_MODE_LAZY || hashMode === HASH_MODE_EAGER;
+    }
+    
+    /**
+     * Stats of an entry as NodeFileSystem reports them.
+     * @param {Object} entry
+     * @param {{contentHash: boolean=, link: Object=, realPath: string=, encoding: string=, bom: boolean=}=} extra
+     *      Whether to compute a content hash, and the link through which the
+     *      entry was reached
+     * @return {NodeFileSystemStats}
+     */
+    function _stats(entry, extra) {
+        var isFile = entry.type === "file",
+            link = extra && extra.link;
+        
+        extra = extra || {};
+        return new NodeFileSystemStats({
+            isFile: isFile,
+            mtime: new Date(entry.mtime),
+            size: isFile ? entry.bytes.length : 0,
+            hash: isFile && extra.contentHash ? _contentHash(entry.bytes) : entry.mtime,
+            realPath: extra.realPath,
+            mode: entry.mode,
+            uid: entry.uid,
+            gid: entry.gid,
+            dev: 1,
+            ino: entry.ino,
+            atime: entry.atime,
+            ctime: entry.ctime,
+            birthtime: entry.birthtime,
+            isWritable: (entry.mode & OWNER_WRITE) !== 0,
+            isSymbolicLink: !!link,
+            linkTarget: link ? link.linkTarget : null,
+            isDangling: !!(link && link === entry),
+            encoding: extra.encoding,
+            bom: extra.bom
+        });
+    }
+    
+    /**
+     * Stats of the entry at path, following a link at its end like the Node
+     * domain: the stats of a dangling link are those of the link itself.
+     * @param {string} path
+     * @param {string=} hashMode
+     * @return {NodeFileSystemStats}
+     */
+    function _statPath(path, hashMode) {
+        var found = _requireEntry(path, false),
+            target;
+        
+        hashMode = hashMode || _hashMode;
+        if (found.entry.type !== "link") {
+            return _stats(found.entry, {contentHash: _usesContentHash(hashMode)});
+        }
+        
+        try {
+            target = _lookup(path, true);
+        } catch (e) {
+            target = {entry: null};
+        }
+        if (!target.entry) {
+            return _stats(found.entry, {link: found.entry});
+        }
+        return _stats(target.entry, {
+            link: found.entry,
+            realPath: _displayPath(target.key, target.entry),
+            contentHash: _usesContentHash(hashMode)
+        });
+    }
+    
+    /**
+     * Create a function that tests whether a path matches any of the given
+     * globs, with the same rules as node/GlobMatcher: a glob without a "/"
+     * matches an entry name anywhere, others the path relative to the root.
+     * @param {?Array.<string>} globs
+     * @return {function(string, string): boolean}
+     */
+    function _compileGlobs(globs) {
+        var nameExps = [],
+            pathExps = [];
+        
+        function globToRegExp(glob) {
+            var source = glob.replace(/[\\\^\$\+\.\(\)\|\{\}\[\]]/g, "\\$&")
+                .replace(/\*\*\/|\*\*|\*|\?/g, function (token) {
+                    return {"**/": "(?:.*/)?", "**": ".*", "*": "[^/]*", "?": "[^/]"}[token];
+                });
+            
+            return new RegExp("^" + source + "$");
+        }
+        
+        (globs || []).forEach(function (glob) {
+            glob = glob.replace(/\/+$/, "");
+            if (glob.indexOf("/") === -1) {
+                nameExps.push(globToRegExp(glob));
+            } else {
+                pathExps.push(globToRegExp(glob.replace(/^\//, "")));
+            }
+        });
+        
+        return function (relativePath, name) {
+            return nameExps.some(function (exp) {
+                return exp.test(name);
+            }) || pathExps.some(function (exp) {
+                return exp.test(relativePath);
+            });
+        };
+    }
+    
+    function _parentPath(path) {
+        var end = path[path.length - 1] === "/" ? path.length - 2 : path.length - 1;
+        
+        return path.substr(0, path.lastIndexOf("/", end) + 1);
+    }
+    
+    /**
+     * Report a batch of changes like NodeFileSystem: all of them to "changes"
+     * event handlers, and to the change callback all but those made through
+     * this module by an operation that FileSystem tracks by itself.
+     * @param {Array.<{type: string, path: string, oldPath: ?string, stats: ?NodeFileSystemStats, isOwnChange: boolean, operation: ?string}>} changes
+     */
+    function _reportChanges(changes) {
+        var parents = {};
+        
+        $(exports).triggerHandler("changes", [changes]);
+        
+        if (!_changeCallback) {
+            return;
+        }
+        
+        changes.forEach(function (change) {
+            if (change.isOwnChange && TRACKED_OPERATIONS.hasOwnProperty(change.operation)) {
+                return;
+            }
+            
+            if (change.type === "modified") {
+                _changeCallback(change.path, change.stats);
+            } else {
+                parents[_parentPath(change.path)] = true;
+                if (change.oldPath) {
+                    parents[_parentPath(change.oldPath)] = true;
+                }
+            }
+        });
+        
+        Object.keys(parents).forEach(function (parent) {
+            _changeCallback(parent);
+        });
+    }
+    
+    function _flushChanges() {
+        var changes = _queuedChanges;
+        
+        _changeTimeout = null;
+        _queuedChanges = [];
+        if (changes.length > 0) {
+            _reportChanges(changes);
+        }
+        return changes.length;
+    }
+    
+    function _isWatched(path) {
+        return Object.keys(_watchedRoots).some(function (root) {
+            var relativePath;
+            
+            if (path !== root && (root[root.length - 1] !== "/" || path.indexOf(root) !== 0)) {
+                return false;
+            }
+            
+            relativePath = path.substr(root.length).replace(/\/$/, "");
+            return !relativePath.split("/").some(function (name, index, names) {
+                return name && _watchedRoots[root](names.slice(0, index + 1).join("/"), name);
+            });
+        });
+    }
+    
+    /**
+     * Queue a watcher change of an entry below a watched root. Changes are
+     * reported after the simulated latency, or once watchers are resumed.
+     * @param {string} type "created", "modified", "deleted" or "renamed"
+     * @param {string} key
+     * @param {?Object} entry The entry, or the deleted entry
+     * @param {string=} oldKey Previous key of a renamed entry
+     */
+    function _queueChange(type, key, entry, oldKey) {
+        var path = _displayPath(key, entry),
+            oldPath = oldKey ? _displayPath(oldKey, entry) : null;
+        
+        if (!_isWatched(path) && !(oldPath && _isWatched(oldPath))) {
+            return;
+        }
+        
+        _queuedChanges.push({
+            type: type,
+            path: path,
+            oldPath: oldPath,
+            stats: type === "deleted" ? null : _stats(entry),
+            isOwnChange: _ownOperation !== null,
+            operation: _ownOperation
+        });
+        
+        if (_pauseCount === 0 && _changeTimeout === null) {
+            _changeTimeout = window.setTimeout(_flushChanges, _latency);
+        }
+    }
+    
+    /**
+     * Add or replace an entry, reporting the change to watchers.
+     * @param {string} key
+     * @param {Object} entry
+     * @param {string=} type Type of change; "modified" or "created" by default
+     */
+    function _put(key, entry, type) {
+        var existed = !!_entries[key];
+        
+        _entries[key] = entry;
+        _queueChange(type || (existed ? "modified" : "created"), key, entry);
+    }
+    
+    function _remove(key) {
+        var entry = _entries[key];
+        
+        _subtreeKeys(key).forEach(function (other) {
+            delete _entries[other];
+        });
+        _queueChange("deleted", key, entry);
+    }
+    
+    /**
+     * Keep the contents of a file in the local history before it is changed
+     * through this module. Unlike with the Node domain, where it is enabled by
+     * the nodeFileSystem.localHistory preference, the history of every file
+     * is kept, without limits.
+     */
+    function _historySnapshot(key, entry) {
+        var latest = null;
+        
+        if (_ownOperation === null) {
+            return;
+        }
+        
+        _history.forEach(function (historyEntry) {
+            if (historyEntry.path === key) {
+                latest = historyEntry;
+            }
+        });
+        if (!latest || latest.bytes !== entry.bytes) {
+            _history.push({id: "mem-" + (++_historyCounter), path: key, time: _now(), bytes: entry.bytes});
+        }
+    }
+    
+    function _move(oldKey, newKey) {
+        var entry = _entries[oldKey];
+        
+        _subtreeKeys(oldKey).forEach(function (key) {
+            var movedEntry = _entries[key];
+            
+            delete _entries[key];
+            _entries[newKey + key.substr(oldKey.length)] = movedEntry;
+        });
+        _history.forEach(function (historyEntry) {
+            if (historyEntry.path === oldKey || _isBelow(historyEntry.path, oldKey)) {
+                historyEntry.path = newKey + historyEntry.path.substr(oldKey.length);
+            }
+        });
+        _queueChange("renamed", newKey, entry, oldKey);
+    }
+    
+    function _bufferToBytes(data) {
+        var bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+            chunks = [],
+            CHUNK_SIZE = 0x8000,
+            i;
+        
+        for (i = 0; i < bytes.length; i += CHUNK_SIZE) {
+            chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE)));
+        }
+        return chunks.join("");
+    }
+    
+    function _bytesToBuffer(bytes) {
+        var buffer = new Uint8Array(bytes.length),
+            i;
+        
+        for (i = 0; i < bytes.length; i++) {
+            buffer[i] = bytes.charCodeAt(i);
+        }
+        return buffer.buffer;
+    }
+    
+    function _isUTF8(encoding) {
+        return !encoding || /^(auto|utf-?8)$/i.test(encoding);
+    }
+    
+    /**
+     * Decode the bytes of a file as text, like the Node domain: files with
+     * null bytes are binary and fail with UNSUPPORTED_ENCODING.
+     * @return {{text: string, bom: boolean}}
+     */
+    function _decodeText(key, bytes, encoding) {
+        var bom = bytes.substr(0, UTF8_BOM.length) === UTF8_BOM;
+        
+        if (!_isUTF8(encoding) || bytes.indexOf("\u0000") !== -1) {
+            throw _error(FileSystemError.UNSUPPORTED_ENCODING, key);
+        }
+        try {
+            return {text: decodeURIComponent(escape(bom ? bytes.substr(UTF8_BOM.length) : bytes)), bom: bom};
+        } catch (e) {
+            throw _error(FileSystemError.UNSUPPORTED_ENCODING, key);
+        }
+    }
+    
+    /**
+     * Data as passed to callers: an ArrayBuffer for the null encoding, a
+     * base64 string for "base64" and text otherwise.
+     */
+    function _decodeData(key, bytes, encoding) {
+        if (encoding === null) {
+            return {data: _bytesToBuffer(bytes)};
+        } else if (encoding === BINARY_ENCODING) {
+            return {data: window.btoa(bytes)};
+        }
+        
+        var decoded = _decodeText(key, bytes, encoding);
+        return {data: decoded.text, encoding: "utf8", bom: decoded.bom};
+    }
+    
+    function _checkHash(found, expectedHash) {
+        var hash;
+        
+        if (expectedHash === undefined || expectedHash === null || !found.entry) {
+            return;
+        }
+        
+        hash = typeof expectedHash === "string" && found.entry.type === "file" ?
+                _contentHash(found.entry.bytes) : found.entry.mtime;
+        if (hash !== expectedHash) {
+            throw _error(FileSystemError.CONTENTS_MODIFIED, found.key);
+        }
+    }
+    
+    /**
+     * Write a file, replacing the file a link points to rather than the link.
+     * @param {string} path
+     * @param {(string|ArrayBuffer)} data
+     * @param {{encoding: ?string, expectedHash: ?(number|string), bom: ?boolean, hashMode: ?string}} options
+     * @return {{stats: NodeFileSystemStats, created: boolean}}
+     */
+    function _writeFile(path, data, options) {
+        var found = _lookup(path, true),
+            entry = found.entry,
+            bytes,
+            bom = false,
+            now = _now();
+        
+        _checkHash(found, options.expectedHash);
+        if (entry && entry.type !== "file") {
+            throw _error(FileSystemError.INVALID_PARAMS, path);
+        }
+        if (!entry) {
+            _requireParentDirectory(found.key);
+        }
+        
+        if (typeof data !== "string") {
+            bytes = _bufferToBytes(data);
+        } else if (options.encoding === BINARY_ENCODING) {
+            bytes = window.atob(data);
+        } else {
+            if (!_isUTF8(options.encoding)) {
+                throw _error(FileSystemError.UNSUPPORTED_ENCODING, path);
+            }
+            bom = typeof options.bom === "boolean" ? options.bom :
+                    !!(entry && entry.bytes.substr(0, UTF8_BOM.length) === UTF8_BOM);
+            bytes = (bom ? UTF8_BOM : "") + unescape(encodeURIComponent(data));
+        }
+        
+        if (entry) {
+            _historySnapshot(found.key, entry);
+            entry = _updateEntry(entry, {bytes: bytes, mtime: now, ctime: now});
+        } else {
+            entry = _createEntry("file", {bytes: bytes});
+        }
+        _put(found.key, entry);
+        
+        return {
+            stats: _stats(entry, {
+                contentHash: _usesContentHash(options.hashMode || _hashMode),
+                encoding: typeof data === "string" && options.encoding !== BINARY_ENCODING ? "utf8" : null,
+                bom: bom
+            }),
+            created: !found.entry
+        };
+    }
+    
+    function _mkdir(path, mode) {
+        var found = _lookup(path, false),
+            entry;
+        
+        if (found.entry) {
+            throw _error(FileSystemError.ALREADY_EXISTS, path);
+        }
+        _requireParentDirectory(found.key);
+        
+        entry = _createEntry("directory", {mode: typeof mode === "number" ? mode & PERMISSION_BITS : DEFAULT_DIR_MODE});
+        _put(found.key, entry);
+        return _stats(entry);
+    }
+    
+    function _rename(oldPath, newPath) {
+        var src = _requireEntry(oldPath, false),
+            dest = _lookup(newPath, false);
+        
+        if (dest.key === src.key) {
+            return;
+        }
+        if (_isBelow(dest.key, src.key)) {
+            throw _error(FileSystemError.INVALID_PARAMS, newPath);
+        }
+        _requireParentDirectory(dest.key);
+        
+        if (dest.entry) {
+            if (src.entry.type === "directory") {
+                if (dest.entry.type !== "directory") {
+                    throw _error(FileSystemError.INVALID_PARAMS, newPath);
+                }
+                if (_childKeys(dest.key).length > 0) {
+                    throw _error(ERROR_NOT_EMPTY, newPath);
+                }
+            } else if (dest.entry.type === "directory") {
+                throw _error(FileSystemError.INVALID_PARAMS, newPath);
+            }
+            delete _entries[dest.key];
+        }
+        _move(src.key, dest.key);
+    }
+    
+    /**
+     * Copy an entry like the Node domain: links are copied as links,
+     * directories are merged and conflicting files are replaced or, with
+     * "skip", kept. With "fail" any existing entry fails the copy, and a
+     * directory is never replaced by a file or link. Entries below srcKey that
+     * cannot be copied are added to failures.
+     */
+    function _copyEntry(srcKey, destKey, options, failures) {
+        var entry = _entries[srcKey],
+            existing = _entries[destKey],
+            mergeDirs = entry.type === "directory" && existing && existing.type === "directory",
+            properties;
+        
+        if (existing && options.conflict === "fail") {
+            throw _error(FileSystemError.ALREADY_EXISTS, destKey);
+        }
+        if (existing && !mergeDirs) {
+            if (options.conflict === "skip") {
+                return;
+            }
+            if (existing.type === "directory") {
+                throw _error(FileSystemError.INVALID_PARAMS, destKey);
+            }
+            _remove(destKey);
+        }
+        
+        if (!mergeDirs) {
+            properties = {bytes: entry.bytes, linkTarget: entry.linkTarget};
+            if (options.preserve || entry.type === "directory") {
+                properties.mode = entry.mode;
+            }
+            if (options.preserve) {
+                properties.atime = entry.atime;
+                properties.mtime = entry.mtime;
+            }
+            _put(destKey, _createEntry(entry.type, properties), "created");
+        }
+        
+        if (entry.type === "directory") {
+            _childKeys(srcKey).forEach(function (childKey) {
+                try {
+                    _copyEntry(childKey, _join(destKey, childKey.substr(childKey.lastIndexOf("/") + 1)), options, failures);
+                } catch (err) {
+                    if (!err || !err.error) {
+                        throw err;
+                    }
+                    failures.push({path: childKey, error: err.error});
+                }
+            });
+        }
+    }
+    
+    function _copy(srcPath, destPath, options, failures) {
+        var src = _requireEntry(srcPath, false),
+            dest = _lookup(destPath, false);
+        
+        if (dest.key === src.key || _isBelow(dest.key, src.key)) {
+            throw _error(FileSystemError.INVALID_PARAMS, srcPath);
+        }
+        _requireParentDirectory(dest.key);
+        
+        _copyEntry(src.key, dest.key, {conflict: options.conflict || "fail", preserve: options.preserve}, failures);
+        return _statPath(dest.key);
+    }
+    
+    function _unlink(path) {
+        var found = _lookup(path, false);
+        
+        // Like fs-extra's remove, deleting a missing entry succeeds
+        if (found.entry) {
+            _subtreeKeys(found.key).forEach(function (key) {
+                if (_entries[key].type === "file") {
+                    _historySnapshot(key, _entries[key]);
+                }
+            });
+            _remove(found.key);
+        }
+    }
+    
+    function _setProperties(path, properties) {
+        var found = _requireEntry(path, true),
+            entry;
+        
+        properties.ctime = _now();
+        entry = _updateEntry(found.entry, properties);
+        _put(found.key, entry, "modified");
+        return _statPath(found.key);
+    }
+    
+    function _symlink(target, path) {
+        var found = _lookup(path, false);
+        
+        if (found.entry) {
+            throw _error(FileSystemError.ALREADY_EXISTS, path);
+        }
+        _requireParentDirectory(found.key);
+        
+        _put(found.key, _createEntry("link", {linkTarget: target}));
+        return _statPath(found.key);
+    }
+    
+    /**
+     * Remove and return the first injected failure matching a request.
+     * @param {string} operation
+     * @param {?string} path
+     * @return {?string} FileSystemError
+     */
+    function _takeFailure(operation, path) {
+        var index,
+            failure;
+        
+        for (index = 0; index < _failures.length; index++) {
+            failure = _failures[index];
+            if ((failure.operation === "*" || failure.operation === operation) &&
+                    (failure.path === null || (path !== null && (path === failure.path ||
+                        (failure.path[failure.path.length - 1] === "/" && path.indexOf(failure.path) === 0))))) {
+                if (--failure.times === 0) {
+                    _failures.splice(index, 1);
+                }
+                return failure.error;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Describe an error like NodeFileSystem, which has the Node error code as
+     * well, and send the description to "error" event handlers.
+     */
+    function _errorDetail(error, operation, path) {
+        var detail = {
+            error: error,
+            code: null,
+            syscall: null,
+            path: path || null,
+            message: operation + " failed: " + error,
+            operation: operation
+        };
+        
+        $(exports).triggerHandler("error", [detail]);
+        return detail;
+    }
+    
+    function _reportError(error, operation, path) {
+        return _errorDetail(error, operation, path).error;
+    }
+    
+    /**
+     * Run an operation once the simulated latency has passed, like a request
+     * to the Node domain. fn throws the errors created by _error, and returns
+     * the arguments passed to the callback after the error; a thrown error
+     * may carry such arguments as well, or is followed by its detail.
+     * @param {string} operation
+     * @param {?string} path Path the operation concerns, for injected failures
+     * @param {function(): Array} fn
+     * @param {function(?string, ...*)} callback
+     * @return {{cancel: function(): boolean}} Like the requests of
+     *      NodeFileSystem; a canceled request calls back with ERROR_CANCELED
+     */
+    function _request(operation, path, fn, callback) {
+        var done = false,
+            timeout;
+        
+        callback = callback || function () {};
+        timeout = window.setTimeout(function () {
+            var error = _takeFailure(operation, path),
+                detail,
+                result;
+            
+            done = true;
+            if (error) {
+                detail = _errorDetail(error, operation, path);
+                callback(detail.error, detail);
+                return;
+            }
+            
+            _ownOperation = operation;
+            try {
+                result = fn() || [];
+            } catch (err) {
+                if (!err || !err.error) {
+                    throw err;
+                }
+                detail = _errorDetail(err.error, operation, err.path);
+                callback.apply(null, [detail.error].concat(err.args || [detail]));
+                return;
+            } finally {
+                _ownOperation = null;
+            }
+            callback.apply(null, [null].concat(result));
+        }, _latency);
+        
+        return {
+            cancel: function () {
+                if (done) {
+                    return false;
+                }
+                done = true;
+                window.clearTimeout(timeout);
+                callback(ERROR_CANCELED);
+                return true;
+            }
+        };
+    }
+    
+    function showOpenDialog(allowMultipleSelection, chooseDirectories, title, initialPath, fileTypes, callback) {
+        callback(FileSystemError.NOT_SUPPORTED);
+    }
+    
+    function showSaveDialog(title, initialPath, proposedNewFilename, callback) {
+        callback(FileSystemError.NOT_SUPPORTED);
+    }
+    
+    function setHashMode(mode) {
+        if (mode !== HASH_MODE_MTIME && mode !== HASH_MODE_LAZY && mode !== HASH_MODE_EAGER) {
+            console.error("Unknown hash mode: ", mode);
+            return;
+        }
+        _hashMode = mode;
+    }
+    
+    function setMaxFileSize(size) {
+        _maxFileSize = size;
+    }
+    
+    function stat(path, callback) {
+        return _request("stat", path, function () {
+            return [_statPath(path)];
+        }, callback);
+    }
+    
+    function exists(path, callback) {
+        return _request("exists", path, function () {
+            try {
+                return [!!_lookup(path, true).entry];
+            } catch (e) {
+                return [false];
+            }
+        }, callback);
+    }
+    
+    function readdir(path, callback) {
+        return _request("readdir", path, function () {
+            var found = _requireEntry(path, true),
+                names = [],
+                stats;
+            
+            if (found.entry.type !== "directory") {
+                throw _error(FileSystemError.INVALID_PARAMS, path);
+            }
+            stats = _childKeys(found.key).map(function (key) {
+                names.push(key.substr(key.lastIndexOf("/") + 1));
+                return _statPath(key);
+            });
+            return [names, stats];
+        }, callback);
+    }
+    
+    function walk(path, options, batchCallback, callback) {
+        return _request("walk", path, function () {
+            var root = _requireEntry(path, true),
+                isIgnored = _compileGlobs(options.ignore),
+                maxDepth = typeof options.maxDepth === "number" && options.maxDepth >= 0 ? options.maxDepth : Infinity,
+                batchSize = options.batchSize > 0 ? options.batchSize : 500,
+                rootPath = _displayPath(_normalize(path), root.entry),
+                paths = [],
+                stats = [],
+                count = 0;
+            
+            function flush() {
+                if (paths.length > 0) {
+                    batchCallback(paths, stats);
+                    paths = [];
+                    stats = [];
+                }
+            }
+            
+            function walkDir(dirPath, dirKey, depth, ancestors) {
+                _childKeys(dirKey).forEach(function (key) {
+                    var name = key.substr(key.lastIndexOf("/") + 1),
+                        entryStats = _statPath(key),
+                        entryPath = dirPath + name + (entryStats.isFile ? "" : "/"),
+                        target;
+                    
+                    if (isIgnored(entryPath.substr(rootPath.length).replace(/\/$/, ""), name)) {
+                        return;
+                    }
+                    
+                    paths.push(entryPath);
+                    stats.push(entryStats);
+                    count++;
+                    if (paths.length >= batchSize) {
+                        flush();
+                    }
+                    
+                    if (!entryStats.isFile && depth < maxDepth && (!entryStats.isSymbolicLink || options.followSymlinks)) {
+                        target = _lookup(key, true).key;
+                        if (!ancestors[target]) {
+                            ancestors[target] = true;
+                            walkDir(entryPath, target, depth + 1, ancestors);
+                            delete ancestors[target];
+                        }
+                    }
+                });
+            }
+            
+            if (root.entry.type !== "directory") {
+                throw _error(FileSystemError.INVALID_PARAMS, path);
+            }
+            walkDir(rootPath, root.key, 1, {});
+            flush();
+            return [count];
+        }, callback);
+    }
+    
+    /**
+     * The directory the exclude globs of a file given explicitly to search
+     * are relative to, as in the Node domain: the root given in the options
+     * if it contains the file, else a directory being searched that contains
+     * it, else the file's parent.
+     * @param {string} path
+     * @param {Array.<string>} paths
+     * @param {{root: ?string}} options
+     * @return {string} Directory with a trailing slash
+     */
+    function _searchRootOf(path, paths, options) {
+        var root = options.root && options.root.replace(/\/?$/, "/"),
+            dirs;
+        
+        if (root && path.indexOf(root) === 0) {
+            return root;
+        }
+        dirs = paths.filter(function (dir) {
+            return dir[dir.length - 1] === "/" && path.indexOf(dir) === 0;
+        });
+        return dirs.length > 0 ? dirs[0] : _parentPath(path);
+    }
+    
+    function search(paths, query, options, matchCallback, callback) {
+        var canceled = false,
+            request;
+        
+        request = _request("search", null, function () {
+            var source = query.isRegexp ? query.pattern : query.pattern.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&"),
+                isExcluded = _compileGlobs(options.exclude),
+                maxFileSize = options.hasOwnProperty("maxFileSize") ? options.maxFileSize : _maxFileSize,
+                result = {filesSearched: 0, matchCount: 0, canceled: false},
+                files = [],
+                regexp;
+            
+            // Whether the globs match the path or that of a directory above it
+            function isExcludedBelow(relativePath) {
+                return relativePath.split("/").some(function (name, index, names) {
+                    return isExcluded(names.slice(0, index + 1).join("/"), name);
+                });
+            }
+            
+            if (query.isWholeWord) {
+                source = "\\b(?:" + source + ")\\b";
+            }
+            try {
+                regexp = new RegExp(source, query.isCaseSensitive ? "g" : "gi");
+            } catch (e) {
+                throw _error(FileSystemError.INVALID_PARAMS, null);
+            }
+            
+            paths.forEach(function (path) {
+                var found = _requireEntry(path, true);
+                
+                if (path[path.length - 1] !== "/") {
+                    if (!isExcludedBelow(path.substr(_searchRootOf(path, paths, options).length))) {
+                        files.push(found.key);
+                    }
+                    return;
+                }
+                _subtreeKeys(found.key).sort().forEach(function (key) {
+                    if (_entries[key].type === "file" && !isExcludedBelow(key.substr(found.key.length + 1))) {
+                        files.push(key);
+                    }
+                });
+            });
+            
+            files.forEach(function (key) {
+                var entry = _entries[key],
+                    matches = [],
+                    text;
+                
+                if (canceled || (maxFileSize >= 0 && entry.bytes.length > maxFileSize)) {
+                    return;
+                }
+                try {
+                    text = _decodeText(key, entry.bytes, null).text;
+                } catch (e) {
+                    return;
+                }
+                
+                result.filesSearched++;
+                text.split(/\r\n|\r|\n/).forEach(function (lineText, line) {
+                    var match;
+                    
+                    regexp.lastIndex = 0;
+                    while ((match = regexp.exec(lineText)) !== null) {
+                        matches.push({line: line, column: match.index, length: match[0].length, lineText: lineText});
+                        if (match[0].length === 0) {
+                            regexp.lastIndex++;
+                        }
+                    }
+                });
+                if (matches.length > 0) {
+                    result.matchCount += matches.length;
+                    matchCallback(key, matches);
+                }
+            });
+            
+            result.canceled = canceled;
+            return [result];
+        }, callback);
+        
+        return {
+            cancel: function () {
+                canceled = true;
+                request.cancel();
+                return true;
+            }
+        };
+    }
+    
+    function chmod(path, mode, callback) {
+        return _request("chmod", path, function () {
+            return [_setProperties(path, {mode: mode & PERMISSION_BITS})];
+        }, callback);
+    }
+    
+    function chown(path, uid, gid, callback) {
+        return _request("chown", path, function () {
+            return [_setProperties(path, {uid: uid, gid: gid})];
+        }, callback);
+    }
+    
+    function utimes(path, atime, mtime, callback) {
+        return _request("utimes", path, function () {
+            return [_setProperties(path, {atime: atime.getTime(), mtime: mtime.getTime()})];
+        }, callback);
+    }
+    
+    function readlink(path, callback) {
+        return _request("readlink", path, function () {
+            var found = _requireEntry(path, false);
+            
+            if (found.entry.type !== "link") {
+                throw _error(FileSystemError.INVALID_PARAMS, path);
+            }
+            return [found.entry.linkTarget];
+        }, callback);
+    }
+    
+    function symlink(target, path, type, callback) {
+        if (typeof type === "function") {
+            callback = type;
+        }
+        
+        return _request("symlink", path, function () {
+            return [_symlink(target, path)];
+        }, callback);
+    }
+    
+    function mkdir(path, mode, callback) {
+        if (typeof mode === "function") {
+            callback = mode;
+            mode = DEFAULT_DIR_MODE;
+        }
+        
+        return _request("mkdir", path, function () {
+            return [_mkdir(path, mode)];
+        }, callback);
+    }
+    
+    function copy(src, dest, options, callback) {
+        return _request("copy", src, function () {
+            var failures = [],
+                stats = _copy(src, dest, options || {}, failures);
+            
+            return [stats, failures];
+        }, callback);
+    }
+    
+    function rename(oldPath, newPath, callback) {
+        return _request("rename", oldPath, function () {
+            _rename(oldPath, newPath);
+            return [];
+        }, callback);
+    }
+    
+    function _readFile(path, options) {
+        var found = _requireEntry(path, true),
+            maxSize = options.hasOwnProperty("maxFileSize") ? options.maxFileSize : _maxFileSize,
+            decoded;
+        
+        if (found.entry.type !== "file") {
+            throw _error(FileSystemError.INVALID_PARAMS, path);
+        }
+        if (maxSize >= 0 && found.entry.bytes.length > maxSize) {
+            throw _error(FileSystemError.EXCEEDS_MAX_FILE_SIZE, path);
+        }
+        
+        decoded = _decodeData(found.key, found.entry.bytes, options.encoding);
+        return [decoded.data, _stats(found.entry, {
+            contentHash: _usesContentHash(options.hashMode || _hashMode),
+            encoding: decoded.encoding,
+            bom: decoded.bom
+        })];
+    }
+    
+    function readFile(path, options, callback) {
+        return _request("readFile", path, function () {
+            return _readFile(path, options);
+        }, callback);
+    }
+    
+    function readFileChunk(path, options, callback) {
+        return _request("readFileChunk", path, function () {
+            var found = _requireEntry(path, true),
+                bytes = found.entry.bytes,
+                offset = options.offset || 0,
+                end = Math.min(bytes.length, offset + (options.length || DEFAULT_CHUNK_LENGTH)),
+                isText = options.encoding !== null && options.encoding !== BINARY_ENCODING,
+                decoded;
+            
+            if (found.entry.type !== "file") {
+                throw _error(FileSystemError.INVALID_PARAMS, path);
+            }
+            
+            // Text chunks end before a partial character
+            if (isText && end < bytes.length) {
+                while (end > offset && (bytes.charCodeAt(end) & 0xC0) === 0x80) {
+                    end--;
+                }
+            }
+            
+            decoded = _decodeData(found.key, bytes.substring(offset, end), options.encoding);
+            return [decoded.data, {
+                offset: offset,
+                bytesRead: end - offset,
+                size: bytes.length,
+                eof: end >= bytes.length,
+                encoding: decoded.encoding || null
+            }];
+        }, callback);
+    }
+    
+    function readAllFiles(paths, options, callback) {
+        return _request("readAllFiles", null, function () {
+            return [paths.map(function (path) {
+                var error = _takeFailure("readFile", path);
+                
+                if (error) {
+                    return _reportError(error, "readAllFiles", path);
+                }
+                try {
+                    return _readFile(path, options);
+                } catch (err) {
+                    if (!err || !err.error) {
+                        throw err;
+                    }
+                    return _reportError(err.error, "readAllFiles", path);
+                }
+            })];
+        }, callback);
+    }
+    
+    function writeFile(path, data, options, callback) {
+        return _request("writeFile", path, function () {
+            var result = _writeFile(path, data, {
+                encoding: options.encoding,
+                expectedHash: options.hash,
+                bom: options.bom,
+                hashMode: options.hashMode
+            });
+            
+            return [result.stats, result.created];
+        }, callback);
+    }
+    
+    function unlink(path, callback) {
+        return _request("unlink", path, function () {
+            _unlink(path);
+            return [];
+        }, callback);
+    }
+    
+    function moveToTrash(path, callback) {
+        return _request("moveToTrash", path, function () {
+            _requireEntry(path, false);
+            _unlink(path);
+            return [];
+        }, callback);
+    }
+    
+    /**
+     * Report the entries changed by a transaction to the change callback,
+     * like NodeFileSystem: written files with their stats, and the parent
+     * directories of all changed entries.
+     * @param {{committed: boolean, results: Array.<Object>}} report
+     */
+    function _reportTransaction(report) {
+        var parents = {};
+        
+        if (!_changeCallback) {
+            return;
+        }
+        
+        report.results.forEach(function (result) {
+            var isChanged = report.committed ? result.status === "committed" : result.status === "rollbackFailed";
+            
+            if (!isChanged) {
+                return;
+            }
+            if (report.committed && result.type === "write" && result.stats) {
+                _changeCallback(result.path, result.stats);
+            }
+            parents[_parentPath(result.path)] = true;
+            if (result.newPath) {
+                parents[_parentPath(result.newPath)] = true;
+            }
+        });
+        
+        Object.keys(parents).forEach(function (parent) {
+            _changeCallback(parent);
+        });
+    }
+    
+    /**
+     * Apply the operations of a transaction one after another. If one fails,
+     * the tree and the queued watcher changes are restored to their state
+     * before the transaction.
+     */
+    function transaction(operations, callback) {
+        return _request("transaction", null, function () {
+            var savedEntries = {},
+                savedChangeCount = _queuedChanges.length,
+                results = operations.map(function (op) {
+                    return {type: op.type, path: op.path, newPath: op.newPath || null, status: "notRun", stats: null, error: null};
+                }),
+                failed = null;
+            
+            Object.keys(_entries).forEach(function (key) {
+                savedEntries[key] = _entries[key];
+            });
+            
+            operations.some(function (op, index) {
+                var failures;
+                
+                try {
+                    if (op.type === "rename" || op.type === "copy" || op.type === "delete") {
+                        _checkHash(_requireEntry(op.path, false), op.expectedHash);
+                    }
+                    switch (op.type) {
+                    case "write":
+                        results[index].stats = _writeFile(op.path, op.data, {
+                            encoding: op.encoding,
+                            expectedHash: op.expectedHash,
+                            bom: op.options && op.options.bom
+                        }).stats;
+                        break;
+                    case "mkdir":
+                        results[index].stats = _mkdir(op.path, op.mode);
+                        break;
+                    case "rename":
+                        _rename(op.path, op.newPath);
+                        results[index].stats = _statPath(op.newPath);
+                        break;
+                    case "copy":
+                        failures = [];
+                        results[index].stats = _copy(op.path, op.newPath, {conflict: "fail", preserve: op.preserve}, failures);
+                        if (failures.length > 0) {
+                            throw _error(failures[0].error, failures[0].path);
+                        }
+                        break;
+                    case "delete":
+                        _unlink(op.path);
+                        break;
+                    default:
+                        throw _error(FileSystemError.INVALID_PARAMS, op.path);
+                    }
+                    results[index].status = "committed";
+                    return false;
+                } catch (err) {
+                    if (!err || !err.error) {
+                        throw err;
+                    }
+                    results[index].status = "failed";
+                    results[index].errorDetail = _errorDetail(err.error, "transaction", err.path);
+                    results[index].error = err.error;
+                    failed = results[index];
+                    return true;
+                }
+            });
+            
+            if (failed) {
+                _entries = savedEntries;
+                _queuedChanges.length = savedChangeCount;
+                results.forEach(function (result) {
+                    if (result.status === "committed") {
+                        result.status = "rolledBack";
+                        result.stats = null;
+                    }
+                });
+                throw {error: failed.error, path: failed.path, args: [{committed: false, results: results}]};
+            }
+            _reportTransaction({committed: true, results: results});
+            return [{committed: true, results: results}];
+        }, callback);
+    }
+    
+    function listHistory(path, callback) {
+        return _request("listHistory", path, function () {
+            var isDirectory = path[path.length - 1] === "/",
+                key = _normalize(path);
+            
+            return [_history.filter(function (entry) {
+                return isDirectory ? _isBelow(entry.path, key) : entry.path === key;
+            }).map(function (entry) {
+                return {id: entry.id, path: entry.path, time: entry.time, size: entry.bytes.length};
+            }).reverse()];
+        }, callback);
+    }
+    
+    function _findHistoryEntry(id) {
+        var found = null;
+        
+        _history.forEach(function (entry) {
+            if (entry.id === id) {
+                found = entry;
+            }
+        });
+        if (!found) {
+            throw _error(FileSystemError.NOT_FOUND, null);
+        }
+        return found;
+    }
+    
+    function readHistoryEntry(id, options, callback) {
+        return _request("readHistoryEntry", null, function () {
+            var entry = _findHistoryEntry(id),
+                decoded = _decodeData(entry.path, entry.bytes, options.encoding);
+            
+            return [decoded.data, {id: entry.id, path: entry.path, time: entry.time, size: entry.bytes.length,
+                encoding: decoded.encoding || null, bom: !!decoded.bom}];
+        }, callback);
+    }
+    
+    function restoreHistoryEntry(id, callback) {
+        return _request("restoreHistoryEntry", null, function () {
+            var historyEntry = _findHistoryEntry(id),
+                result;
+            
+            result = _writeFile(historyEntry.path, _bytesToBuffer(historyEntry.bytes), {});
+            return [result.stats];
+        }, callback);
+    }
+    
+    function lock(path, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        
+        return _request("lock", path, function () {
+            var time = _now();
+            
+            _locks[_normalize(path)] = {
+                path: path,
+                pid: 0,
+                host: "localhost",
+                owner: null,
+                time: time,
+                expires: options.ttl > 0 ? time + options.ttl : null,
+                isOwn: true,
+                isStale: false
+            };
+            return [_locks[_normalize(path)]];
+        }, callback);
+    }
+    
+    function unlock(path, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+        }
+        
+        return _request("unlock", path, function () {
+            var removed = _locks.hasOwnProperty(_normalize(path));
+            
+            delete _locks[_normalize(path)];
+            return [removed];
+        }, callback);
+    }
+    
+    function queryLock(path, callback) {
+        return _request("queryLock", path, function () {
+            return [_locks[_normalize(path)] || null];
+        }, callback);
+    }
+    
+    function mount(prefix, options, callback) {
+        callback(FileSystemError.NOT_SUPPORTED);
+    }
+    
+    function unmount(prefix, callback) {
+        callback(FileSystemError.NOT_SUPPORTED);
+    }
+    
+    function initWatchers(changeCallback, offlineCallback) {
+        _changeCallback = changeCallback;
+        _offlineCallback = offlineCallback;
+    }
+    
+    function watchPath(path, ignored, callback) {
+        if (typeof ignored === "function") {
+            callback = ignored;
+            ignored = null;
+        }
+        
+        return _request("watchPath", path, function () {
+            _requireEntry(path, true);
+            _watchedRoots[path] = _compileGlobs(ignored);
+            return [];
+        }, callback);
+    }
+    
+    function unwatchPath(path, callback) {
+        delete _watchedRoots[path];
+        return _request("unwatchPath", path, function () {
+            return [];
+        }, callback);
+    }
+    
+    function unwatchAll(callback) {
+        _watchedRoots = {};
+        return _request("unwatchAll", null, function () {
+            return [];
+        }, callback);
+    }
+    
+    function pauseWatchers(callback) {
+        return _request("pauseWatchers", null, function () {
+            _pauseCount++;
+            window.clearTimeout(_changeTimeout);
+            _changeTimeout = null;
+            return [];
+        }, callback);
+    }
+    
+    function resumeWatchers(callback) {
+        return _request("resumeWatchers", null, function () {
+            if (_pauseCount === 0 || --_pauseCount > 0) {
+                return [0];
+            }
+            return [_flushChanges()];
+        }, callback);
+    }
+    
+    function runInBackground(fn) {
+        fn();
+    }
+    
+    function getCacheStats() {
+        return {hits: 0, misses: 0, size: 0, maxSize: 0};
+    }
+    
+    function clearCache() {
+    }
+    
+    /**
+     * Replace the whole tree. Each key of tree is a name; a string value is the
+     * text of a file, an ArrayBuffer the contents of a binary file and an
+     * object a directory, e.g.
+     * 
+     *     InMemoryFileSystem.seed({"project": {"main.js": "...", "lib": {}}});
+     * 
+     * Watchers, history, locks and injected failures are reset as well.
+     * @param {Object} tree
+     */
+    function seed(tree) {
+        function add(dirKey, subtree) {
+            Object.keys(subtree).forEach(function (name) {
+                var key = _join(dirKey, name),
+                    value = subtree[name];
+                
+                if (typeof value === "string") {
+                    _entries[key] = _createEntry("file", {bytes: unescape(encodeURIComponent(value))});
+                } else if (value instanceof ArrayBuffer) {
+                    _entries[key] = _createEntry("file", {bytes: _bufferToBytes(value)});
+                } else {
+                    _entries[key] = _createEntry("directory");
+                    add(key, value);
+                }
+            });
+        }
+        
+        _entries = {"/": _createEntry("directory")};
+        _watchedRoots = {};
+        _queuedChanges = [];
+        window.clearTimeout(_changeTimeout);
+        _changeTimeout = null;
+        _pauseCount = 0;
+        _history = [];
+        _locks = {};
+        _failures = [];
+        add("/", tree || {});
+    }
+    
+    /**
+     * The tree below a directory, in the form taken by seed. Binary files are
+     * given as ArrayBuffers and links as {linkTarget: string}.
+     * @param {string=} path Directory; the root by default
+     * @return {Object}
+     */
+    function dump(path) {
+        var tree = {};
+        
+        _childKeys(_requireEntry(path || "/", true).key).forEach(function (key) {
+            var entry = _entries[key],
+                name = key.substr(key.lastIndexOf("/") + 1);
+            
+            if (entry.type === "directory") {
+                tree[name] = dump(key);
+            } else if (entry.type === "link") {
+                tree[name] = {linkTarget: entry.linkTarget};
+            } else {
+                try {
+                    tree[name] = _decodeText(key, entry.bytes, null).text;
+                } catch (e) {
+                    tree[name] = _bytesToBuffer(entry.bytes);
+                }
+            }
+        });
+        return tree;
+    }
+    
+    /**
+     * Delay every callback by the given time in ms, as a slow disk would.
+     * Callbacks are always asynchronous, even without latency.
+     * @param {number} latency
+     */
+    function setLatency(latency) {
+        _latency = latency;
+    }
+    
+    /**
+     * Make the next requests of an operation fail with the given error.
+     * @param {string} operation Name of the function, e.g. "writeFile", or "*"
+     *      for any; readAllFiles fails per file as "readFile"
+     * @param {?string} path Path the failure applies to, or every path below
+     *      a directory given with a trailing slash; null for any request
+     * @param {string} error FileSystemError, or one of the errors exported here
+     * @param {number=} times How many requests fail; 1 by default, and
+     *      Infinity for all of them
+     */
+    function injectFailure(operation, path, error, times) {
+        _failures.push({operation: operation, path: path, error: error, times: times || 1});
+    }
+    
+    function clearFailures() {
+        _failures = [];
+    }
+    
+    /**
+     * Write a file as another program would, so that the change is passed to
+     * the watcher change callback. Like the other external* functions, this
+     * happens immediately, without latency or injected failures, and throws
+     * errors as {error: FileSystemError, path: string}.
+     * @param {string} path
+     * @param {(string|ArrayBuffer)} data
+     */
+    function externalWrite(path, data) {
+        _writeFile(path, data, {});
+    }
+    
+    function externalMkdir(path) {
+        _mkdir(path);
+    }
+    
+    function externalRename(oldPath, newPath) {
+        _rename(oldPath, newPath);
+    }
+    
+    function externalUnlink(path) {
+        _unlink(path);
+    }
+    
+    /**
+     * Simulate that the Node domain crashed: requests keep working, as
+     * NodeFileSystem queues them until Node is back, but the offline callback
+     * and the "offline" and "online" events are triggered.
+     * @param {boolean} offline
+     */
+    function setOffline(offline) {
+        if (offline) {
+            if (_offlineCallback) {
+                _offlineCallback();
+            }
+            $(exports).triggerHandler("offline");
+        } else {
+            $(exports).triggerHandler("online");
+        }
+    }
+    
+    seed({});
+    
+    // Export public API
+    exports.showOpenDialog  = showOpenDialog;
+    exports.showSaveDialog  = showSaveDialog;
+    exports.exists          = exists;
+    exports.readdir         = readdir;
+    exports.walk            = walk;
+    exports.search          = search;
+    exports.mkdir           = mkdir;
+    exports.rename          = rename;
+    exports.copy            = copy;
+    exports.chmod           = chmod;
+    exports.chown           = chown;
+    exports.utimes          = utimes;
+    exports.readlink        = readlink;
+    exports.symlink         = symlink;
+    exports.stat            = stat;
+    exports.readFile        = readFile;
+    exports.readAllFiles    = readAllFiles;
+    exports.readFileChunk   = readFileChunk;
+    exports.writeFile       = writeFile;
+    exports.unlink          = unlink;
+    exports.moveToTrash     = moveToTrash;
+    exports.transaction     = transaction;
+    exports.listHistory     = listHistory;
+    exports.readHistoryEntry    = readHistoryEntry;
+    exports.restoreHistoryEntry = restoreHistoryEntry;
+    exports.lock            = lock;
+    exports.unlock          = unlock;
+    exports.queryLock       = queryLock;
+    exports.mount           = mount;
+    exports.unmount         = unmount;
+    exports.initWatchers    = initWatchers;
+    exports.watchPath       = watchPath;
+    exports.unwatchPath     = unwatchPath;
+    exports.unwatchAll      = unwatchAll;
+    exports.pauseWatchers   = pauseWatchers;
+    exports.resumeWatchers  = resumeWatchers;
+    exports.setHashMode     = setHashMode;
+    exports.setMaxFileSize  = setMaxFileSize;
+    exports.runInBackground = runInBackground;
+    exports.getCacheStats   = getCacheStats;
+    exports.clearCache      = clearCache;
+    
+    exports.ERROR_CANCELED  = ERROR_CANCELED;
+    exports.ERROR_OFFLINE   = ERROR_OFFLINE;
+    exports.ERROR_LOCKED    = ERROR_LOCKED;
+    exports.ERROR_NOT_EMPTY             = ERROR_NOT_EMPTY;
+    exports.ERROR_TOO_MANY_OPEN_FILES   = ERROR_TOO_MANY_OPEN_FILES;
+    
+    exports.recursiveWatch = true;
+    exports.normalizeUNCPaths = false;
+    
+    // Test API
+    exports.seed            = seed;
+    exports.dump            = dump;
+    exports.setLatency      = setLatency;
+    exports.injectFailure   = injectFailure;
+    exports.clearFailures   = clearFailures;
+    exports.setOffline      = setOffline;
+    exports.externalWrite   = externalWrite;
+    exports.externalMkdir   = externalMkdir;
+    exports.externalRename  = externalRename;
+    exports.externalUnlink  = externalUnlink;
+});
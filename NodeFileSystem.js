@@ -23,22 +23,37 @@
 
 
 /*jslint vars: true, plusplus: true, devel: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
-/*global define, appshell, $, window, escape, setTimeout */
+/*global define, appshell, $, window, escape, setTimeout, ArrayBuffer, Uint8Array */
 
 define(function (require, exports, module) {
     "use strict";
     
-    var FileSystemStats     = require("filesystem/FileSystemStats"),
-        FileSystemError     = require("filesystem/FileSystemError"),
+    var FileSystemError     = require("filesystem/FileSystemError"),
         FileUtils           = require("file/FileUtils"),
-        NodeDomain          = require("utils/NodeDomain");
+        NodeDomain          = require("utils/NodeDomain"),
+        PreferencesManager  = require("preferences/PreferencesManager"),
+        NodeFileSystemStats = require("./NodeFileSystemStats"),
+        StatCache           = require("./StatCache");
     
-    var FILE_WATCHER_BATCH_TIMEOUT = 200;   // 200ms - granularity of file watcher changes
+    // How file hashes are computed; see NodeFileSystemDomain
+    var HASH_MODE_MTIME = "mtime",
+        HASH_MODE_LAZY  = "lazy",
+        HASH_MODE_EAGER = "eager";
+    
+    var _hashMode = HASH_MODE_MTIME;
+    
+    // Binary data crosses the domain boundary base64-encoded
+    var BINARY_ENCODING = "base64";
+    
+    // Lets the Node side detect the encoding on read and preserve it on write
+    var AUTO_ENCODING = "auto";
+    
+    // Files larger than this many bytes are not read; a negative value, the
+    // default, disables the limit. See setMaxFileSize.
+    var _maxFileSize = -1;
     
     var _changeCallback,            // Callback to notify FileSystem of watcher changes
-        _offlineCallback,           // Callback to notify FileSystem that watchers are offline
-        _changeTimeout,             // Timeout used to batch up file watcher changes
-        _pendingChanges = {};       // Pending file watcher changes
+        _offlineCallback;           // Callback to notify FileSystem that watchers are offline
     
     var _bracketsPath   = FileUtils.getNativeBracketsDirectoryPath(),
         _modulePath     = FileUtils.getNativeModuleDirectoryPath(module),
@@ -46,103 +61,746 @@ define(function (require, exports, module) {
         _domainPath     = [_bracketsPath, _modulePath, _nodePath].join("/"),
         _nodeDomain     = new NodeDomain("fileSystem", _domainPath);
     
-    function _enqueueChange(change, needsStats) {
-        _pendingChanges[change] = _pendingChanges[change] || needsStats;
-
-        if (!_changeTimeout) {
-            _changeTimeout = window.setTimeout(function () {
-                if (_changeCallback) {
-                    Object.keys(_pendingChanges).forEach(function (path) {
-                        var needsStats = _pendingChanges[path];
-                        if (needsStats) {
-                            exports.stat(path, function (err, stats) {
-                                if (err) {
-                                    console.warn("Unable to stat changed path: ", path, err);
-                                    return;
-                                }
-                                _changeCallback(path, stats);
-                            });
-                        } else {
-                            _changeCallback(path);
-                        }
-                    });
+    function _parentPath(path) {
+        var end = path[path.length - 1] === "/" ? path.length - 2 : path.length - 1;
+        
+        return path.substr(0, path.lastIndexOf("/", end) + 1);
+    }
+    
+    // Operations whose results FileSystem applies to its model by itself, or
+    // that leave it unchanged, so that the watcher echoes of their changes are
+    // not passed to the change callback
+    var TRACKED_OPERATIONS = {
+        writeFile: true,
+        mkdir: true,
+        rename: true,
+        unlink: true,
+        moveToTrash: true,
+        transaction: true,
+        lock: true,
+        unlock: true
+    };
+    
+    /**
+     * Report a batch of changes from the Node domain, which debounces them, to
+     * the change callback and to "changes" event handlers:
+     * 
+     *     $(NodeFileSystem).on("changes", function (evt, changes) { ... });
+     * 
+     * where each change is {type, path, oldPath, stats, isOwnChange, operation},
+     * with type one of "created", "modified", "deleted" or "renamed", stats the
+     * FileSystemStats of the entries that exist, and isOwnChange true for the
+     * echoes of changes made through this module by the given operation, e.g.
+     * "copy". Changes other than the echoes of TRACKED_OPERATIONS are passed to
+     * the change callback: modified entries with their stats and, for the
+     * other changes, the parent directories, so that their contents are read
+     * again.
+     */
+    function _fileWatcherChanges(evt, changes) {
+        var parents = {};
+        
+        changes.forEach(function (change) {
+            if (change.stats) {
+                change.stats = _mapNodeStats(change.stats);
+            }
+            _invalidateCache(change.path);
+            if (change.oldPath) {
+                _invalidateCache(change.oldPath);
+            }
+        });
+        
+        $(exports).triggerHandler("changes", [changes]);
+        
+        if (!_changeCallback) {
+            return;
+        }
+        
+        changes.forEach(function (change) {
+            if (change.isOwnChange && TRACKED_OPERATIONS.hasOwnProperty(change.operation)) {
+                return;
+            }
+            
+            if (change.type === "modified") {
+                if (change.stats) {
+                    _changeCallback(change.path, change.stats);
+                } else {
+                    _changeCallback(change.path);
                 }
-                
-                _changeTimeout = null;
-                _pendingChanges = {};
-            }, FILE_WATCHER_BATCH_TIMEOUT);
+            } else {
+                parents[_parentPath(change.path)] = true;
+                if (change.oldPath) {
+                    parents[_parentPath(change.oldPath)] = true;
+                }
+            }
+        });
+        
+        Object.keys(parents).forEach(function (parent) {
+            _changeCallback(parent);
+        });
+    }
+    
+    // Requests in the interactive lane are always dispatched before those in the background lane
+    var PRIORITY_INTERACTIVE    = 0,
+        PRIORITY_BACKGROUND     = 1;
+    
+    // Passed to the callback of a request that was canceled before it was sent
+    var ERROR_CANCELED = "Canceled";
+    
+    // Passed to the callback of a request that could not be sent because the
+    // connection to Node was lost and did not come back in time
+    var ERROR_OFFLINE = "Offline";
+    
+    // Passed to the callback of a lock, unlock or write refused because another
+    // live owner holds the advisory lock of the file
+    var ERROR_LOCKED = "Locked";
+    
+    // Passed to the callback of a request that failed because a directory
+    // that had to be empty, e.g. the target of a rename, is not
+    var ERROR_NOT_EMPTY = "DirectoryNotEmpty";
+    
+    // Passed to the callback of a request that failed because Node or the
+    // system ran out of file descriptors; the request may succeed later
+    var ERROR_TOO_MANY_OPEN_FILES = "TooManyOpenFiles";
+    
+    var _maxConcurrentRequests = -1,    // Maximum number of requests in flight; negative for no limit
+        _simulatedLatency = 0,          // Delay in ms before each request is sent, to simulate a slow disk
+        _offlineTimeout = 10000,        // How long requests wait in ms for Node to reconnect; negative to wait forever
+        _offlineSince = null,           // Time the connection to Node was lost, while it is
+        _offlineExpired = false,        // Whether requests fail right away while offline
+        _currentPriority = PRIORITY_INTERACTIVE,
+        _requestQueues = [[], []],      // Waiting requests, indexed by priority
+        _activeRequestCount = 0;
+    
+    // Handle of requests that are complete without being sent
+    var _completedRequest = {
+        cancel: function () {
+            return false;
+        }
+    };
+    
+    function _canDispatch() {
+        if (_offlineSince !== null) {
+            return false;
         }
+        return _maxConcurrentRequests < 0 || _activeRequestCount < _maxConcurrentRequests;
     }
     
-    function _fileWatcherChange(evt, path, event, filename) {
-        var change;
-
-        if (event === "change") {
-            // Only register change events if filename is passed
-            if (filename) {
-                // an existing file was created; stats are needed
-                change = path + filename;
-                _enqueueChange(change, true);
+    function _nextRequest() {
+        var i;
+        
+        for (i = 0; i < _requestQueues.length; i++) {
+            if (_requestQueues[i].length > 0) {
+                return _requestQueues[i].shift();
             }
-        } else if (event === "rename") {
-            // a new file was created; no stats are needed
-            change = path;
-            _enqueueChange(change, false);
         }
+        return null;
     }
     
-    var SIMULATED_LATENCY_DELAY = -1,
-        MAX_CONNECTIONS = -1;
-
-    var _waitingRequests = [],
-        _pendingRequests = {},
-        _pendingRequestCount = 0,
-        _requestCounter = 0;
-
-    function _dequeueRequest() {
-        if (_waitingRequests.length > 0) {
-            if (_pendingRequestCount <= MAX_CONNECTIONS) {
-                var request = _waitingRequests[0],
-                    id = _requestCounter++;
-                
-                _waitingRequests.shift();
-                _pendingRequestCount++;
-                _pendingRequests[id] = request;
+    function _runRequest(request) {
+        _activeRequestCount++;
+        request.started = true;
+        
+        function done() {
+            _activeRequestCount--;
+            _dispatchRequests();
+        }
+        
+        function send() {
+            var promise;
+            
+            // A request that throws before it is sent must still give up its slot
+            try {
+                promise = request.fn();
+            } catch (err) {
+                console.error("Unable to send request: ", err);
+                done();
+                window.setTimeout(function () {
+                    if (request.callback) {
+                        request.callback(FileSystemError.UNKNOWN);
+                    }
+                }, 0);
+                return;
+            }
+            
+            $.when(promise).always(done);
+        }
+        
+        if (_simulatedLatency > 0) {
+            window.setTimeout(send, _simulatedLatency);
+        } else {
+            send();
+        }
+    }
+    
+    function _dispatchRequests() {
+        var request;
+        
+        while (_canDispatch()) {
+            request = _nextRequest();
+            if (!request) {
+                break;
+            }
+            _runRequest(request);
+        }
+    }
+    
+    /**
+     * Queue a request to the Node domain. Requests are sent in priority order
+     * while fewer than the maximum number of requests are in flight. While
+     * Node is offline, requests stay queued until it reconnects or the
+     * offline timeout expires.
+     * @param {function(): $.Promise} fn Sends the request; the returned promise
+     *      settles when the request is complete
+     * @param {function(string)=} callback Called with ERROR_CANCELED if the
+     *      request is canceled before it is sent, or with ERROR_OFFLINE if it
+     *      cannot be sent because Node is offline
+     * @return {{cancel: function(): boolean}} Handle whose cancel method removes
+     *      the request from the queue; it returns false if the request was
+     *      already sent
+     */
+    function _enqueueRequest(fn, callback) {
+        var priority = _currentPriority,
+            request = {fn: fn, callback: callback, started: false};
+        
+        if (_offlineExpired) {
+            window.setTimeout(function () {
+                if (callback) {
+                    callback(ERROR_OFFLINE);
+                }
+            }, 0);
+            return _completedRequest;
+        }
+        
+        _requestQueues[priority].push(request);
+        _dispatchRequests();
+        
+        return {
+            cancel: function () {
+                var index = _requestQueues[priority].indexOf(request);
                 
-                setTimeout(function () {
-                    request().always(function () {
-                        _pendingRequestCount--;
-                        delete _pendingRequests[id];
-                        setTimeout(_dequeueRequest, 0);
-                    });
-                }, SIMULATED_LATENCY_DELAY);
+                if (request.started || index === -1) {
+                    return false;
+                }
                 
+                _requestQueues[priority].splice(index, 1);
+                if (callback) {
+                    callback(ERROR_CANCELED);
+                }
                 return true;
             }
-        }
-        return false;
+        };
     }
     
-    function _enqueueRequest(fn) {
-        if (MAX_CONNECTIONS < 0) {
+    /**
+     * Run a function whose requests are queued behind interactive requests,
+     * such as stat calls made while indexing a project. Only requests made
+     * synchronously by fn are affected.
+     * @param {function()} fn
+     */
+    function runInBackground(fn) {
+        var previousPriority = _currentPriority;
+        
+        _currentPriority = PRIORITY_BACKGROUND;
+        try {
             fn();
+        } finally {
+            _currentPriority = previousPriority;
+        }
+    }
+    
+    /**
+     * Fail all queued requests with ERROR_OFFLINE.
+     */
+    function _failQueuedRequests() {
+        var request = _nextRequest();
+        
+        while (request) {
+            if (request.callback) {
+                request.callback(ERROR_OFFLINE);
+            }
+            request = _nextRequest();
+        }
+    }
+    
+    function _updateSchedulerPreferences() {
+        _maxConcurrentRequests = PreferencesManager.get("nodeFileSystem.maxConcurrentRequests");
+        _simulatedLatency = PreferencesManager.get("nodeFileSystem.simulatedLatency");
+        _offlineTimeout = PreferencesManager.get("nodeFileSystem.offlineTimeout");
+        _dispatchRequests();
+    }
+    
+    PreferencesManager.definePreference("nodeFileSystem.maxConcurrentRequests", "number", -1)
+        .on("change", _updateSchedulerPreferences);
+    PreferencesManager.definePreference("nodeFileSystem.simulatedLatency", "number", 0)
+        .on("change", _updateSchedulerPreferences);
+    PreferencesManager.definePreference("nodeFileSystem.offlineTimeout", "number", 10000)
+        .on("change", _updateSchedulerPreferences);
+    
+    _updateSchedulerPreferences();
+    
+    // Walk and search events are sent to every window connected to Node, so
+    // their ids start with an id of this window
+    var _windowId = Date.now().toString(36) + "-" + Math.random().toString(36).substr(2, 8);
+    
+    var _walkCallbacks = {},         // Batch callbacks of in-progress walks, keyed by walk id
+        _walkCounter = 0,
+        _searchCallbacks = {},       // Match callbacks of in-progress searches, keyed by search id
+        _searchCounter = 0;
+    
+    function _walkBatch(evt, walkId, entries) {
+        var batchCallback = _walkCallbacks[walkId];
+        
+        if (batchCallback) {
+            batchCallback(entries);
+        }
+    }
+    
+    function _searchMatches(evt, searchId, path, matches) {
+        var matchCallback = _searchCallbacks[searchId];
+        
+        if (matchCallback) {
+            matchCallback(path, matches);
+        }
+    }
+    
+    /**
+     * The Linux watcher needs an inotify watch per directory; when the system
+     * limit is reached, part of the tree is not watched. This is reported to
+     * "watcherLimit" event handlers:
+     * 
+     *     $(NodeFileSystem).on("watcherLimit", function (evt, path, unwatchedPath) { ... });
+     * 
+     * with path the watched root and unwatchedPath the first directory below
+     * it that could not be watched.
+     */
+    function _watcherLimit(evt, path, unwatchedPath) {
+        _partiallyWatchedRoots[path] = true;
+        _invalidateCache(path);
+        console.warn("Too many directories to watch below " + path +
+                     "; changes from " + unwatchedPath + " onward may be missed");
+        $(exports).triggerHandler("watcherLimit", [path, unwatchedPath]);
+    }
+    
+    // Delays in ms between attempts to reconnect to Node, doubled after each failure
+    var RECONNECT_DELAY_MIN = 500,
+        RECONNECT_DELAY_MAX = 30000;
+    
+    // Entries modified this many ms before the connection was lost are also
+    // reported after reconnecting, to allow for coarse file system timestamps
+    var RESCAN_CLOCK_SLACK = 2000;
+    
+    /**
+     * Paths below any of the "nodeFileSystem.pollingPaths" are always watched by
+     * polling every "nodeFileSystem.pollInterval" ms, for mounts whose changes
+     * native watchers miss but that the Node domain does not detect by itself.
+     */
+    PreferencesManager.definePreference("nodeFileSystem.pollingPaths", "array", []);
+    PreferencesManager.definePreference("nodeFileSystem.pollInterval", "number", 2000);
+    
+    function _usesPolling(path) {
+        return PreferencesManager.get("nodeFileSystem.pollingPaths").some(function (pollingPath) {
+            if (pollingPath[pollingPath.length - 1] !== "/") {
+                pollingPath += "/";
+            }
+            return path.indexOf(pollingPath) === 0;
+        });
+    }
+    
+    var _watchedRoots = {},         // Ignored globs of the watched paths, keyed by path
+        _reconnectDelay = RECONNECT_DELAY_MIN,
+        _reconnectTimeout = null,
+        _connectionGeneration = 0,  // Incremented whenever the connection to Node is lost or restored
+        _offlineTimer = null;
+    
+    /**
+     * Report the entries below a watched root that changed since a given
+     * time, to catch up with the changes missed while Node was offline.
+     * Directories whose contents may have changed are passed to the change
+     * callback without stats, and modified files with their stats.
+     * @param {string} path Watched root
+     * @param {number} since Time in ms
+     */
+    function _rescanRoot(path, since) {
+        var isDirectory = path[path.length - 1] === "/",
+            options = {ignore: _watchedRoots[path], maxDepth: exports.recursiveWatch ? -1 : 0};
+        
+        function isChanged(stats) {
+            return stats.mtime.getTime() >= since || (stats.ctime && stats.ctime.getTime() >= since);
+        }
+        
+        if (!_changeCallback) {
+            return;
+        }
+        
+        if (!isDirectory) {
+            stat(path, function (err, stats) {
+                if (err) {
+                    _changeCallback(_parentPath(path));
+                } else if (isChanged(stats)) {
+                    _changeCallback(path, stats);
+                }
+            });
             return;
         }
         
-        _waitingRequests.push(fn);
+        // The root itself is always read again, as it may have been replaced
+        _changeCallback(path);
+        walk(path, options, function (paths, stats) {
+            paths.forEach(function (entryPath, index) {
+                var entryStats = stats[index];
+                
+                if (typeof entryStats === "string" || !isChanged(entryStats)) {
+                    return;
+                }
+                if (entryStats.isFile) {
+                    _changeCallback(entryPath, entryStats);
+                } else {
+                    _changeCallback(entryPath);
+                }
+            });
+        }, function (err) {
+            if (err) {
+                console.warn("Unable to rescan watched path: ", path, err);
+                _changeCallback(_parentPath(path));
+            }
+        });
+    }
+    
+    /**
+     * @param {$.Promise} promise
+     * @return {$.Promise} Resolved once promise is either resolved or rejected
+     */
+    function _settled(promise) {
+        var deferred = $.Deferred();
+        
+        promise.always(function () {
+            deferred.resolve();
+        });
+        return deferred.promise();
+    }
+    
+    /**
+     * Send a command that restores the state Node lost when it restarted.
+     * @param {string} description What the command restores, for the warning
+     *      logged if it fails
+     * @param {string} path
+     * @param {function(): $.Promise} send
+     * @return {$.Promise} Resolved once the command is complete, even if it failed
+     */
+    function _restore(description, path, send) {
+        return _settled(send().fail(function (err) {
+            console.warn("Unable to " + description + " again after reconnecting: ", path, err);
+        }));
+    }
+    
+    /**
+     * Called once the Node domain is loaded again after the connection was
+     * lost: mount the hosts and watch the roots again, with their local
+     * history, then send the queued requests, which may depend on them, and
+     * report the changes made in the meantime.
+     */
+    function _restoreConnection() {
+        var since = _offlineSince - RESCAN_CLOCK_SLACK,
+            generation = ++_connectionGeneration,
+            remounts;
+        
+        _reconnectDelay = RECONNECT_DELAY_MIN;
+        
+        remounts = Object.keys(_mounts).map(function (prefix) {
+            return _restore("mount", prefix, function () {
+                return _nodeDomain.exec("mount", prefix, _mounts[prefix])
+                    .fail(function () {
+                        _mountStatus(null, prefix, false);
+                    });
+            });
+        });
+        
+        $.when.apply($, remounts).then(function () {
+            var rewatches = [];
+            
+            Object.keys(_watchedRoots).forEach(function (path) {
+                rewatches.push(_restore("watch path", path, function () {
+                    return _sendWatchPath(path, _watchedRoots[path]);
+                }));
+                if (_historyEnabled && path[path.length - 1] === "/") {
+                    rewatches.push(_restore("enable local history", path, function () {
+                        return _sendSetHistoryEnabled(path, true);
+                    }));
+                }
+            });
+            
+            return $.when.apply($, rewatches);
+        }).done(function () {
+            // The connection was lost again meanwhile
+            if (generation !== _connectionGeneration) {
+                return;
+            }
+            
+            window.clearTimeout(_offlineTimer);
+            _offlineTimer = null;
+            _offlineSince = null;
+            _offlineExpired = false;
+            
+            _dispatchRequests();
+            
+            runInBackground(function () {
+                Object.keys(_watchedRoots).forEach(function (path) {
+                    _rescanRoot(path, since);
+                });
+            });
+            
+            $(exports).triggerHandler("online");
+        });
+    }
+    
+    /**
+     * Wait for the Node domain to be loaded again. NodeDomain reconnects by
+     * itself a few times; once it gives up, it stays disconnected, so a new
+     * NodeDomain is created with a growing delay until one connects.
+     */
+    function _awaitConnection() {
+        _nodeDomain.promise()
+            .done(_restoreConnection)
+            .fail(function () {
+                _reconnectTimeout = window.setTimeout(function () {
+                    var oldDomain = _nodeDomain;
+                    
+                    _reconnectTimeout = null;
+                    $(oldDomain).off();
+                    $(oldDomain.connection).off("close", _connectionClosed);
+                    oldDomain.connection.disconnect();
+                    
+                    _nodeDomain = new NodeDomain("fileSystem", _domainPath);
+                    _listenToDomain(_nodeDomain);
+                    _awaitConnection();
+                }, _reconnectDelay);
+                _reconnectDelay = Math.min(_reconnectDelay * 2, RECONNECT_DELAY_MAX);
+            });
+    }
+    
+    /**
+     * The connection to Node was lost. Watchers are offline until it comes
+     * back, and requests are queued meanwhile; they fail with ERROR_OFFLINE
+     * once the offline timeout expires. "offline" and "online" events are
+     * triggered when the connection is lost and restored.
+     */
+    function _connectionClosed() {
+        _connectionGeneration++;
+        if (_offlineSince === null) {
+            _offlineSince = Date.now();
+            _cache.clear();
+            
+            if (_offlineTimeout >= 0) {
+                _offlineTimer = window.setTimeout(function () {
+                    _offlineTimer = null;
+                    _offlineExpired = true;
+                    _failQueuedRequests();
+                }, _offlineTimeout);
+            }
+            
+            if (_offlineCallback) {
+                _offlineCallback();
+            }
+            $(exports).triggerHandler("offline");
+        }
         
-        if (_waitingRequests.length > 1 || !_dequeueRequest()) {
-            console.log("Delaying request: ", _waitingRequests.length, _pendingRequestCount);
+        if (!_reconnectTimeout) {
+            _awaitConnection();
         }
     }
     
-    $(_nodeDomain).on("change", _fileWatcherChange);
+    var _mounts = {},               // Options of the mounted hosts, keyed by prefix with a trailing slash
+        _mountsOfflineSince = {};   // Time in ms each offline mount lost its connection, keyed by prefix
     
-    $(_nodeDomain.connection).on("close", function () {
-        if (_offlineCallback) {
-            _offlineCallback();
+    /**
+     * A backend mounted with mount lost or regained its connection. While it
+     * is offline, requests for paths below its prefix fail with ERROR_OFFLINE
+     * and the offline callback is called as when the connection to Node is
+     * lost; once it is back, the watched roots below the prefix are rescanned.
+     * Both are reported to "mountStatus" event handlers:
+     * 
+     *     $(NodeFileSystem).on("mountStatus", function (evt, prefix, online) { ... });
+     */
+    function _mountStatus(evt, prefix, online) {
+        var since;
+        
+        _invalidateCache(prefix);
+        
+        if (!online) {
+            _mountsOfflineSince[prefix] = Date.now();
+            if (_offlineCallback) {
+                _offlineCallback();
+            }
+        } else if (_mountsOfflineSince.hasOwnProperty(prefix)) {
+            since = _mountsOfflineSince[prefix] - RESCAN_CLOCK_SLACK;
+            delete _mountsOfflineSince[prefix];
+            
+            runInBackground(function () {
+                Object.keys(_watchedRoots).forEach(function (path) {
+                    if (path.indexOf(prefix) === 0) {
+                        _rescanRoot(path, since);
+                    } else if (prefix.indexOf(path) === 0 && _changeCallback) {
+                        _changeCallback(prefix);
+                    }
+                });
+            });
+        }
+        
+        $(exports).triggerHandler("mountStatus", [prefix, online]);
+    }
+    
+    /**
+     * Listen to the events of a Node domain and to the closing of its connection.
+     * @param {NodeDomain} domain
+     */
+    function _listenToDomain(domain) {
+        $(domain).on("changes", _fileWatcherChanges);
+        $(domain).on("watcherLimit", _watcherLimit);
+        $(domain).on("walkBatch", _walkBatch);
+        $(domain).on("searchMatches", _searchMatches);
+        $(domain).on("mountStatus", _mountStatus);
+        $(domain.connection).on("close", _connectionClosed);
+    }
+    
+    _listenToDomain(_nodeDomain);
+    
+    /**
+     * With the "nodeFileSystem.cache" preference, the results of stat, exists
+     * and readdir are cached for watched paths, up to "nodeFileSystem.cacheSize"
+     * results. They are invalidated by watcher changes and by the changes
+     * made through this module; unwatched paths are never cached.
+     */
+    var _cache = new StatCache(0),
+        _cacheEnabled = false,
+        _partiallyWatchedRoots = {};    // Roots below which the watcher limit was reached
+    
+    function _updateCachePreferences() {
+        _cacheEnabled = PreferencesManager.get("nodeFileSystem.cache");
+        _cache.setMaxSize(_cacheEnabled ? PreferencesManager.get("nodeFileSystem.cacheSize") : 0);
+        if (!_cacheEnabled) {
+            _cache.clear();
+        }
+    }
+    
+    PreferencesManager.definePreference("nodeFileSystem.cache", "boolean", false)
+        .on("change", _updateCachePreferences);
+    PreferencesManager.definePreference("nodeFileSystem.cacheSize", "number", 10000)
+        .on("change", _updateCachePreferences);
+    
+    _updateCachePreferences();
+    
+    /**
+     * Whether changes to a path are reported by a watcher, so that its
+     * results can be cached.
+     * @param {string} path
+     * @return {boolean}
+     */
+    function _isCacheable(path) {
+        if (!_cacheEnabled || _offlineSince !== null) {
+            return false;
         }
-    });
+        
+        return Object.keys(_watchedRoots).some(function (root) {
+            if (_partiallyWatchedRoots.hasOwnProperty(root)) {
+                return false;
+            }
+            if (exports.recursiveWatch) {
+                return path.indexOf(root) === 0;
+            }
+            // Without recursive watchers, each watched directory only reports its own entries
+            return path === root || _parentPath(path) === root;
+        });
+    }
+    
+    function _invalidateCache(path) {
+        _cache.invalidate(path);
+    }
+    
+    /**
+     * Cache hit and miss counters and the number of cached results.
+     * @return {{hits: number, misses: number, size: number, maxSize: number}}
+     */
+    function getCacheStats() {
+        return _cache.getCounters();
+    }
+    
+    /**
+     * Drop all cached results.
+     */
+    function clearCache() {
+        _cache.clear();
+    }
+    
+    /**
+     * With the "nodeFileSystem.localHistory" preference, the Node domain keeps
+     * snapshots of the files below each watched directory before they are
+     * written or deleted, within the limits given by the other localHistory
+     * preferences. See listHistory.
+     */
+    var _historyEnabled = false;
+    
+    function _historyOptions() {
+        return {
+            maxEntries: PreferencesManager.get("nodeFileSystem.localHistoryMaxEntries"),
+            maxAge: PreferencesManager.get("nodeFileSystem.localHistoryMaxAge"),
+            maxSize: PreferencesManager.get("nodeFileSystem.localHistoryMaxSize")
+        };
+    }
+    
+    /**
+     * Send the command that starts or stops keeping the history of the files
+     * below a watched root, bypassing the request queue.
+     * @param {string} root
+     * @param {boolean} enable
+     * @return {$.Promise}
+     */
+    function _sendSetHistoryEnabled(root, enable) {
+        var storePath = appshell.app.getApplicationSupportDirectory() + "/localHistory";
+        
+        return enable ? _nodeDomain.exec("enableHistory", root, storePath, _historyOptions()) :
+                _nodeDomain.exec("disableHistory", root);
+    }
+    
+    /**
+     * Start or stop keeping the history of the files below a watched root.
+     * @param {string} root
+     * @param {boolean} enable
+     */
+    function _setHistoryEnabled(root, enable) {
+        var callback = function (err) {
+            if (err) {
+                console.warn("Unable to " + (enable ? "enable" : "disable") + " local history: ", root, err);
+            }
+        };
+        
+        return _enqueueRequest(function () {
+            return _sendSetHistoryEnabled(root, enable)
+                .done(function () {
+                    callback(null);
+                })
+                .fail(callback);
+        }, callback);
+    }
+    
+    function _updateHistoryPreferences() {
+        _historyEnabled = PreferencesManager.get("nodeFileSystem.localHistory");
+        Object.keys(_watchedRoots).forEach(function (path) {
+            if (path[path.length - 1] === "/") {
+                _setHistoryEnabled(path, _historyEnabled);
+            }
+        });
+    }
+    
+    PreferencesManager.definePreference("nodeFileSystem.localHistory", "boolean", false)
+        .on("change", _updateHistoryPreferences);
+    PreferencesManager.definePreference("nodeFileSystem.localHistoryMaxEntries", "number", 50)
+        .on("change", _updateHistoryPreferences);
+    PreferencesManager.definePreference("nodeFileSystem.localHistoryMaxAge", "number", 7 * 24 * 60 * 60 * 1000)
+        .on("change", _updateHistoryPreferences);
+    PreferencesManager.definePreference("nodeFileSystem.localHistoryMaxSize", "number", 50 * 1024 * 1024)
+        .on("change", _updateHistoryPreferences);
+    
+    _updateHistoryPreferences();
     
     function _mapError(err) {
         if (!err) {
@@ -168,96 +826,538 @@ define(function (require, exports, module) {
         return FileSystemError.UNKNOWN;
     }
     
-    function _mapNodeError(err) {
-        if (!err) {
-            return FileSystemError.UNKNOWN;
-        }
+    // Operations that modify the file system, for which permission errors
+    // mean that an entry is not writable rather than not readable
+    var WRITE_OPERATIONS = {
+        writeFile: true,
+        mkdir: true,
+        rename: true,
+        copy: true,
+        unlink: true,
+        moveToTrash: true,
+        chmod: true,
+        chown: true,
+        utimes: true,
+        symlink: true,
+        transaction: true,
+        lock: true,
+        unlock: true
+    };
+    
+    function _mapErrorCode(code, isWrite) {
+        var accessError = isWrite ? FileSystemError.NOT_WRITABLE : FileSystemError.NOT_READABLE;
         
-        switch (err.cause && err.cause.code) {
+        switch (code) {
         case "ENOENT":
+        case "ELOOP":
             return FileSystemError.NOT_FOUND;
         case "EEXIST":
             return FileSystemError.ALREADY_EXISTS;
+        case "ENOTEMPTY":
+            return ERROR_NOT_EMPTY;
+        case "EACCES":
         case "EPERM":
-            return FileSystemError.NOT_READABLE; // ???
+        case "EBUSY":
+        case "ETXTBSY":
+            return accessError;
+        case "EMFILE":
+        case "ENFILE":
+            return ERROR_TOO_MANY_OPEN_FILES;
+        case "EROFS":
+            return FileSystemError.NOT_WRITABLE;
+        case "ENOSPC":
+        case "EDQUOT":
+            return FileSystemError.OUT_OF_SPACE;
+        case "EISDIR":
+        case "ENOTDIR":
+        case "ENAMETOOLONG":
+        case "EINVAL":
+        case "EINVALIDPARAMS":
+            return FileSystemError.INVALID_PARAMS;
+        case "ENOTSUP":
+        case "EOPNOTSUPP":
+        case "ENOSYS":
+        case "EXDEV":
+            return FileSystemError.NOT_SUPPORTED;
+        case "ECONTENTSMODIFIED":
+            return FileSystemError.CONTENTS_MODIFIED;
+        case "EBINARYFILE":
+        case "EUNSUPPORTEDENCODING":
+            return FileSystemError.UNSUPPORTED_ENCODING;
+        case "EFILETOOLARGE":
+            return FileSystemError.EXCEEDS_MAX_FILE_SIZE;
+        case "ELOCKED":
+            return ERROR_LOCKED;
+        case "ENOTCONN":
+            return ERROR_OFFLINE;
         default:
-            console.log("Unknown node error: ", err);
             return FileSystemError.UNKNOWN;
         }
     }
+    
+    /**
+     * Describe an error from the Node domain. The description is also sent to
+     * "error" event handlers:
+     * 
+     *     $(NodeFileSystem).on("error", function (evt, detail) { ... });
+     * 
+     * detail is {error, code, syscall, path, message, operation}, with error
+     * the FileSystemError and code the Node error code, e.g. "EACCES". Errors
+     * such as EIO that FileSystemError has no equivalent for are UNKNOWN; the
+     * code tells them apart.
+     * 
+     * @param {Object} err Error from the Node domain
+     * @param {string} operation Name of the failed command, e.g. "writeFile"
+     * @param {string=} path Path of the entry, if the error does not include it
+     * @return {{error: string, code: ?string, syscall: ?string, path: ?string, message: string, operation: string}}
+     */
+    function _nodeErrorDetail(err, operation, path) {
+        var cause = (err && err.cause) || {},
+            error = _mapErrorCode(cause.code, WRITE_OPERATIONS.hasOwnProperty(operation)),
+            detail = {
+                error: error,
+                code: cause.code || null,
+                syscall: cause.syscall || null,
+                path: cause.path || path || null,
+                message: (err && err.message) || String(err),
+                operation: operation
+            };
+        
+        if (error === FileSystemError.UNKNOWN) {
+            console.log("Unknown node error: ", err);
+        }
+        
+        $(exports).triggerHandler("error", [detail]);
+        
+        return detail;
+    }
+    
+    /**
+     * Map an error from the Node domain to a FileSystemError; see _nodeErrorDetail.
+     * @return {string} FileSystemError
+     */
+    function _mapNodeError(err, operation, path) {
+        return _nodeErrorDetail(err, operation, path).error;
+    }
+    
+    /**
+     * Call back with the FileSystemError of a failed request to the Node
+     * domain, followed by its detail (see _nodeErrorDetail), so that callers
+     * can show or log the original code, syscall and path.
+     * @param {function(string, Object)} callback
+     * @param {Object} err Error from the Node domain
+     * @param {string} operation
+     * @param {string=} path
+     */
+    function _callbackWithNodeError(callback, err, operation, path) {
+        var detail = _nodeErrorDetail(err, operation, path);
+        
+        callback(detail.error, detail);
+    }
 
     function _mapNodeStats(stats) {
         var options = {
             isFile: stats.isFile,
             mtime: new Date(stats.mtime),
             size: stats.size,
-            hash: stats.mtime,
-            realPath: stats.realpath
+            hash: stats.hash !== undefined ? stats.hash : stats.mtime,
+            realPath: stats.realpath,
+            mode: stats.mode,
+            uid: stats.uid,
+            gid: stats.gid,
+            dev: stats.dev,
+            ino: stats.ino,
+            atime: stats.atime,
+            ctime: stats.ctime,
+            birthtime: stats.birthtime,
+            isWritable: stats.isWritable,
+            isSymbolicLink: stats.isSymbolicLink,
+            linkTarget: stats.linkTarget,
+            isDangling: stats.isDangling,
+            encoding: stats.encoding,
+            bom: stats.bom
         };
 
-        return new FileSystemStats(options);
+        return new NodeFileSystemStats(options);
+    }
+    
+    function _wrap(cb) {
+        return function (err) {
+            var args = Array.prototype.slice.call(arguments);
+            args[0] = _mapError(args[0]);
+            cb.apply(null, args);
+        };
+    }
+    
+    function showOpenDialog(allowMultipleSelection, chooseDirectories, title, initialPath, fileTypes, callback) {
+        appshell.fs.showOpenDialog(allowMultipleSelection, chooseDirectories, title, initialPath, fileTypes, _wrap(callback));
+    }
+    
+    function showSaveDialog(title, initialPath, proposedNewFilename, callback) {
+        appshell.fs.showSaveDialog(title, initialPath, proposedNewFilename, _wrap(callback));
+    }
+    
+    function _hashOptions(options) {
+        return {
+            hashMode: (options && options.hashMode) || _hashMode
+        };
+    }
+    
+    function _readOptions(options) {
+        var readOptions = _hashOptions(options);
+        
+        readOptions.maxSize = options.hasOwnProperty("maxFileSize") ? options.maxFileSize : _maxFileSize;
+        return readOptions;
+    }
+    
+    /**
+     * Set how file hashes are computed. In "lazy" and "eager" modes, every hash
+     * is a content hash; in lazy mode the Node domain remembers them while the
+     * size and modification time of a file stay the same, and in eager mode it
+     * reads the file for each one. The default "mtime" mode uses modification
+     * times.
+     * @param {string} mode One of "mtime", "lazy" or "eager"
+     */
+    function setHashMode(mode) {
+        if (mode !== HASH_MODE_MTIME && mode !== HASH_MODE_LAZY && mode !== HASH_MODE_EAGER) {
+            console.error("Unknown hash mode: ", mode);
+            return;
+        }
+        _hashMode = mode;
+        _cache.clear();
+    }
+    
+    /**
+     * Set the size in bytes above which readFile and readAllFiles fail with
+     * EXCEEDS_MAX_FILE_SIZE instead of reading the file. Use readFileChunk to
+     * read parts of larger files. There is no limit unless one is set.
+     * @param {number} size Maximum file size, or -1 for no limit
+     */
+    function setMaxFileSize(size) {
+        _maxFileSize = size;
+    }
+    
+    /**
+     * Call back with a cached result asynchronously, as a request to Node
+     * would, so that callers never see their callback run before the call returns.
+     * @param {function(...*)} callback
+     * @param {Array} args
+     * @return {{cancel: function(): boolean}} A request that is already complete
+     */
+    function _callbackWithCached(callback, args) {
+        window.setTimeout(function () {
+            callback.apply(null, args);
+        }, 0);
+        return _completedRequest;
+    }
+    
+    function stat(path, callback) {
+        var cacheable = _isCacheable(path),
+            cached = cacheable && _cache.get("stat", path);
+        
+        if (cached) {
+            return _callbackWithCached(callback, [null, cached]);
+        }
+        
+        return _enqueueRequest(function () {
+            var generation = _cache.generation();
+            
+            return _nodeDomain.exec("stat", path, _hashOptions())
+                .done(function (statObj) {
+                    var stats = _mapNodeStats(statObj);
+                    
+                    if (cacheable) {
+                        _cache.set("stat", path, stats, generation);
+                    }
+                    callback(null, stats);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "stat");
+                });
+        }, callback);
+    }
+    
+    function exists(path, callback) {
+        var cacheable = _isCacheable(path),
+            cached;
+        
+        if (cacheable) {
+            // Cached stats imply that the entry exists
+            cached = _cache.get(["exists", "stat"], path);
+            if (cached !== undefined) {
+                return _callbackWithCached(callback, [null, !!cached]);
+            }
+        }
+        
+        return _enqueueRequest(function () {
+            var generation = _cache.generation();
+            
+            return _nodeDomain.exec("exists", path)
+                .done(function (exists) {
+                    if (cacheable) {
+                        _cache.set("exists", path, exists, generation);
+                    }
+                    callback(null, exists);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "exists");
+                });
+        }, callback);
+    }
+    
+    function readdir(path, callback) {
+        var cacheable = _isCacheable(path),
+            cached = cacheable && _cache.get("readdir", path);
+        
+        if (cached) {
+            return _callbackWithCached(callback, [null, cached.names.slice(), cached.stats.slice()]);
+        }
+        
+        // TODO: Return stats errors
+        return _enqueueRequest(function () {
+            var generation = _cache.generation();
+            
+            return _nodeDomain.exec("readdir", path, _hashOptions())
+                .done(function (statObjs) {
+                    var names = [],
+                        stats = statObjs.map(function (statObj) {
+                            names.push(statObj.name);
+                            if (statObj.err) {
+                                return _mapNodeError(statObj.err, "readdir", path + statObj.name);
+                            } else {
+                                return _mapNodeStats(statObj);
+                            }
+                        });
+                    
+                    if (cacheable) {
+                        _cache.set("readdir", path, {names: names.slice(), stats: stats.slice()}, generation);
+                        stats.forEach(function (entryStats, index) {
+                            if (typeof entryStats !== "string") {
+                                _cache.set("stat", path + names[index] + (entryStats.isFile ? "" : "/"), entryStats, generation);
+                            }
+                        });
+                    }
+                    callback(null, names, stats);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "readdir");
+                });
+        }, callback);
+    }
+    
+    /**
+     * Recursively enumerate a directory tree in the Node process. Entries are
+     * passed to batchCallback in batches as they are found; like readdir, an
+     * entry that cannot be stat'ed has an error in place of its stats.
+     * @param {string} path Directory to walk
+     * @param {{ignore: Array.<string>=, maxDepth: number=, followSymlinks: boolean=, batchSize: number=}} options
+     *      Globs of entries to skip, such as "node_modules" or "src/**\/*.min.js",
+     *      how many levels below path to descend, whether to descend into
+     *      linked directories and the maximum number of entries per batch
+     * @param {function(Array.<string>, Array.<(NodeFileSystemStats|string)>)} batchCallback
+     *      Called with the absolute paths and stats of each batch of entries
+     * @param {function(?string, number=)} callback Called with the total
+     *      number of entries once the walk is complete
+     */
+    function walk(path, options, batchCallback, callback) {
+        var walkId = _windowId + ":" + (_walkCounter++),
+            walkOptions = _hashOptions();
+        
+        walkOptions.ignore = options.ignore;
+        walkOptions.maxDepth = options.maxDepth;
+        walkOptions.followSymlinks = options.followSymlinks;
+        walkOptions.batchSize = options.batchSize;
+        
+        _walkCallbacks[walkId] = function (entries) {
+            var paths = [],
+                stats = entries.map(function (entry) {
+                    paths.push(entry.path);
+                    if (entry.err) {
+                        return _mapNodeError(entry.err, "walk", entry.path);
+                    } else {
+                        return _mapNodeStats(entry);
+                    }
+                });
+            
+            batchCallback(paths, stats);
+        };
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("walk", walkId, path, walkOptions)
+                .done(function (count) {
+                    delete _walkCallbacks[walkId];
+                    callback(null, count);
+                })
+                .fail(function (err) {
+                    delete _walkCallbacks[walkId];
+                    _callbackWithNodeError(callback, err, "walk");
+                });
+        }, function (err) {
+            delete _walkCallbacks[walkId];
+            callback(err);
+        });
     }
     
-    function _wrap(cb) {
-        return function (err) {
-            var args = Array.prototype.slice.call(arguments);
-            args[0] = _mapError(args[0]);
-            cb.apply(null, args);
+    /**
+     * Search the contents of files in the Node process, without transferring
+     * files that have no matches. Binary files are skipped.
+     * @param {Array.<string>} paths Files to search, and directories (with a
+     *      trailing slash) to search recursively
+     * @param {{pattern: string, isRegexp: boolean=, isCaseSensitive: boolean=, isWholeWord: boolean=}} query
+     * @param {{exclude: Array.<string>=, root: string=, maxFileSize: number=}} options
+     *      Globs of files and directories to skip; the directory the globs are
+     *      relative to for files given explicitly, by default a directory in
+     *      paths that contains them, or else their parent; and the size in
+     *      bytes above which files are skipped
+     * @param {function(string, Array.<{line: number, column: number, length: number, lineText: string}>)} matchCallback
+     *      Called with the path and zero-based match positions of each file that matches
+     * @param {function(?string, {filesSearched: number, matchCount: number, canceled: boolean}=)} callback
+     * @return {{cancel: function(): boolean}} Stops the search; no further matches are reported
+     */
+    function search(paths, query, options, matchCallback, callback) {
+        var searchId = _windowId + ":" + (_searchCounter++),
+            searchOptions = {
+                exclude: options.exclude,
+                root: options.root,
+                maxFileSize: options.hasOwnProperty("maxFileSize") ? options.maxFileSize : _maxFileSize
+            };
+        
+        _searchCallbacks[searchId] = matchCallback;
+        
+        var request = _enqueueRequest(function () {
+            return _nodeDomain.exec("search", searchId, paths, query, searchOptions)
+                .done(function (result) {
+                    delete _searchCallbacks[searchId];
+                    callback(null, result);
+                })
+                .fail(function (err) {
+                    delete _searchCallbacks[searchId];
+                    _callbackWithNodeError(callback, err, "search");
+                });
+        }, function (err) {
+            delete _searchCallbacks[searchId];
+            callback(err);
+        });
+        
+        return {
+            cancel: function () {
+                delete _searchCallbacks[searchId];
+                if (!request.cancel()) {
+                    _nodeDomain.exec("cancelSearch", searchId);
+                }
+                return true;
+            }
         };
     }
     
-    function showOpenDialog(allowMultipleSelection, chooseDirectories, title, initialPath, fileTypes, callback) {
-        appshell.fs.showOpenDialog(allowMultipleSelection, chooseDirectories, title, initialPath, fileTypes, _wrap(callback));
+    /**
+     * Change the permissions of a file or directory.
+     * @param {string} path
+     * @param {number} mode Permission bits, e.g. parseInt("0755", 8)
+     * @param {function(?string, NodeFileSystemStats=)} callback
+     */
+    function chmod(path, mode, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("chmod", path, mode)
+                .always(function () {
+                    _invalidateCache(path);
+                })
+                .done(function (statObj) {
+                    callback(null, _mapNodeStats(statObj));
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "chmod");
+                });
+        }, callback);
     }
     
-    function showSaveDialog(title, initialPath, proposedNewFilename, callback) {
-        appshell.fs.showSaveDialog(title, initialPath, proposedNewFilename, _wrap(callback));
+    /**
+     * Change the owner of a file or directory.
+     * @param {string} path
+     * @param {number} uid
+     * @param {number} gid
+     * @param {function(?string, NodeFileSystemStats=)} callback
+     */
+    function chown(path, uid, gid, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("chown", path, uid, gid)
+                .always(function () {
+                    _invalidateCache(path);
+                })
+                .done(function (statObj) {
+                    callback(null, _mapNodeStats(statObj));
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "chown");
+                });
+        }, callback);
     }
     
-    function stat(path, callback) {
-        _enqueueRequest(function () {
-            _nodeDomain.exec("stat", path)
+    /**
+     * Change the access and modification times of a file or directory.
+     * @param {string} path
+     * @param {Date} atime
+     * @param {Date} mtime
+     * @param {function(?string, NodeFileSystemStats=)} callback
+     */
+    function utimes(path, atime, mtime, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("utimes", path, atime.getTime(), mtime.getTime())
+                .always(function () {
+                    _invalidateCache(path);
+                })
                 .done(function (statObj) {
                     callback(null, _mapNodeStats(statObj));
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "utimes");
                 });
-        });
+        }, callback);
     }
     
-    function exists(path, callback) {
-        _enqueueRequest(function () {
-            _nodeDomain.exec("exists", path)
-                .done(function (exists) {
-                    callback(null, exists);
+    /**
+     * Read the target of a symbolic link.
+     * @param {string} path
+     * @param {function(?string, string=)} callback Called with the target as
+     *      stored in the link, which may be relative to the link's directory
+     */
+    function readlink(path, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("readlink", path)
+                .done(function (linkTarget) {
+                    callback(null, linkTarget);
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "readlink");
                 });
-        });
+        }, callback);
     }
     
-    function readdir(path, callback) {
-        // TODO: Return stats errors
-        _enqueueRequest(function () {
-            _nodeDomain.exec("readdir", path)
-                .done(function (statObjs) {
-                    var names = [],
-                        stats = statObjs.map(function (statObj) {
-                            names.push(statObj.name);
-                            if (statObj.err) {
-                                return _mapNodeError(statObj.err);
-                            } else {
-                                return _mapNodeStats(statObj);
-                            }
-                        });
-                    callback(null, names, stats);
+    /**
+     * Create a symbolic link. The target does not need to exist.
+     * @param {string} target Absolute path, or path relative to the link's directory
+     * @param {string} path Path of the link to create
+     * @param {string=} type "file", "dir" or "junction"; only used on Windows
+     * @param {function(?string, NodeFileSystemStats=)} callback
+     */
+    function symlink(target, path, type, callback) {
+        if (typeof type === "function") {
+            callback = type;
+            type = null;
+        }
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("symlink", target, path, type)
+                .always(function () {
+                    _invalidateCache(path);
+                })
+                .done(function (statObj) {
+                    callback(null, _mapNodeStats(statObj));
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "symlink");
                 });
-        });
+        }, callback);
     }
     
     function mkdir(path, mode, callback) {
@@ -266,61 +1366,175 @@ define(function (require, exports, module) {
             mode = parseInt("0755", 8);
         }
 
-        _enqueueRequest(function () {
-            _nodeDomain.exec("mkdir", path, mode)
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("mkdir", path, mode)
+                .always(function () {
+                    _invalidateCache(path);
+                })
                 .done(function (statObj) {
                     callback(null, _mapNodeStats(statObj));
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "mkdir");
                 });
-        });
+        }, callback);
+    }
+    
+    /**
+     * Copy a file or directory tree.
+     * @param {string} src
+     * @param {string} dest
+     * @param {{conflict: string=, preserve: boolean=}} options What to do when
+     *      dest exists: "overwrite", "skip" or "fail" (the default), and whether
+     *      to preserve modes and timestamps
+     * @param {function(?string, NodeFileSystemStats=, Array.<{path: string, error: string}>=)} callback
+     *      Called with the stats of dest and the entries below src that could
+     *      not be copied
+     */
+    function copy(src, dest, options, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("copy", src, dest, options)
+                .always(function () {
+                    _invalidateCache(dest);
+                })
+                .done(function (statObj) {
+                    var failures = statObj.failures.map(function (failure) {
+                        return {path: failure.path, error: _mapNodeError(failure.err, "copy", failure.path)};
+                    });
+                    
+                    callback(null, _mapNodeStats(statObj), failures);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "copy");
+                });
+        }, callback);
     }
     
     function rename(oldPath, newPath, callback) {
-        _enqueueRequest(function () {
-            _nodeDomain.exec("rename", oldPath, newPath)
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("rename", oldPath, newPath)
+                .always(function () {
+                    _invalidateCache(oldPath);
+                    _invalidateCache(newPath);
+                })
                 .done(function () {
                     callback(null);
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "rename");
                 });
-        });
+        }, callback);
     }
     
     function strdecode(data) {
         return JSON.parse(decodeURIComponent(escape(data)));
     }
+    
+    /**
+     * A null encoding reads and writes raw bytes as an ArrayBuffer; the
+     * "base64" encoding does the same with base64-encoded strings.
+     */
+    function _isBinaryEncoding(encoding) {
+        return encoding === null || encoding === BINARY_ENCODING;
+    }
+    
+    function _transferEncoding(encoding) {
+        return _isBinaryEncoding(encoding) ? BINARY_ENCODING : (encoding || AUTO_ENCODING);
+    }
+    
+    function _base64ToArrayBuffer(base64) {
+        var binary = window.atob(base64),
+            bytes = new Uint8Array(binary.length),
+            i;
+        
+        for (i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+    
+    function _arrayBufferToBase64(data) {
+        var bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+            chunks = [],
+            CHUNK_SIZE = 0x8000,
+            i;
+        
+        // Convert in chunks to stay below the maximum number of function arguments
+        for (i = 0; i < bytes.length; i += CHUNK_SIZE) {
+            chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE)));
+        }
+        return window.btoa(chunks.join(""));
+    }
+    
+    function _decodeData(data, encoding) {
+        if (encoding === null) {
+            return _base64ToArrayBuffer(data);
+        } else if (encoding === BINARY_ENCODING) {
+            return data;
+        } else {
+            return strdecode(data);
+        }
+    }
 
     function readFile(path, options, callback) {
-        var encoding = options.encoding || "utf8";
+        var encoding = _transferEncoding(options.encoding);
         
-        _enqueueRequest(function () {
-            _nodeDomain.exec("readFile", path, encoding)
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("readFile", path, encoding, _readOptions(options))
                 .done(function (statObj) {
-                    var data = strdecode(statObj.data),
+                    var data = _decodeData(statObj.data, options.encoding),
                         stat = _mapNodeStats(statObj);
                     
                     callback(null, data, stat);
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "readFile");
                 });
-        });
+        }, callback);
+    }
+
+    /**
+     * Read part of a file without reading the rest of it.
+     * @param {string} path
+     * @param {{offset: number=, length: number=, encoding: ?string=}} options
+     *      Text chunks never end in the middle of a character, so the next
+     *      chunk starts at offset + info.bytesRead.
+     * @param {function(?string, (string|ArrayBuffer)=, {offset: number, bytesRead: number, size: number, eof: boolean}=)} callback
+     */
+    function readFileChunk(path, options, callback) {
+        var encoding = _transferEncoding(options.encoding);
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("readFileChunk", path, options.offset || 0, options.length || 0, encoding)
+                .done(function (chunk) {
+                    var data = _decodeData(chunk.data, options.encoding),
+                        info = {
+                            offset: chunk.offset,
+                            bytesRead: chunk.bytesRead,
+                            size: chunk.size,
+                            eof: chunk.eof,
+                            encoding: chunk.encoding
+                        };
+                    
+                    callback(null, data, info);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "readFileChunk");
+                });
+        }, callback);
     }
 
     function readAllFiles(paths, options, callback) {
-        var encoding = options.encoding || "utf8";
+        var encoding = _transferEncoding(options.encoding);
         
-        _enqueueRequest(function () {
-            _nodeDomain.exec("readAllFiles", paths, encoding)
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("readAllFiles", paths, encoding, _readOptions(options))
                 .done(function (results) {
-                    var mappedResults = results.map(function (obj) {
+                    var mappedResults = results.map(function (obj, index) {
                         if (obj.err) {
-                            return _mapNodeError(obj.err);
+                            return _mapNodeError(obj.err, "readAllFiles", paths[index]);
                         } else {
-                            var data = strdecode(obj.data),
+                            var data = _decodeData(obj.data, options.encoding),
                                 stat = _mapNodeStats(obj);
                             
                             return [data, stat];
@@ -329,60 +1543,430 @@ define(function (require, exports, module) {
                     callback(null, mappedResults);
                 })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "readAllFiles");
                 });
-        });
+        }, callback);
     }
     
+    /**
+     * With the "nodeFileSystem.lockPolicy" preference set to "refuse" or
+     * "warn", writeFile refuses or warns about writing a file whose advisory
+     * lock is held by another window or process; "none" ignores locks. The
+     * locks of this window are held in the name of _lockOwner.
+     */
+    PreferencesManager.definePreference("nodeFileSystem.lockPolicy", "string", "none");
+    
+    var _lockOwner = Date.now().toString(36) + "-" + Math.random().toString(36).substr(2, 8);
+    
     function writeFile(path, data, options, callback) {
-        var encoding = options.encoding || "utf8";
-        
-        function _finishWrite(created) {
-            _enqueueRequest(function () {
-                _nodeDomain.exec("writeFile", path, data, encoding)
-                    .done(function (statObj) {
-                        var created = statObj.created,
-                            stat = _mapNodeStats(statObj);
-                        
-                        callback(null, stat, created);
-                    })
-                    .fail(function (err) {
-                        callback(_mapNodeError(err));
-                    });
-            });
+        var encoding = _transferEncoding(options.encoding),
+            writeOptions = _hashOptions(options);
+        
+        if (typeof data !== "string") {
+            data = _arrayBufferToBase64(data);
+            encoding = BINARY_ENCODING;
         }
         
-        // TODO: Perform all the hash logic on the Node process
-        stat(path, function (err, stats) {
-            if (err) {
-                switch (err) {
-                case FileSystemError.NOT_FOUND:
-                    _finishWrite(true);
-                    break;
-                default:
-                    callback(err);
-                }
-                return;
-            }
+        if (options.hasOwnProperty("hash")) {
+            writeOptions.expectedHash = options.hash;
+        }
+        
+        if (typeof options.bom === "boolean") {
+            writeOptions.bom = options.bom;
+        }
+        
+        writeOptions.lockPolicy = options.lockPolicy || PreferencesManager.get("nodeFileSystem.lockPolicy");
+        writeOptions.lockOwner = _lockOwner;
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("writeFile", path, data, encoding, writeOptions)
+                .always(function () {
+                    _invalidateCache(path);
+                })
+                .done(function (statObj) {
+                    var created = statObj.created,
+                        stat = _mapNodeStats(statObj);
+                    
+                    if (statObj.lock) {
+                        console.warn("Wrote file locked by another owner: ", path, statObj.lock);
+                        $(exports).triggerHandler("lockConflict", [path, statObj.lock]);
+                    }
+                    callback(null, stat, created);
+                })
+                .fail(function (err) {
+                    var detail = _nodeErrorDetail(err, "writeFile"),
+                        error = detail.error;
+                    
+                    if (error === FileSystemError.CONTENTS_MODIFIED) {
+                        console.warn("Blind write attempted: ", path, options.hash);
+                        callback(error, detail);
+                        return;
+                    }
+                    
+                    if (error === ERROR_LOCKED) {
+                        console.warn("Refused to write file locked by another owner: ", path);
+                        callback(error, detail);
+                        return;
+                    }
+                    
+                    // The original file is left untouched when the write fails
+                    console.error("Unable to write file: ", path, err);
+                    callback(error === FileSystemError.UNKNOWN ? FileSystemError.NOT_WRITABLE : error, detail);
+                });
+        }, callback);
+    }
+    
+    function unlink(path, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("unlink", path)
+                .always(function () {
+                    _invalidateCache(path);
+                })
+                .done(callback)
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "unlink");
+                });
+        }, callback);
+    }
+    
+    /**
+     * Move a file or directory to the trash, from where it can be restored.
+     * Unlike unlink, this does not delete it permanently. Only supported on
+     * Linux; elsewhere the callback receives NOT_SUPPORTED.
+     * @param {string} path
+     * @param {function(?string)} callback
+     */
+    function moveToTrash(path, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("moveToTrash", path)
+                .always(function () {
+                    _invalidateCache(path);
+                })
+                .done(function () {
+                    callback(null);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "moveToTrash");
+                });
+        }, callback);
+    }
+    
+    /**
+     * Report the entries changed by a transaction to the change callback,
+     * since FileSystem does not apply transactions to its model by itself:
+     * written files with their stats, and the parent directories of all
+     * changed entries. The watcher echoes of transactions are not reported.
+     * @param {{committed: boolean, results: Array.<Object>}} report
+     */
+    function _reportTransaction(report) {
+        var parents = {};
+        
+        if (!_changeCallback) {
+            return;
+        }
+        
+        report.results.forEach(function (result) {
+            var isChanged = report.committed ? result.status === "committed" : result.status === "rollbackFailed";
             
-            if (options.hasOwnProperty("hash") && options.hash !== stats._hash) {
-                console.warn("Blind write attempted: ", path, stats._hash, options.hash);
-                callback(FileSystemError.CONTENTS_MODIFIED);
+            if (!isChanged) {
                 return;
             }
+            if (report.committed && result.type === "write" && result.stats) {
+                _changeCallback(result.path, result.stats);
+            }
+            parents[_parentPath(result.path)] = true;
+            if (result.newPath) {
+                parents[_parentPath(result.newPath)] = true;
+            }
+        });
+        
+        Object.keys(parents).forEach(function (parent) {
+            _changeCallback(parent);
+        });
+    }
+    
+    /**
+     * Apply an ordered list of operations, restoring the original state of
+     * every touched path if one of them fails. Each operation is an object with
+     * a type of "write" (path, data, optional encoding, expectedHash and
+     * lockPolicy, which is applied as by writeFile),
+     * "mkdir" (path, optional mode), "rename" or "copy" (path, newPath) or
+     * "delete" (path); any of them may carry the expectedHash of path.
+     * @param {Array.<Object>} operations
+     * @param {function(?string, ?{committed: boolean, results: Array.<Object>}=, Object=)} callback
+     *      Called with the error of the failed operation, if any, and a report
+     *      with the status ("notRun", "committed", "failed", "rolledBack" or
+     *      "rollbackFailed"), stats, error and errorDetail of each operation.
+     *      If the transaction could not be run at all, the report is null and
+     *      the error detail follows it.
+     */
+    function transaction(operations, callback) {
+        operations = operations.map(function (op) {
+            var sent = $.extend({}, op);
             
-            _finishWrite(false);
+            if (op.type === "write" && typeof op.data !== "string") {
+                sent.data = _arrayBufferToBase64(op.data);
+                sent.encoding = BINARY_ENCODING;
+            } else if (op.encoding) {
+                sent.encoding = _transferEncoding(op.encoding);
+            }
+            if (op.type === "write") {
+                delete sent.lockPolicy;
+                sent.options = {
+                    lockPolicy: op.lockPolicy || PreferencesManager.get("nodeFileSystem.lockPolicy"),
+                    lockOwner: _lockOwner
+                };
+            }
+            return sent;
         });
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("transaction", operations)
+                .always(function () {
+                    operations.forEach(function (op) {
+                        _invalidateCache(op.path);
+                        if (op.newPath) {
+                            _invalidateCache(op.newPath);
+                        }
+                    });
+                })
+                .done(function (report) {
+                    var failed = null;
+                    
+                    report.results.forEach(function (result) {
+                        if (result.stats && result.stats.lock && result.status === "committed") {
+                            console.warn("Wrote file locked by another owner: ", result.path, result.stats.lock);
+                            $(exports).triggerHandler("lockConflict", [result.path, result.stats.lock]);
+                        }
+                        result.stats = result.stats ? _mapNodeStats(result.stats) : null;
+                        if (result.error) {
+                            result.errorDetail = _nodeErrorDetail({cause: result.error, message: result.error.message},
+                                "transaction", result.path);
+                            result.error = result.errorDetail.error;
+                            failed = failed || result.error;
+                        }
+                    });
+                    
+                    _reportTransaction(report);
+                    callback(report.committed ? null : (failed || FileSystemError.UNKNOWN), report);
+                })
+                .fail(function (err) {
+                    var detail = _nodeErrorDetail(err, "transaction");
+                    
+                    callback(detail.error, null, detail);
+                });
+        }, callback);
     }
     
-    function unlink(path, callback) {
-        _enqueueRequest(function () {
-            _nodeDomain.exec("unlink", path)
-                .done(callback)
+    /**
+     * List the local history of a file, which is kept while the
+     * "nodeFileSystem.localHistory" preference is set. The history of a file
+     * follows it when it is renamed and is kept when it is deleted.
+     * @param {string} path Path of a file, or of a directory to list the
+     *      history of all files below it
+     * @param {function(?string, Array.<{id: string, path: string, time: number, size: number}>=)} callback
+     *      Called with the snapshots, newest first
+     */
+    function listHistory(path, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("listHistory", path)
+                .done(function (entries) {
+                    callback(null, entries);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "listHistory", path);
+                });
+        }, callback);
+    }
+    
+    /**
+     * Read the contents of a local history snapshot.
+     * @param {string} id
+     * @param {{encoding: ?string}} options As for readFile
+     * @param {function(?string, (string|ArrayBuffer)=, {id: string, path: string, time: number, size: number}=)} callback
+     */
+    function readHistoryEntry(id, options, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("readHistoryEntry", id, _transferEncoding(options.encoding))
+                .done(function (entry) {
+                    var data = _decodeData(entry.data, options.encoding);
+                    
+                    delete entry.data;
+                    callback(null, data, entry);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "readHistoryEntry");
+                });
+        }, callback);
+    }
+    
+    /**
+     * Write the contents of a local history snapshot back to its file. The
+     * contents it replaces are added to the history first.
+     * @param {string} id
+     * @param {function(?string, FileSystemStats=)} callback
+     */
+    function restoreHistoryEntry(id, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("restoreHistoryEntry", id)
+                .done(function (statObj) {
+                    _invalidateCache(statObj.path);
+                    callback(null, _mapNodeStats(statObj));
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "restoreHistoryEntry");
+                });
+        }, callback);
+    }
+    
+    /**
+     * Take or refresh the advisory lock of a file for this window, taking over
+     * a stale lock. Locks are only honoured by writers that check them, such
+     * as writeFile with a lockPolicy.
+     * @param {string} path
+     * @param {{ttl: ?number}=} options Time in ms after which the lock is
+     *      stale unless it is taken again
+     * @param {function(?string, {path: string, pid: number, host: string, time: number, expires: ?number}=)} callback
+     *      Called with ERROR_LOCKED if another live owner holds the lock
+     */
+    function lock(path, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("lock", path, {owner: _lockOwner, ttl: options.ttl || null})
+                .done(function (lockObj) {
+                    callback(null, lockObj);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "lock", path);
+                });
+        }, callback);
+    }
+    
+    /**
+     * Release the advisory lock of a file.
+     * @param {string} path
+     * @param {{force: ?boolean}=} options Whether to release a lock held by
+     *      another owner
+     * @param {function(?string, boolean=)} callback Called with whether the
+     *      file was locked, or with ERROR_LOCKED if another live owner holds
+     *      the lock
+     */
+    function unlock(path, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("unlock", path, {owner: _lockOwner, force: !!options.force})
+                .done(function (removed) {
+                    callback(null, removed);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "unlock", path);
+                });
+        }, callback);
+    }
+    
+    /**
+     * Read the advisory lock of a file.
+     * @param {string} path
+     * @param {function(?string, ?{path: string, pid: number, host: string, time: number, expires: ?number, isOwn: boolean, isStale: boolean}=)} callback
+     *      Called with null if the file is not locked. isOwn is set for locks
+     *      held by this window, isStale for locks whose process exited or
+     *      that expired.
+     */
+    function queryLock(path, callback) {
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("queryLock", path, _lockOwner)
+                .done(function (lockObj) {
+                    callback(null, lockObj);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "queryLock", path);
+                });
+        }, callback);
+    }
+    
+    /**
+     * Mount the files of another host at a path prefix, so that they can be
+     * read, written and watched like local files; watchers poll them. Moving
+     * entries between the mount and other paths fails with NOT_SUPPORTED, so
+     * do moving to the trash and locking. See _mountStatus for what happens
+     * when the connection to the host is lost.
+     * @param {string} prefix Absolute path, e.g. "/remote/example.com/"
+     * @param {{type: string, root: ?string, host: string, port: ?number, username: string, password: ?string, privateKey: ?string, passphrase: ?string}} options
+     *      The type of backend, only "sftp" for now, the directory on the
+     *      host the prefix is mapped to, "/" by default, and how to connect
+     * @param {function(?string)} callback
+     */
+    function mount(prefix, options, callback) {
+        if (prefix[prefix.length - 1] !== "/") {
+            prefix += "/";
+        }
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("mount", prefix, options)
+                .done(function () {
+                    // Remembered to mount the host again if Node restarts
+                    _mounts[prefix] = options;
+                    _invalidateCache(prefix);
+                    callback(null);
+                })
                 .fail(function (err) {
-                    callback(_mapNodeError(err));
+                    _callbackWithNodeError(callback, err, "mount", prefix);
                 });
+        }, callback);
+    }
+    
+    /**
+     * Unmount the host mounted at a prefix, which stops watching the paths
+     * below it.
+     * @param {string} prefix
+     * @param {function(?string)} callback
+     */
+    function unmount(prefix, callback) {
+        if (prefix[prefix.length - 1] !== "/") {
+            prefix += "/";
+        }
+        
+        Object.keys(_watchedRoots).forEach(function (path) {
+            if (path.indexOf(prefix) === 0) {
+                delete _watchedRoots[path];
+            }
         });
+        delete _mounts[prefix];
+        delete _mountsOfflineSince[prefix];
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("unmount", prefix)
+                .done(function () {
+                    _invalidateCache(prefix);
+                    callback(null);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "unmount", prefix);
+                });
+        }, callback);
+    }
+    
+    /**
+     * Send the command that watches a path, bypassing the request queue.
+     * @param {string} path
+     * @param {?Array.<string>} ignored
+     * @return {$.Promise}
+     */
+    function _sendWatchPath(path, ignored) {
+        var watchOptions = _hashOptions();
+        
+        watchOptions.ignore = ignored || null;
+        watchOptions.poll = _usesPolling(path) || null;
+        watchOptions.pollInterval = PreferencesManager.get("nodeFileSystem.pollInterval");
+        return _nodeDomain.exec("watchPath", path, watchOptions);
     }
     
     function initWatchers(changeCallback, offlineCallback) {
@@ -390,34 +1974,110 @@ define(function (require, exports, module) {
         _offlineCallback = offlineCallback;
     }
     
-    function watchPath(path, callback) {
+    /**
+     * Watch a file or directory; directories are watched recursively where
+     * recursiveWatch is true.
+     * @param {string} path
+     * @param {Array.<string>=} ignored Globs, relative to path, of files and
+     *      directories whose changes need not be reported
+     * @param {function(?string)=} callback
+     */
+    function watchPath(path, ignored, callback) {
+        if (typeof ignored === "function") {
+            callback = ignored;
+            ignored = null;
+        }
         callback = callback || function () {};
         
-        _enqueueRequest(function () {
-            _nodeDomain.exec("watchPath", path)
+        // Remembered to watch the path again if Node restarts
+        _watchedRoots[path] = ignored || null;
+        
+        if (_historyEnabled && path[path.length - 1] === "/") {
+            _setHistoryEnabled(path, true);
+        }
+        
+        return _enqueueRequest(function () {
+            return _sendWatchPath(path, ignored)
                 .done(callback)
                 .fail(callback);
-        });
+        }, callback);
     }
     
     function unwatchPath(path, callback) {
         callback = callback || function () {};
         
-        _enqueueRequest(function () {
-            _nodeDomain.exec("unwatchPath", path)
+        delete _watchedRoots[path];
+        delete _partiallyWatchedRoots[path];
+        _invalidateCache(path);
+        if (_historyEnabled && path[path.length - 1] === "/") {
+            _setHistoryEnabled(path, false);
+        }
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("unwatchPath", path)
                 .done(callback)
                 .fail(callback);
-        });
+        }, callback);
     }
     
     function unwatchAll(callback) {
         callback = callback || function () {};
         
-        _enqueueRequest(function () {
-            _nodeDomain.exec("watchPath")
+        if (_historyEnabled) {
+            Object.keys(_watchedRoots).forEach(function (path) {
+                if (path[path.length - 1] === "/") {
+                    _setHistoryEnabled(path, false);
+                }
+            });
+        }
+        _watchedRoots = {};
+        _partiallyWatchedRoots = {};
+        _cache.clear();
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("unwatchAll")
                 .done(callback)
                 .fail(callback);
-        });
+        }, callback);
+    }
+    
+    /**
+     * Hold back watcher changes, e.g. during a bulk operation, until
+     * resumeWatchers is called. Calls may be nested.
+     * @param {function(?string)=} callback
+     */
+    function pauseWatchers(callback) {
+        callback = callback || function () {};
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("pauseWatchers")
+                .done(function () {
+                    callback(null);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "pauseWatchers");
+                });
+        }, callback);
+    }
+    
+    /**
+     * Undo a call to pauseWatchers. Once all calls are undone, the changes
+     * made in the meantime are reported as one batch.
+     * @param {function(?string, number=)=} callback Called with the number of
+     *      changes reported
+     */
+    function resumeWatchers(callback) {
+        callback = callback || function () {};
+        
+        return _enqueueRequest(function () {
+            return _nodeDomain.exec("resumeWatchers")
+                .done(function (count) {
+                    callback(null, count);
+                })
+                .fail(function (err) {
+                    _callbackWithNodeError(callback, err, "resumeWatchers");
+                });
+        }, callback);
     }
     
     // Export public API
@@ -425,20 +2085,65 @@ define(function (require, exports, module) {
     exports.showSaveDialog  = showSaveDialog;
     exports.exists          = exists;
     exports.readdir         = readdir;
+    exports.walk            = walk;
+    exports.search          = search;
     exports.mkdir           = mkdir;
     exports.rename          = rename;
+    exports.copy            = copy;
+    exports.chmod           = chmod;
+    exports.chown           = chown;
+    exports.utimes          = utimes;
+    exports.readlink        = readlink;
+    exports.symlink         = symlink;
     exports.stat            = stat;
     exports.readFile        = readFile;
     exports.readAllFiles    = readAllFiles;
+    exports.readFileChunk   = readFileChunk;
     exports.writeFile       = writeFile;
     exports.unlink          = unlink;
+    exports.moveToTrash     = moveToTrash;
+    exports.transaction     = transaction;
+    exports.listHistory     = listHistory;
+    exports.readHistoryEntry    = readHistoryEntry;
+    exports.restoreHistoryEntry = restoreHistoryEntry;
+    exports.lock            = lock;
+    exports.unlock          = unlock;
+    exports.queryLock       = queryLock;
+    exports.mount           = mount;
+    exports.unmount         = unmount;
     exports.initWatchers    = initWatchers;
     exports.watchPath       = watchPath;
     exports.unwatchPath     = unwatchPath;
     exports.unwatchAll      = unwatchAll;
+    exports.pauseWatchers   = pauseWatchers;
+    exports.resumeWatchers  = resumeWatchers;
+    exports.setHashMode     = setHashMode;
+    exports.setMaxFileSize  = setMaxFileSize;
+    exports.runInBackground = runInBackground;
+    exports.getCacheStats   = getCacheStats;
+    exports.clearCache      = clearCache;
+    
+    // Requests return a handle whose cancel() removes them from the queue if they
+    // were not sent yet; their callback then receives ERROR_CANCELED
+    exports.ERROR_CANCELED  = ERROR_CANCELED;
+    
+    // Requests made while the connection to Node is lost are queued until it is
+    // restored; after the "nodeFileSystem.offlineTimeout" preference, they fail
+    // with ERROR_OFFLINE
+    exports.ERROR_OFFLINE   = ERROR_OFFLINE;
+    
+    // Writes of files locked by another window or process fail with
+    // ERROR_LOCKED under the "refuse" lock policy; see lock and writeFile
+    exports.ERROR_LOCKED    = ERROR_LOCKED;
+    
+    // Errors without a FileSystemError equivalent. Requests that fail in Node
+    // call back with the error followed by its detail, as sent to "error"
+    // event handlers, e.g. callback(FileSystemError.NOT_WRITABLE, {code: "EROFS", ...})
+    exports.ERROR_NOT_EMPTY             = ERROR_NOT_EMPTY;
+    exports.ERROR_TOO_MANY_OPEN_FILES   = ERROR_TOO_MANY_OPEN_FILES;
     
-    // Node only supports recursive file watching on the Darwin
-    exports.recursiveWatch = appshell.platform === "mac";
+    // Recursive file watching uses FSEvents on Darwin and a watch per directory on Linux
+    exports.recursiveWatch = appshell.platform === "mac" || appshell.platform === "linux";
     
     // Only perform UNC path normalization on Windows
     exports.normalizeUNCPaths = appshell.platform === "win";
@@ -0,0 +1,141 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+define(function (require, exports, module) {
+    "use strict";
+    
+    var FileSystemStats = require("filesystem/FileSystemStats");
+    
+    function _toDate(time) {
+        return typeof time === "number" ? new Date(time) : null;
+    }
+    
+    /**
+     * FileSystemStats with the additional metadata reported by the Node
+     * file system: POSIX ownership, permissions and times, symbolic link
+     * information and the text encoding of files that were read or written.
+     * 
+     * @constructor
+     * @extends {FileSystemStats}
+     * @param {Object} options Options for FileSystemStats, and any of the
+     *      properties below, with times given in milliseconds
+     */
+    function NodeFileSystemStats(options) {
+        FileSystemStats.call(this, options);
+        
+        this.mode = options.mode !== undefined ? options.mode : null;
+        this.uid = options.uid !== undefined ? options.uid : null;
+        this.gid = options.gid !== undefined ? options.gid : null;
+        this.dev = options.dev !== undefined ? options.dev : null;
+        this.ino = options.ino !== undefined ? options.ino : null;
+        this.atime = _toDate(options.atime);
+        this.ctime = _toDate(options.ctime);
+        this.birthtime = _toDate(options.birthtime);
+        this.isWritable = options.isWritable !== false;
+        
+        this.isSymbolicLink = !!options.isSymbolicLink;
+        this.linkTarget = options.linkTarget || null;
+        this.isDangling = !!options.isDangling;
+        
+        this.encoding = options.encoding || null;
+        this.bom = !!options.bom;
+    }
+    
+    NodeFileSystemStats.prototype = Object.create(FileSystemStats.prototype);
+    NodeFileSystemStats.prototype.constructor = NodeFileSystemStats;
+    
+    /**
+     * Permission bits and file type of the entry, as in stat(2)
+     * @type {?number}
+     */
+    NodeFileSystemStats.prototype.mode = null;
+    
+    /**
+     * User and group id of the owner
+     * @type {?number}
+     */
+    NodeFileSystemStats.prototype.uid = null;
+    NodeFileSystemStats.prototype.gid = null;
+    
+    /**
+     * Device and inode number, which together identify the entry
+     * @type {?number}
+     */
+    NodeFileSystemStats.prototype.dev = null;
+    NodeFileSystemStats.prototype.ino = null;
+    
+    /**
+     * Time of last access, last status change and creation. The creation
+     * time is null where the platform does not report it.
+     * @type {?Date}
+     */
+    NodeFileSystemStats.prototype.atime = null;
+    NodeFileSystemStats.prototype.ctime = null;
+    NodeFileSystemStats.prototype.birthtime = null;
+    
+    /**
+     * Whether the current user may write to the entry, as far as its
+     * permission bits tell
+     * @type {boolean}
+     */
+    NodeFileSystemStats.prototype.isWritable = true;
+    
+    /**
+     * Whether the entry is a symbolic link
+     * @type {boolean}
+     */
+    NodeFileSystemStats.prototype.isSymbolicLink = false;
+    
+    /**
+     * Target of a symbolic link, as stored in the link
+     * @type {?string}
+     */
+    NodeFileSystemStats.prototype.linkTarget = null;
+    
+    /**
+     * Whether a symbolic link points to a missing entry. A dangling link has
+     * the stats of the link itself.
+     * @type {boolean}
+     */
+    NodeFileSystemStats.prototype.isDangling = false;
+    
+    /**
+     * Text encoding of a file that was read or written
+     * @type {?string}
+     */
+    NodeFileSystemStats.prototype.encoding = null;
+    
+    /**
+     * Whether a file that was read or written has a byte order mark
+     * @type {boolean}
+     */
+    NodeFileSystemStats.prototype.bom = false;
+    
+    // Export public API
+    module.exports = NodeFileSystemStats;
+});
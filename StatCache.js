@@ -0,0 +1,199 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+define(function (require, exports, module) {
+    "use strict";
+    
+    function _normalize(path) {
+        return path.length > 1 && path[path.length - 1] === "/" ? path.substr(0, path.length - 1) : path;
+    }
+    
+    /**
+     * A size-limited cache of stat, exists and readdir results, keyed by kind
+     * and path. The least recently used results are evicted first. Results
+     * are only stored if no invalidation happened since the request that
+     * produced them was sent, so that a request racing with a change cannot
+     * store a stale result.
+     * 
+     * @constructor
+     * @param {number} maxSize Maximum number of results
+     */
+    function StatCache(maxSize) {
+        this._maxSize = maxSize;
+        this._entries = {};
+        this._size = 0;
+        this._generation = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+    
+    StatCache.prototype._key = function (kind, path) {
+        return kind + ":" + _normalize(path);
+    };
+    
+    /**
+     * Look up a result, counting a hit or a miss.
+     * @param {string|Array.<string>} kind "stat", "exists" or "readdir", or
+     *      several kinds to try in order
+     * @param {string} path
+     * @return {*} The result, or undefined
+     */
+    StatCache.prototype.get = function (kind, path) {
+        var kinds = Array.isArray(kind) ? kind : [kind],
+            i,
+            key,
+            value;
+        
+        for (i = 0; i < kinds.length; i++) {
+            key = this._key(kinds[i], path);
+            if (this._entries.hasOwnProperty(key)) {
+                // Re-insert the entry so that it is evicted last
+                value = this._entries[key];
+                delete this._entries[key];
+                this._entries[key] = value;
+                
+                this.hits++;
+                return value;
+            }
+        }
+        
+        this.misses++;
+        return undefined;
+    };
+    
+    /**
+     * The current generation, to be passed to set with the result of a
+     * request sent now.
+     * @return {number}
+     */
+    StatCache.prototype.generation = function () {
+        return this._generation;
+    };
+    
+    /**
+     * Store a result, unless the cache was invalidated since generation.
+     * @param {string} kind "stat", "exists" or "readdir"
+     * @param {string} path
+     * @param {*} value
+     * @param {number} generation
+     */
+    StatCache.prototype.set = function (kind, path, value, generation) {
+        var key = this._key(kind, path),
+            oldest;
+        
+        if (generation !== this._generation || this._maxSize <= 0) {
+            return;
+        }
+        
+        if (this._entries.hasOwnProperty(key)) {
+            delete this._entries[key];
+        } else if (this._size >= this._maxSize) {
+            for (oldest in this._entries) {
+                if (this._entries.hasOwnProperty(oldest)) {
+                    delete this._entries[oldest];
+                    break;
+                }
+            }
+        } else {
+            this._size++;
+        }
+        
+        this._entries[key] = value;
+    };
+    
+    /**
+     * Drop the results for a path that changed: its stats, the contents of
+     * its parent directory and, for a directory, everything below it. As a
+     * change in a directory changes the stats of the directory as well, its
+     * parent's stats are dropped too, both on their own and as part of the
+     * contents of the directory above.
+     * @param {string} path
+     */
+    StatCache.prototype.invalidate = function (path) {
+        var normalized = _normalize(path),
+            parent = _normalize(normalized.substr(0, normalized.lastIndexOf("/") + 1)),
+            grandparent = _normalize(parent.substr(0, parent.lastIndexOf("/") + 1)),
+            prefix = normalized + "/";
+        
+        if (normalized === "/") {
+            this.clear();
+            return;
+        }
+        
+        this._generation++;
+        
+        Object.keys(this._entries).forEach(function (key) {
+            var kind = key.substr(0, key.indexOf(":")),
+                keyPath = key.substr(key.indexOf(":") + 1);
+            
+            if (keyPath === normalized || keyPath.indexOf(prefix) === 0 || keyPath === parent ||
+                    (kind === "readdir" && parent !== "/" && keyPath === grandparent)) {
+                delete this._entries[key];
+                this._size--;
+            }
+        }, this);
+    };
+    
+    /**
+     * Drop all results.
+     */
+    StatCache.prototype.clear = function () {
+        this._generation++;
+        this._entries = {};
+        this._size = 0;
+    };
+    
+    /**
+     * Change the maximum number of results, evicting results if necessary.
+     * @param {number} maxSize
+     */
+    StatCache.prototype.setMaxSize = function (maxSize) {
+        var keys = Object.keys(this._entries),
+            excess = this._size - Math.max(maxSize, 0);
+        
+        this._maxSize = maxSize;
+        keys.slice(0, Math.max(excess, 0)).forEach(function (key) {
+            delete this._entries[key];
+            this._size--;
+        }, this);
+    };
+    
+    /**
+     * @return {{hits: number, misses: number, size: number, maxSize: number}}
+     */
+    StatCache.prototype.getCounters = function () {
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            size: this._size,
+            maxSize: this._maxSize
+        };
+    };
+    
+    module.exports = StatCache;
+});
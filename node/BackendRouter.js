@@ -0,0 +1,295 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    EventEmitter = require("events").EventEmitter,
+    util = require("util"),
+    Errors = require("./Errors"),
+    LocalBackend = require("./LocalBackend");
+
+/** Methods whose first argument is a path */
+var PATH_METHODS = [
+    "chmod", "chown", "lstat", "mkdir", "mkdirs", "readFile", "readdir",
+    "readlink", "remove", "rmdir", "stat", "unlink", "utimes", "writeFile"
+];
+
+/** Methods whose first two arguments are paths, which must be on the same backend */
+var TWO_PATH_METHODS = ["copy", "link", "rename"];
+
+/** Methods whose first argument is a file descriptor returned by openAsync */
+var FD_METHODS = ["close", "fstat", "fsync", "read"];
+
+function _withSlash(path) {
+    return path[path.length - 1] === "/" ? path : path + "/";
+}
+
+/**
+ * Dispatches file system calls to the backend each path belongs to: the
+ * backend mounted at the longest prefix of the path, or the default backend.
+ * Paths below a prefix are translated to paths below the root of its
+ * backend, and back in results and errors, so that callers only ever see
+ * the paths they passed in.
+ * 
+ * Has the same methods as a backend; see LocalBackend. Moving, copying or
+ * linking between two backends fails with EXDEV. Emits "offline" and
+ * "online" events with the prefix of a mounted backend whose connection
+ * was lost or restored.
+ * 
+ * @constructor
+ * @param {Object=} defaultBackend Backend of unmounted paths, the local file
+ *      system by default
+ */
+function BackendRouter(defaultBackend) {
+    EventEmitter.call(this);
+    
+    this._defaultBackend = defaultBackend || new LocalBackend();
+    this._mounts = {};
+}
+
+util.inherits(BackendRouter, EventEmitter);
+
+/**
+ * Mount a backend at a path prefix. Paths below prefix are mapped to paths
+ * below root on the backend.
+ * @param {string} prefix Absolute path, e.g. "/remote/example.com/"
+ * @param {Object} backend
+ * @param {string=} root Absolute path on the backend, "/" by default
+ */
+BackendRouter.prototype.mount = function (prefix, backend, root) {
+    var self = this,
+        mount;
+    
+    prefix = _withSlash(prefix);
+    if (this._mounts.hasOwnProperty(prefix)) {
+        throw Errors.createError("EEXIST", "A backend is already mounted at " + prefix, prefix);
+    }
+    
+    mount = {
+        prefix: prefix,
+        root: _withSlash(root || "/"),
+        backend: backend,
+        onOffline: function () {
+            self.emit("offline", prefix);
+        },
+        onOnline: function () {
+            self.emit("online", prefix);
+        }
+    };
+    backend.on("offline", mount.onOffline);
+    backend.on("online", mount.onOnline);
+    this._mounts[prefix] = mount;
+};
+
+/**
+ * Unmount the backend mounted at a prefix and close it.
+ * @param {string} prefix
+ * @return {Promise} Rejected with ENOENT if nothing is mounted there
+ */
+BackendRouter.prototype.unmount = function (prefix) {
+    var mount;
+    
+    prefix = _withSlash(prefix);
+    if (!this._mounts.hasOwnProperty(prefix)) {
+        return Promise.rejected(Errors.createError("ENOENT", "No backend is mounted at " + prefix, prefix));
+    }
+    
+    mount = this._mounts[prefix];
+    delete this._mounts[prefix];
+    mount.backend.removeListener("offline", mount.onOffline);
+    mount.backend.removeListener("online", mount.onOnline);
+    return mount.backend.close();
+};
+
+/**
+ * The prefixes at which backends are mounted.
+ * @return {Array.<string>}
+ */
+BackendRouter.prototype.mounts = function () {
+    return Object.keys(this._mounts);
+};
+
+BackendRouter.prototype._mountFor = function (path) {
+    var prefix,
+        best = null;
+    
+    for (prefix in this._mounts) {
+        if (this._mounts.hasOwnProperty(prefix) &&
+                (path.indexOf(prefix) === 0 || path + "/" === prefix) &&
+                (!best || prefix.length > best.prefix.length)) {
+            best = this._mounts[prefix];
+        }
+    }
+    return best;
+};
+
+/**
+ * Whether a path belongs to a mounted backend on another host.
+ * @param {string} path
+ * @return {boolean}
+ */
+BackendRouter.prototype.isRemote = function (path) {
+    var mount = this._mountFor(path);
+    
+    return !!mount && !!mount.backend.isRemote;
+};
+
+/**
+ * The backend of a path and the path on that backend.
+ * @param {string} path
+ * @return {{backend: Object, path: string, mount: ?Object}}
+ */
+BackendRouter.prototype._resolve = function (path) {
+    var mount = this._mountFor(path);
+    
+    if (!mount) {
+        return {backend: this._defaultBackend, path: path, mount: null};
+    }
+    if (path.length < mount.prefix.length) {
+        return {backend: mount.backend, path: mount.root.replace(/(.)\/$/, "$1"), mount: mount};
+    }
+    return {backend: mount.backend, path: mount.root + path.substr(mount.prefix.length), mount: mount};
+};
+
+/**
+ * Translate a path on the backend of a mount back to a local path. Paths
+ * outside the root of the mount are returned unchanged.
+ * @param {?Object} mount
+ * @param {string} path
+ * @return {string}
+ */
+function _toLocalPath(mount, path) {
+    if (!mount || typeof path !== "string") {
+        return path;
+    }
+    if (path.indexOf(mount.root) === 0) {
+        return mount.prefix + path.substr(mount.root.length);
+    }
+    if (path + "/" === mount.root) {
+        return mount.prefix.substr(0, mount.prefix.length - 1);
+    }
+    return path;
+}
+
+function _call(target, name, args) {
+    return target.backend[name + "Async"].apply(target.backend, args)
+        .catch(function (err) {
+            if (target.mount && err && err.cause) {
+                err.cause.path = _toLocalPath(target.mount, err.cause.path);
+                err.cause.dest = _toLocalPath(target.mount, err.cause.dest);
+            }
+            throw err;
+        });
+}
+
+PATH_METHODS.forEach(function (name) {
+    BackendRouter.prototype[name + "Async"] = function (path) {
+        var target = this._resolve(path),
+            args = Array.prototype.slice.call(arguments);
+        
+        args[0] = target.path;
+        return _call(target, name, args);
+    };
+});
+
+TWO_PATH_METHODS.forEach(function (name) {
+    BackendRouter.prototype[name + "Async"] = function (src, dest) {
+        var target = this._resolve(src),
+            destTarget = this._resolve(dest),
+            args = Array.prototype.slice.call(arguments);
+        
+        if (target.backend !== destTarget.backend) {
+            return Promise.rejected(Errors.createError("EXDEV", "Cannot " + name + " " + src + " to " + dest + " on another backend", src));
+        }
+        
+        args[0] = target.path;
+        args[1] = destTarget.path;
+        return _call(target, name, args);
+    };
+});
+
+FD_METHODS.forEach(function (name) {
+    BackendRouter.prototype[name + "Async"] = function (fd) {
+        var args = Array.prototype.slice.call(arguments);
+        
+        args[0] = fd.fd;
+        return _call(fd, name, args);
+    };
+});
+
+/**
+ * Open a file. The descriptor must only be passed to the methods of the
+ * router, which dispatch it to the backend it was opened on.
+ * @return {Promise.<{backend: Object, fd: *, mount: ?Object}>}
+ */
+BackendRouter.prototype.openAsync = function (path) {
+    var target = this._resolve(path),
+        args = Array.prototype.slice.call(arguments);
+    
+    args[0] = target.path;
+    return _call(target, "open", args).then(function (fd) {
+        return {backend: target.backend, fd: fd, mount: target.mount};
+    });
+};
+
+/**
+ * Create a symbolic link at path. The target is stored as is, and thus
+ * relative to the backend for absolute targets.
+ */
+BackendRouter.prototype.symlinkAsync = function (target, path) {
+    var linkTarget = this._resolve(path),
+        args = Array.prototype.slice.call(arguments);
+    
+    args[1] = linkTarget.path;
+    return _call(linkTarget, "symlink", args);
+};
+
+BackendRouter.prototype.realpathAsync = function (path) {
+    var target = this._resolve(path),
+        args = Array.prototype.slice.call(arguments);
+    
+    args[0] = target.path;
+    return _call(target, "realpath", args).then(function (realPath) {
+        return _toLocalPath(target.mount, realPath);
+    });
+};
+
+BackendRouter.prototype.createReadStream = function (path, options) {
+    var target = this._resolve(path);
+    
+    return target.backend.createReadStream(target.path, options);
+};
+
+BackendRouter.prototype.createWriteStream = function (path, options) {
+    var target = this._resolve(path);
+    
+    return target.backend.createWriteStream(target.path, options);
+};
+
+module.exports = BackendRouter;
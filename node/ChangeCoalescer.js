@@ -0,0 +1,308 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    EventEmitter = require("events").EventEmitter,
+    util = require("util");
+
+/** Quiet period, in milliseconds, after which pending changes are reported */
+var DEFAULT_DELAY = 200;
+
+/** Changes are reported at least this often, in milliseconds, during a burst */
+var DEFAULT_MAX_DELAY = 1000;
+
+/** Maximum number of entries whose identity is remembered to detect renames */
+var MAX_KNOWN_ENTRIES = 10000;
+
+/**
+ * Turns raw watcher notifications into batches of typed changes. Paths are
+ * added as they are reported by the watcher; once no notification has
+ * arrived for a while, each path is stat'ed and the batch is emitted as:
+ * 
+ *   "changes" (Array.<{type: string, path: string, oldPath: ?string, stats: ?Object}>)
+ * 
+ * where type is one of:
+ *   "created"  - path did not exist before
+ *   "modified" - the contents or metadata of path changed
+ *   "deleted"  - path no longer exists; there are no stats
+ *   "renamed"  - the entry at oldPath was moved to path
+ * 
+ * Directory paths end with a slash. Renames are only detected for entries
+ * whose identity (device and inode) was remembered beforehand, because they
+ * were scanned or reported earlier; otherwise they are reported as a
+ * deletion and a creation. Entries without an inode, e.g. on remote backends,
+ * are never paired.
+ * 
+ * @constructor
+ * @param {function(string): Promise} stat Resolves with the stats of a path,
+ *      as reported by the stat command
+ * @param {{delay: ?number, maxDelay: ?number}=} options
+ */
+function ChangeCoalescer(stat, options) {
+    EventEmitter.call(this);
+    
+    this._stat = stat;
+    this._delay = (options && options.delay) || DEFAULT_DELAY;
+    this._maxDelay = (options && options.maxDelay) || DEFAULT_MAX_DELAY;
+    this._pending = {};
+    this._known = {};
+    this._knownCount = 0;
+    this._timeout = null;
+    this._batchStart = 0;
+    this._lastFlush = Promise.fulfilled();
+    this._paused = false;
+    this._closed = false;
+}
+
+util.inherits(ChangeCoalescer, EventEmitter);
+
+function _stripSlash(path) {
+    return path[path.length - 1] === "/" ? path.substr(0, path.length - 1) : path;
+}
+
+function _isNotFound(err) {
+    var code = err && (err.cause ? err.cause.code : err.code);
+    
+    return code === "ENOENT" || code === "ENOTDIR";
+}
+
+/**
+ * Record a raw notification for a path.
+ * @param {string} path
+ * @param {string} event "change" if the contents changed, "rename" if the
+ *      entry may have been created, deleted or moved
+ */
+ChangeCoalescer.prototype.add = function (path, event) {
+    var self = this,
+        now = Date.now(),
+        delay;
+    
+    if (this._closed) {
+        return;
+    }
+    
+    path = _stripSlash(path);
+    if (this._pending[path] !== "rename") {
+        this._pending[path] = event;
+    }
+    
+    if (this._paused) {
+        return;
+    }
+    
+    if (this._timeout) {
+        clearTimeout(this._timeout);
+    } else {
+        this._batchStart = now;
+    }
+    
+    delay = Math.min(this._delay, Math.max(0, this._batchStart + this._maxDelay - now));
+    this._timeout = setTimeout(function () {
+        self._timeout = null;
+        self.flush();
+    }, delay);
+};
+
+/**
+ * Remember the identity of an entry, so that renaming it can be detected.
+ * @param {string} path
+ * @param {{dev: number, ino: number, isFile: boolean}} stats
+ */
+ChangeCoalescer.prototype.remember = function (path, stats) {
+    var oldest;
+    
+    path = _stripSlash(path);
+    if (!this._known.hasOwnProperty(path)) {
+        if (this._knownCount >= MAX_KNOWN_ENTRIES) {
+            for (oldest in this._known) {
+                if (this._known.hasOwnProperty(oldest)) {
+                    delete this._known[oldest];
+                    break;
+                }
+            }
+        } else {
+            this._knownCount++;
+        }
+    }
+    
+    this._known[path] = {
+        id: stats.ino ? stats.dev + ":" + stats.ino : null,
+        isDirectory: !stats.isFile
+    };
+};
+
+/**
+ * Forget the identity of an entry and, for a directory, of its descendants.
+ * @param {string} path
+ */
+ChangeCoalescer.prototype.forget = function (path) {
+    var prefix;
+    
+    path = _stripSlash(path);
+    prefix = path + "/";
+    
+    Object.keys(this._known).forEach(function (knownPath) {
+        if (knownPath === path || knownPath.indexOf(prefix) === 0) {
+            delete this._known[knownPath];
+            this._knownCount--;
+        }
+    }, this);
+};
+
+/**
+ * Stat the pending paths and emit them as a batch of changes. Batches are
+ * emitted in order, even if the stat calls of a later batch complete first.
+ * @return {Promise} Resolved once the batch was emitted
+ */
+ChangeCoalescer.prototype.flush = function () {
+    var self = this,
+        pending = this._pending,
+        paths = Object.keys(pending);
+    
+    this._pending = {};
+    if (this._timeout) {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+    }
+    
+    if (paths.length === 0) {
+        return this._lastFlush;
+    }
+    
+    var statPromise = Promise.settle(paths.map(function (path) {
+        return self._stat(path);
+    }));
+    
+    this._lastFlush = Promise.join(statPromise, this._lastFlush)
+        .spread(function (inspectors) {
+            var changes = self._typeChanges(paths, pending, inspectors);
+            
+            if (changes.length > 0 && !self._closed) {
+                self.emit("changes", changes);
+            }
+        })
+        .catch(function (err) {
+            console.error("Failed to report changes: " + (err && err.message));
+        });
+    
+    return this._lastFlush;
+};
+
+ChangeCoalescer.prototype._typeChanges = function (paths, pending, inspectors) {
+    var self = this,
+        changes = [],
+        deletedById = {};
+    
+    paths.forEach(function (path, index) {
+        var inspector = inspectors[index],
+            known = self._known[path],
+            stats,
+            err;
+        
+        if (inspector.isFulfilled()) {
+            stats = inspector.value();
+            self.remember(path, stats);
+            changes.push({
+                type: pending[path] === "rename" && !known ? "created" : "modified",
+                path: stats.isFile ? path : path + "/",
+                stats: stats
+            });
+            return;
+        }
+        
+        err = inspector.error();
+        if (!_isNotFound(err)) {
+            // The entry exists, but cannot be stat'ed
+            changes.push({type: "modified", path: path, stats: null});
+            return;
+        }
+        
+        self.forget(path);
+        changes.push({
+            type: "deleted",
+            path: known && known.isDirectory ? path + "/" : path
+        });
+        if (known && known.id) {
+            deletedById[known.id] = changes[changes.length - 1];
+        }
+    });
+    
+    // A deletion and a creation of the same entry in one batch is a rename
+    changes.forEach(function (change) {
+        var deleted;
+        
+        if (change.type === "created" && change.stats.ino) {
+            deleted = deletedById[change.stats.dev + ":" + change.stats.ino];
+            if (deleted) {
+                change.type = "renamed";
+                change.oldPath = deleted.path;
+                deleted.type = null;
+            }
+        }
+    });
+    
+    return changes.filter(function (change) {
+        return change.type !== null;
+    });
+};
+
+/**
+ * Keep collecting changes without emitting them until resume is called.
+ */
+ChangeCoalescer.prototype.pause = function () {
+    this._paused = true;
+    if (this._timeout) {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+    }
+};
+
+/**
+ * Emit the changes collected while paused as one batch, and resume
+ * emitting changes as they happen.
+ * @return {Promise} Resolved once the batch was emitted
+ */
+ChangeCoalescer.prototype.resume = function () {
+    this._paused = false;
+    return this.flush();
+};
+
+/**
+ * Discard the pending changes and stop emitting changes.
+ */
+ChangeCoalescer.prototype.close = function () {
+    this._closed = true;
+    this._pending = {};
+    if (this._timeout) {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+    }
+};
+
+module.exports = ChangeCoalescer;
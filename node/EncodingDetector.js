@@ -0,0 +1,236 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, bitwise: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+// Number of leading bytes that are inspected when guessing an encoding
+var SAMPLE_SIZE = 64 * 1024;
+
+var UTF8_BOM    = [0xEF, 0xBB, 0xBF],
+    UTF16LE_BOM = [0xFF, 0xFE],
+    UTF16BE_BOM = [0xFE, 0xFF];
+
+function _startsWith(buffer, bytes) {
+    var i;
+
+    if (buffer.length < bytes.length) {
+        return false;
+    }
+    for (i = 0; i < bytes.length; i++) {
+        if (buffer[i] !== bytes[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Determine whether the sample is valid UTF-8. A multi-byte sequence that is
+ * cut off at the end of the sample is accepted.
+ * @param {Buffer} sample
+ * @return {boolean}
+ */
+function _isUTF8(sample) {
+    var i = 0,
+        length = sample.length,
+        byte,
+        trailing,
+        j;
+
+    while (i < length) {
+        byte = sample[i];
+
+        if (byte < 0x80) {
+            trailing = 0;
+        } else if (byte >= 0xC2 && byte <= 0xDF) {
+            trailing = 1;
+        } else if (byte >= 0xE0 && byte <= 0xEF) {
+            trailing = 2;
+        } else if (byte >= 0xF0 && byte <= 0xF4) {
+            trailing = 3;
+        } else {
+            return false;
+        }
+
+        for (j = 1; j <= trailing && i + j < length; j++) {
+            if ((sample[i + j] & 0xC0) !== 0x80) {
+                return false;
+            }
+        }
+        i += trailing + 1;
+    }
+    return true;
+}
+
+/**
+ * Guess the byte order of UTF-16 text without a BOM from the position of the
+ * zero bytes that mostly-ASCII text produces.
+ * @param {Buffer} sample
+ * @return {?string} "utf16le", "utf16be" or null
+ */
+function _guessUTF16(sample) {
+    var pairs = Math.floor(sample.length / 2),
+        evenZeros = 0,
+        oddZeros = 0,
+        i;
+
+    if (pairs === 0) {
+        return null;
+    }
+
+    for (i = 0; i < pairs * 2; i += 2) {
+        if (sample[i] === 0) {
+            evenZeros++;
+        }
+        if (sample[i + 1] === 0) {
+            oddZeros++;
+        }
+    }
+
+    if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) {
+        return "utf16le";
+    } else if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) {
+        return "utf16be";
+    }
+    return null;
+}
+
+/**
+ * Determine whether the sample looks like Shift_JIS. Every non-ASCII byte must
+ * belong to a valid double-byte sequence or a half-width katakana, and most
+ * double-byte sequences must have a trail byte outside the ASCII range, which
+ * distinguishes Japanese text from Windows-1252 punctuation next to letters.
+ * @param {Buffer} sample
+ * @return {boolean}
+ */
+function _isShiftJIS(sample) {
+    var i = 0,
+        pairs = 0,
+        highTrails = 0,
+        byte,
+        trail;
+
+    while (i < sample.length) {
+        byte = sample[i];
+
+        if (byte < 0x80 || (byte >= 0xA1 && byte <= 0xDF)) {
+            i++;
+        } else if ((byte >= 0x81 && byte <= 0x9F) || (byte >= 0xE0 && byte <= 0xFC)) {
+            if (i + 1 === sample.length) {
+                break;
+            }
+            trail = sample[i + 1];
+            if (trail < 0x40 || trail === 0x7F || trail > 0xFC) {
+                return false;
+            }
+            pairs++;
+            if (trail >= 0x80) {
+                highTrails++;
+            }
+            i += 2;
+        } else {
+            return false;
+        }
+    }
+
+    return pairs > 0 && highTrails / pairs >= 0.5;
+}
+
+/**
+ * Detect the encoding of file contents from its byte order mark or, if it has
+ * none, from the contents themselves. Content that is not valid UTF-8, UTF-16
+ * or Shift_JIS is assumed to be Windows-1252, which can decode any byte.
+ * @param {Buffer} buffer
+ * @return {{encoding: string, bom: boolean}}
+ */
+function detect(buffer) {
+    var sample = buffer.length > SAMPLE_SIZE ? buffer.slice(0, SAMPLE_SIZE) : buffer,
+        utf16;
+
+    if (_startsWith(buffer, UTF8_BOM)) {
+        return {encoding: "utf8", bom: true};
+    } else if (_startsWith(buffer, UTF16LE_BOM)) {
+        return {encoding: "utf16le", bom: true};
+    } else if (_startsWith(buffer, UTF16BE_BOM)) {
+        return {encoding: "utf16be", bom: true};
+    }
+
+    utf16 = _guessUTF16(sample);
+    if (utf16) {
+        return {encoding: utf16, bom: false};
+    } else if (_isUTF8(sample)) {
+        return {encoding: "utf8", bom: false};
+    } else if (_isShiftJIS(sample)) {
+        return {encoding: "shift_jis", bom: false};
+    }
+    return {encoding: "windows-1252", bom: false};
+}
+
+function _normalize(encoding) {
+    return String(encoding).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Whether two encoding names refer to the same encoding, e.g. "UTF-8" and "utf8".
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+function isSameEncoding(a, b) {
+    return _normalize(a) === _normalize(b);
+}
+
+function _isUTF16(encoding) {
+    return (/^utf16(le|be)?$/).test(_normalize(encoding));
+}
+
+/**
+ * Whether text in the encoding legitimately contains the zero or high control
+ * bytes that binary file detection looks for, as UTF-16 and Shift_JIS do.
+ * @param {string} encoding
+ * @return {boolean}
+ */
+function isMultiByte(encoding) {
+    return _isUTF16(encoding) || (/^(shiftjis|sjis|cp932|windows31j)$/).test(_normalize(encoding));
+}
+
+/**
+ * Whether text in the encoding can start with a byte order mark.
+ * @param {string} encoding
+ * @return {boolean}
+ */
+function supportsBOM(encoding) {
+    return _isUTF16(encoding) || _normalize(encoding) === "utf8";
+}
+
+exports.detect          = detect;
+exports.isSameEncoding  = isSameEncoding;
+exports.isMultiByte     = isMultiByte;
+exports.supportsBOM     = supportsBOM;
+
+// Callers may read only this many leading bytes of a file to detect its encoding
+exports.SAMPLE_SIZE     = SAMPLE_SIZE;
@@ -0,0 +1,57 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+/**
+ * Create an error in the form the domain reports to the client: the code and
+ * path are in error.cause, as in the errors of Node's fs module promisified by
+ * bluebird.
+ * @param {string} code Node error code, e.g. "ENOENT"
+ * @param {string} message
+ * @param {string=} path
+ * @return {Error}
+ */
+function createError(code, message, path) {
+    var error = new Error(message);
+    error.cause = {code: code, path: path};
+    return error;
+}
+
+/**
+ * Whether an error created by createError or a promisified fs call reports a
+ * missing path.
+ * @param {*} err
+ * @return {boolean}
+ */
+function isNotFound(err) {
+    return !!(err && err.cause && err.cause.code === "ENOENT");
+}
+
+exports.createError = createError;
+exports.isNotFound = isNotFound;
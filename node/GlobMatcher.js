@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, regexp: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+/**
+ * Convert a glob into a regular expression. "*" and "?" do not match "/",
+ * and "**" matches any number of path segments.
+ * @param {string} glob
+ * @return {RegExp}
+ */
+function _globToRegExp(glob) {
+    var source = "",
+        i = 0,
+        c;
+
+    while (i < glob.length) {
+        c = glob[i];
+
+        if (c === "*") {
+            if (glob[i + 1] === "*") {
+                if (glob[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 3;
+                } else {
+                    source += ".*";
+                    i += 2;
+                }
+                continue;
+            }
+            source += "[^/]*";
+        } else if (c === "?") {
+            source += "[^/]";
+        } else if ("\\^$+.()|{}[]".indexOf(c) !== -1) {
+            source += "\\" + c;
+        } else {
+            source += c;
+        }
+        i++;
+    }
+
+    return new RegExp("^" + source + "$");
+}
+
+/**
+ * Create a function that tests whether a path matches any of the given globs.
+ * Like .gitignore patterns, a glob without a "/" matches an entry with that
+ * name anywhere in the tree, while other globs match the whole path relative
+ * to the root, e.g. "node_modules", "*.min.js" or "src/**\/generated".
+ * @param {?Array.<string>} globs
+ * @return {function(string, string): boolean} Called with the path relative
+ *      to the root, without a trailing slash, and the entry name
+ */
+function compile(globs) {
+    var nameExps = [],
+        pathExps = [];
+
+    (globs || []).forEach(function (glob) {
+        glob = glob.replace(/\/+$/, "");
+        if (glob.indexOf("/") === -1) {
+            nameExps.push(_globToRegExp(glob));
+        } else {
+            pathExps.push(_globToRegExp(glob.replace(/^\//, "")));
+        }
+    });
+
+    return function (relativePath, name) {
+        return nameExps.some(function (exp) {
+            return exp.test(name);
+        }) || pathExps.some(function (exp) {
+            return exp.test(relativePath);
+        });
+    };
+}
+
+exports.compile = compile;
@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    EventEmitter = require("events").EventEmitter,
+    util = require("util"),
+    callbackfs = require("fs-extra"),
+    fs = Promise.promisifyAll(callbackfs);
+
+/**
+ * Functions of fs-extra that backends provide as promise-returning *Async
+ * methods, with the same arguments and results.
+ * @type {Array.<string>}
+ */
+var METHODS = [
+    "chmod", "chown", "close", "copy", "fstat", "fsync", "link", "lstat",
+    "mkdir", "mkdirs", "open", "read", "readFile", "readdir", "readlink",
+    "realpath", "remove", "rename", "rmdir", "stat", "symlink", "unlink",
+    "utimes", "writeFile"
+];
+
+/**
+ * The backend for the local file system, which the file system commands use
+ * unless a path is mounted from another backend; see BackendRouter.
+ * 
+ * Every backend has the *Async methods listed in METHODS, whose errors have
+ * the Node error code in err.cause.code, as well as createReadStream and
+ * createWriteStream, and close to disconnect it. Remote backends emit
+ * "offline" and "online" events when they lose and regain their connection;
+ * meanwhile their methods fail with ENOTCONN.
+ * 
+ * @constructor
+ */
+function LocalBackend() {
+    EventEmitter.call(this);
+}
+
+util.inherits(LocalBackend, EventEmitter);
+
+/** Whether the entries of this backend live on another host */
+LocalBackend.prototype.isRemote = false;
+
+METHODS.forEach(function (name) {
+    LocalBackend.prototype[name + "Async"] = function () {
+        return fs[name + "Async"].apply(fs, arguments);
+    };
+});
+
+LocalBackend.prototype.createReadStream = function (path, options) {
+    return callbackfs.createReadStream(path, options);
+};
+
+LocalBackend.prototype.createWriteStream = function (path, options) {
+    return callbackfs.createWriteStream(path, options);
+};
+
+/**
+ * Release the resources of the backend; there are none for the local one.
+ * @return {Promise}
+ */
+LocalBackend.prototype.close = function () {
+    return Promise.fulfilled();
+};
+
+LocalBackend.METHODS = METHODS;
+
+module.exports = LocalBackend;
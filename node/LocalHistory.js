@@ -0,0 +1,394 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    crypto = require("crypto"),
+    nodePath = require("path"),
+    zlib = require("zlib"),
+    fs = Promise.promisifyAll(require("fs-extra")),
+    Errors = require("./Errors");
+
+var gzip = Promise.promisify(zlib.gzip),
+    gunzip = Promise.promisify(zlib.gunzip);
+
+/** Name of the file listing the entries of a store */
+var INDEX_FILE = "index.json";
+
+/** Retention limits of a store, unless given when it is enabled */
+var DEFAULT_OPTIONS = {
+    maxEntries: 50,                         // Entries kept per file
+    maxAge: 7 * 24 * 60 * 60 * 1000,        // Age in ms after which entries are dropped
+    maxSize: 50 * 1024 * 1024,              // Compressed size in bytes of all entries of a store
+    maxFileSize: 5 * 1024 * 1024            // Larger files are not snapshotted
+};
+
+/**
+ * History stores of the projects for which history is enabled, keyed by
+ * project root with a trailing slash. The snapshots of a store are kept as
+ * gzipped files named after their entry id, next to an index of the entries.
+ * @type {Object.<string, {root: string, dir: string, options: Object, entries: Array.<Object>, saving: Promise}>}
+ */
+var _stores = {};
+
+function _stripSlash(path) {
+    return path.length > 1 && path[path.length - 1] === "/" ? path.substr(0, path.length - 1) : path;
+}
+
+function _blobPath(store, id) {
+    return nodePath.join(store.dir, id + ".gz");
+}
+
+/**
+ * The store of the innermost project containing path.
+ * @param {string} path
+ * @return {?Object}
+ */
+function _storeFor(path) {
+    var best = null;
+    
+    Object.keys(_stores).forEach(function (root) {
+        if (path.indexOf(root) === 0 && (!best || root.length > best.root.length)) {
+            best = _stores[root];
+        }
+    });
+    return best;
+}
+
+/**
+ * Write the index of a store. Writes are queued so that an older index never
+ * replaces a newer one, and the index is replaced atomically.
+ * @param {Object} store
+ * @return {Promise}
+ */
+function _save(store) {
+    store.saving = store.saving
+        .catch(function () {
+            // A failed save must not prevent the next one
+        })
+        .then(function () {
+            var indexPath = nodePath.join(store.dir, INDEX_FILE),
+                tempPath = indexPath + "." + process.pid + ".tmp",
+                index = {root: store.root, entries: store.entries};
+            
+            return fs.writeFileAsync(tempPath, JSON.stringify(index))
+                .then(function () {
+                    return fs.renameAsync(tempPath, indexPath);
+                });
+        });
+    return store.saving;
+}
+
+/**
+ * Drop the entries of a store that exceed its retention limits: entries
+ * older than maxAge, all but the newest maxEntries entries of each file, and
+ * the oldest entries while the store is larger than maxSize.
+ * @param {Object} store
+ * @return {Promise}
+ */
+function _prune(store) {
+    var options = store.options,
+        minTime = Date.now() - options.maxAge,
+        counts = {},
+        totalSize = 0,
+        kept = [],
+        dropped = [];
+    
+    // Entries are ordered oldest first
+    store.entries.slice().reverse().forEach(function (entry) {
+        counts[entry.path] = (counts[entry.path] || 0) + 1;
+        totalSize += entry.storedSize;
+        
+        if (entry.time < minTime || counts[entry.path] > options.maxEntries || totalSize > options.maxSize) {
+            totalSize -= entry.storedSize;
+            dropped.push(entry);
+        } else {
+            kept.unshift(entry);
+        }
+    });
+    
+    if (dropped.length === 0) {
+        return Promise.fulfilled();
+    }
+    
+    store.entries = kept;
+    return _save(store).then(function () {
+        return Promise.settle(dropped.map(function (entry) {
+            return fs.unlinkAsync(_blobPath(store, entry.id));
+        }));
+    });
+}
+
+/**
+ * Enable history for the files below a project root. Its store is a
+ * directory below storePath named after the root; an existing store is
+ * loaded again.
+ * @param {string} root
+ * @param {string} storePath Directory holding the stores of all projects
+ * @param {{maxEntries: ?number, maxAge: ?number, maxSize: ?number, maxFileSize: ?number}=} options
+ *      Retention limits, see DEFAULT_OPTIONS
+ * @return {Promise}
+ */
+function enable(root, storePath, options) {
+    var store = {
+        root: _stripSlash(root) + "/",
+        options: {},
+        entries: [],
+        saving: Promise.fulfilled()
+    };
+    
+    store.dir = nodePath.join(storePath, crypto.createHash("sha1").update(store.root).digest("hex").substr(0, 16));
+    Object.keys(DEFAULT_OPTIONS).forEach(function (key) {
+        var value = options && options[key];
+        
+        store.options[key] = typeof value === "number" ? value : DEFAULT_OPTIONS[key];
+    });
+    
+    return fs.mkdirsAsync(store.dir)
+        .then(function () {
+            return fs.readFileAsync(nodePath.join(store.dir, INDEX_FILE), "utf8");
+        })
+        .then(function (json) {
+            try {
+                store.entries = JSON.parse(json).entries || [];
+            } catch (e) {
+                console.warn("Discarding unreadable history index: ", store.dir, e);
+            }
+        }, function (err) {
+            if (!err.cause || err.cause.code !== "ENOENT") {
+                throw err;
+            }
+        })
+        .then(function () {
+            _stores[store.root] = store;
+            return _prune(store);
+        });
+}
+
+/**
+ * Stop recording history for a project root. Its store is kept.
+ * @param {string} root
+ */
+function disable(root) {
+    delete _stores[_stripSlash(root) + "/"];
+}
+
+/**
+ * Keep a snapshot of the current contents of a file before it is replaced.
+ * Nothing is recorded for files outside the projects with history, for
+ * directories, files larger than maxFileSize and contents identical to the
+ * file's latest snapshot.
+ * @param {string} path
+ * @return {Promise.<?{id: string, path: string, time: number, size: number}>}
+ *      Resolves with the new entry, if any
+ */
+function snapshot(path) {
+    var store = _storeFor(path),
+        data;
+    
+    if (!store) {
+        return Promise.fulfilled(null);
+    }
+    
+    return fs.statAsync(path)
+        .then(function (stats) {
+            if (!stats.isFile() || stats.size > store.options.maxFileSize) {
+                return null;
+            }
+            
+            return fs.readFileAsync(path).then(function (result) {
+                var hash = crypto.createHash("sha1").update(result).digest("hex"),
+                    latest = null;
+                
+                store.entries.forEach(function (entry) {
+                    if (entry.path === path) {
+                        latest = entry;
+                    }
+                });
+                if (latest && latest.hash === hash) {
+                    return null;
+                }
+                
+                data = result;
+                return gzip(data).then(function (compressed) {
+                    var entry = {
+                        id: Date.now().toString(36) + "-" + crypto.randomBytes(4).toString("hex"),
+                        path: path,
+                        time: Date.now(),
+                        size: data.length,
+                        storedSize: compressed.length,
+                        hash: hash
+                    };
+                    
+                    return fs.writeFileAsync(_blobPath(store, entry.id), compressed)
+                        .then(function () {
+                            store.entries.push(entry);
+                            return _save(store);
+                        })
+                        .then(function () {
+                            return _prune(store);
+                        })
+                        .then(function () {
+                            return {id: entry.id, path: entry.path, time: entry.time, size: entry.size};
+                        });
+                });
+            });
+        }, function (err) {
+            if (err.cause && err.cause.code === "ENOENT") {
+                return null;
+            }
+            throw err;
+        });
+}
+
+/**
+ * Keep snapshots of a file, or of every file below a directory, before it is
+ * deleted. Symbolic links are not followed. A file that cannot be recorded is
+ * skipped so that the rest of the tree still is.
+ * @param {string} path
+ * @return {Promise} Resolved once the whole tree has been visited
+ */
+function snapshotTree(path) {
+    path = _stripSlash(path);
+    
+    if (!_storeFor(path)) {
+        return Promise.fulfilled();
+    }
+    
+    return fs.lstatAsync(path)
+        .then(function (stats) {
+            if (!stats.isDirectory()) {
+                return stats.isFile() ? snapshot(path) : null;
+            }
+            
+            return fs.readdirAsync(path).then(function (names) {
+                // One entry at a time, so that a large tree does not open
+                // every file at once
+                return names.reduce(function (promise, name) {
+                    return promise.then(function () {
+                        return snapshotTree(nodePath.join(path, name));
+                    });
+                }, Promise.fulfilled());
+            });
+        })
+        .catch(function (err) {
+            if (!Errors.isNotFound(err)) {
+                console.warn("Unable to add to local history: ", path, err);
+            }
+        });
+}
+
+/**
+ * Let the history of a file or directory follow it to its new path. The
+ * entries stay in their store, so history moved to another project is kept
+ * within the limits of the original one.
+ * @param {string} oldPath
+ * @param {string} newPath
+ * @return {Promise}
+ */
+function moved(oldPath, newPath) {
+    oldPath = _stripSlash(oldPath);
+    newPath = _stripSlash(newPath);
+    
+    return Promise.all(Object.keys(_stores).map(function (root) {
+        var store = _stores[root],
+            changed = false;
+        
+        store.entries.forEach(function (entry) {
+            if (entry.path === oldPath || entry.path.indexOf(oldPath + "/") === 0) {
+                entry.path = newPath + entry.path.substr(oldPath.length);
+                changed = true;
+            }
+        });
+        return changed ? _save(store) : null;
+    }));
+}
+
+/**
+ * The history entries of a file, or of all files below a directory if path
+ * ends with a slash, newest first. Entries of deleted files are kept until
+ * they expire.
+ * @param {string} path
+ * @return {Array.<{id: string, path: string, time: number, size: number}>}
+ */
+function list(path) {
+    var isDirectory = path[path.length - 1] === "/",
+        result = [];
+    
+    Object.keys(_stores).forEach(function (root) {
+        _stores[root].entries.forEach(function (entry) {
+            if (isDirectory ? entry.path.indexOf(path) === 0 : entry.path === path) {
+                result.push({id: entry.id, path: entry.path, time: entry.time, size: entry.size});
+            }
+        });
+    });
+    
+    return result.sort(function (a, b) {
+        return b.time - a.time;
+    });
+}
+
+/**
+ * Read the contents of a history entry.
+ * @param {string} id
+ * @return {Promise.<{entry: {id: string, path: string, time: number, size: number}, data: Buffer}>}
+ */
+function read(id) {
+    var found = null;
+    
+    Object.keys(_stores).forEach(function (root) {
+        _stores[root].entries.forEach(function (entry) {
+            if (entry.id === id) {
+                found = {store: _stores[root], entry: entry};
+            }
+        });
+    });
+    
+    if (!found) {
+        return Promise.rejected(Errors.createError("ENOENT", "No history entry " + id));
+    }
+    
+    return fs.readFileAsync(_blobPath(found.store, id))
+        .then(gunzip)
+        .then(function (data) {
+            var entry = found.entry;
+            
+            return {
+                entry: {id: entry.id, path: entry.path, time: entry.time, size: entry.size},
+                data: data
+            };
+        });
+}
+
+exports.enable = enable;
+exports.disable = disable;
+exports.snapshot = snapshot;
+exports.snapshotTree = snapshotTree;
+exports.moved = moved;
+exports.list = list;
+exports.read = read;
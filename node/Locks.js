@@ -0,0 +1,311 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    os = require("os"),
+    nodePath = require("path"),
+    callbackfs = require("fs-extra"),
+    fs = Promise.promisifyAll(callbackfs),
+    Errors = require("./Errors");
+
+/**
+ * How often, and how many ms apart, a lock file that cannot be parsed is read
+ * again, as it may be read while being written.
+ * @const
+ */
+var UNREADABLE_LOCK_RETRIES = 3,
+    UNREADABLE_LOCK_RETRY_DELAY = 50;
+
+/**
+ * A lock file that still cannot be parsed is taken for a live lock until it
+ * was left unchanged for this many ms, since its holder is unknown.
+ * @const
+ */
+var UNREADABLE_LOCK_TIMEOUT = 30000;
+
+/**
+ * Lock files held by this process, which are removed when it exits.
+ * @type {Object.<string, boolean>}
+ */
+var _heldLockFiles = {};
+
+/**
+ * Locks are files next to the locked file, so that every process able to
+ * write the file, on this host or another, can see them.
+ * @param {string} path
+ * @return {string}
+ */
+function _lockPathFor(path) {
+    path = path.replace(/\/$/, "");
+    return nodePath.join(nodePath.dirname(path), "." + nodePath.basename(path) + ".lock");
+}
+
+/**
+ * Whether a path is that of a lock file, which watchers should not report.
+ * @param {string} path
+ * @return {boolean}
+ */
+function isLockFile(path) {
+    return (/^\.[^\/]+\.lock$/).test(nodePath.basename(path));
+}
+
+/**
+ * Whether a process on this host is still running. A process that exists but
+ * cannot be signalled is running as well.
+ * @param {number} pid
+ * @return {boolean}
+ */
+function _isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";
+    }
+}
+
+/**
+ * Describe the holder of a lock as seen by the given owner. A lock is stale
+ * once its process is no longer running or, for a lock held on another host,
+ * once it expired; locks from other hosts without an expiry never are.
+ * @param {string} path
+ * @param {{pid: number, host: string, owner: ?string, time: number, expires: ?number}} holder
+ * @param {?string} owner
+ * @return {{path: string, pid: number, host: string, owner: ?string, time: number, expires: ?number, isOwn: boolean, isStale: boolean}}
+ */
+function _describe(path, holder, owner) {
+    var isLocal = holder.host === os.hostname(),
+        isStale = (isLocal && !_isRunning(holder.pid)) ||
+            (typeof holder.expires === "number" && holder.expires < Date.now());
+    
+    return {
+        path: path,
+        pid: holder.pid,
+        host: holder.host,
+        owner: holder.owner || null,
+        time: holder.time,
+        expires: typeof holder.expires === "number" ? holder.expires : null,
+        isOwn: isLocal && holder.pid === process.pid && (holder.owner || null) === (owner || null),
+        isStale: isStale
+    };
+}
+
+/**
+ * Read the holder of a lock from its lock file. A file that cannot be parsed
+ * is read again in case it was being written, and otherwise describes a lock
+ * of an unknown holder that expires UNREADABLE_LOCK_TIMEOUT ms after the file
+ * was last changed.
+ * @param {string} lockPath
+ * @param {number} retries
+ * @return {Promise.<{pid: number, host: string, owner: ?string, time: number, expires: ?number}>}
+ */
+function _readHolder(lockPath, retries) {
+    return fs.readFileAsync(lockPath, "utf8").then(function (json) {
+        var holder = null;
+        
+        try {
+            holder = JSON.parse(json);
+        } catch (e) {
+            // Handled below
+        }
+        if (holder && typeof holder === "object") {
+            return holder;
+        }
+        
+        if (retries > 0) {
+            return new Promise(function (resolve) {
+                setTimeout(resolve, UNREADABLE_LOCK_RETRY_DELAY);
+            }).then(function () {
+                return _readHolder(lockPath, retries - 1);
+            });
+        }
+        
+        return fs.statAsync(lockPath).then(function (stats) {
+            var time = stats.mtime.getTime();
+            
+            return {pid: 0, host: "", time: time, expires: time + UNREADABLE_LOCK_TIMEOUT};
+        });
+    });
+}
+
+/**
+ * The lock of a file, if any.
+ * @param {string} path
+ * @param {?string} owner Owner the lock is described for, see acquire
+ * @return {Promise.<?Object>} Resolves with the lock as described by _describe,
+ *      or null if the file is not locked
+ */
+function query(path, owner) {
+    return _readHolder(_lockPathFor(path), UNREADABLE_LOCK_RETRIES)
+        .then(function (holder) {
+            return _describe(path, holder, owner);
+        }, function (err) {
+            if (Errors.isNotFound(err)) {
+                return null;
+            }
+            throw err;
+        });
+}
+
+function _lockedError(lock) {
+    return Errors.createError("ELOCKED", lock.path + " is locked by process " + lock.pid + " on " + lock.host, lock.path);
+}
+
+/**
+ * Lock a file on behalf of an owner within this process, e.g. a window.
+ * Locking a file again refreshes the lock, and stale locks are taken over.
+ * Fails with ELOCKED if another owner holds the lock.
+ * @param {string} path
+ * @param {{owner: ?string, ttl: ?number}=} options ttl is the time in ms
+ *      after which the lock is stale unless refreshed
+ * @return {Promise.<Object>} Resolves with the new lock
+ */
+function acquire(path, options) {
+    var lockPath = _lockPathFor(path),
+        owner = (options && options.owner) || null,
+        ttl = options && options.ttl,
+        now = Date.now(),
+        holder = {
+            pid: process.pid,
+            host: os.hostname(),
+            owner: owner,
+            time: now,
+            expires: ttl > 0 ? now + ttl : null
+        },
+        json = JSON.stringify(holder);
+    
+    function create() {
+        return fs.writeFileAsync(lockPath, json, {flag: "wx"})
+            .then(function () {
+                _heldLockFiles[lockPath] = true;
+                return _describe(path, holder, owner);
+            });
+    }
+    
+    return create().catch(function (err) {
+        if (!err.cause || err.cause.code !== "EEXIST") {
+            throw err;
+        }
+        
+        return query(path, owner).then(function (lock) {
+            if (!lock) {
+                // Released in the meantime
+                return create();
+            }
+            if (lock.isOwn) {
+                return fs.writeFileAsync(lockPath, json).then(function () {
+                    return _describe(path, holder, owner);
+                });
+            }
+            if (!lock.isStale) {
+                throw _lockedError(lock);
+            }
+            
+            return fs.unlinkAsync(lockPath)
+                .catch(function (err) {
+                    if (!Errors.isNotFound(err)) {
+                        throw err;
+                    }
+                })
+                .then(create)
+                .catch(function (err) {
+                    if (err.cause && err.cause.code === "EEXIST") {
+                        // Another process took over the stale lock first
+                        return query(path, owner).then(function (lock) {
+                            throw _lockedError(lock || {path: path});
+                        });
+                    }
+                    throw err;
+                });
+        });
+    });
+}
+
+/**
+ * Unlock a file. Only the owner of a lock may release it unless it is stale
+ * or force is set; otherwise this fails with ELOCKED.
+ * @param {string} path
+ * @param {{owner: ?string, force: ?boolean}=} options
+ * @return {Promise.<boolean>} Resolves with whether a lock was removed
+ */
+function release(path, options) {
+    var lockPath = _lockPathFor(path),
+        owner = (options && options.owner) || null;
+    
+    return query(path, owner).then(function (lock) {
+        if (!lock) {
+            return false;
+        }
+        if (!lock.isOwn && !lock.isStale && !(options && options.force)) {
+            throw _lockedError(lock);
+        }
+        
+        delete _heldLockFiles[lockPath];
+        return fs.unlinkAsync(lockPath).then(function () {
+            return true;
+        }, function (err) {
+            if (Errors.isNotFound(err)) {
+                return false;
+            }
+            throw err;
+        });
+    });
+}
+
+/**
+ * The lock of a file if it is held by another, live owner.
+ * @param {string} path
+ * @param {?string} owner
+ * @return {Promise.<?Object>}
+ */
+function conflictingLock(path, owner) {
+    return query(path, owner).then(function (lock) {
+        return lock && !lock.isOwn && !lock.isStale ? lock : null;
+    });
+}
+
+process.on("exit", function () {
+    Object.keys(_heldLockFiles).forEach(function (lockPath) {
+        try {
+            // Unless it was forcibly taken over in the meantime
+            if (JSON.parse(callbackfs.readFileSync(lockPath, "utf8")).pid === process.pid) {
+                callbackfs.unlinkSync(lockPath);
+            }
+        } catch (e) {
+            // Already removed
+        }
+    });
+});
+
+exports.lockPathFor = _lockPathFor;
+exports.isLockFile = isLockFile;
+exports.acquire = acquire;
+exports.release = release;
+exports.query = query;
+exports.conflictingLock = conflictingLock;
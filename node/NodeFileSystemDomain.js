@@ -28,56 +28,300 @@
 "use strict";
 
 var Promise = require("bluebird"),
+    crypto = require("crypto"),
+    nodePath = require("path"),
     callbackfs = require("fs-extra"),
-    fs = Promise.promisifyAll(callbackfs),
     isBinaryFile = require("isbinaryfile"),
+    iconv = require("iconv-lite"),
+    Errors = require("./Errors"),
+    EncodingDetector = require("./EncodingDetector"),
+    GlobMatcher = require("./GlobMatcher"),
+    Trash = require("./Trash"),
+    LocalHistory = require("./LocalHistory"),
+    Locks = require("./Locks"),
+    OwnChanges = require("./OwnChanges"),
+    ChangeCoalescer = require("./ChangeCoalescer"),
+    PollingWatcher = require("./PollingWatcher"),
+    TreeWatcher = require("./TreeWatcher"),
+    BackendRouter = require("./BackendRouter"),
+    SftpBackend = require("./SftpBackend"),
     fsevents;
 
 if (process.platform === "darwin") {
     fsevents = require("fsevents");
 }
 
+/**
+ * All file system calls go through the router, which runs them on the local
+ * file system unless the path is below a mounted backend; see mountCmd.
+ * @type {BackendRouter}
+ */
+var fs = new BackendRouter();
+
+OwnChanges.setBackend(fs);
+
+/**
+ * Backends that can be mounted, by the type passed to mountCmd.
+ */
+var BACKEND_TYPES = {
+    sftp: SftpBackend
+};
+
+var PERMISSION_BITS = parseInt("7777", 8),
+    OWNER_WRITE_BIT = parseInt("0200", 8),
+    GROUP_WRITE_BIT = parseInt("0020", 8),
+    OTHER_WRITE_BIT = parseInt("0002", 8);
+
+/**
+ * How file hashes are computed:
+ *   "mtime" - the modification time is used as the hash (default)
+ *   "lazy"  - every file has a SHA-1 of its contents as hash, which is
+ *             remembered while the size and modification time of the file
+ *             stay the same, so that stat and readdir only read files that
+ *             changed since their hash was last computed
+ *   "eager" - as lazy, but the contents are read for every hash
+ * In a given mode, every command reports the same kind of hash.
+ */
+var HASH_MODE_MTIME = "mtime",
+    HASH_MODE_LAZY  = "lazy",
+    HASH_MODE_EAGER = "eager";
+
+// Files read or written with this encoding are transferred as base64-encoded bytes
+var BINARY_ENCODING = "base64";
+
+// Text read with this encoding is decoded with the detected encoding, and text
+// written with it is encoded like the file it replaces
+var AUTO_ENCODING = "auto";
+
+// Number of bytes returned by readFileChunk when no length is given
+var DEFAULT_CHUNK_LENGTH = 1024 * 1024;
+
+// Number of bytes of the longest character of the supported text encodings,
+// which text chunks read at least to contain a complete character
+var MAX_CHARACTER_LENGTH = 4;
+
+// Number of entries emitted per walkBatch event when no batch size is given
+var DEFAULT_WALK_BATCH_SIZE = 500;
+
+/**
+ * What copy does when a destination already exists:
+ *   "overwrite" - existing files are replaced and directories are merged
+ *   "skip"      - existing files are kept and directories are merged
+ *   "fail"      - nothing that exists is replaced or merged: the copy fails
+ *                 with EEXIST if dest exists, and entries below dest that
+ *                 exist are reported as failures
+ * A directory is never replaced by a file or link; that fails with EISDIR.
+ */
+var CONFLICT_OVERWRITE = "overwrite",
+    CONFLICT_SKIP      = "skip",
+    CONFLICT_FAIL      = "fail";
+
+/** Watchers paused for longer than this many milliseconds are resumed anyway */
+var MAX_WATCHER_PAUSE = 60000;
+
 var _domainManager,
-    _watcherMap = {};
+    _watcherMap = {},
+    _watcherPauseCount = 0,
+    _watcherPauseTimeout = null,
+    _resumedChanges = null,
+    _searches = {},
+    _pendingWrites = {},
+    _tempFileCounter = 0;
+
+/**
+ * Determine from its permission bits whether the current user may write to
+ * an entry. On Windows only the read-only attribute is reflected in the mode.
+ * @param {fs.Stats} stats
+ * @return {boolean}
+ */
+function _isWritable(stats) {
+    if (process.platform === "win32") {
+        return !!(stats.mode & OWNER_WRITE_BIT);
+    }
+    
+    var uid = process.getuid(),
+        gids = process.getgroups ? process.getgroups() : [process.getgid()];
+    
+    if (uid === 0) {
+        return true;
+    } else if (stats.uid === uid) {
+        return !!(stats.mode & OWNER_WRITE_BIT);
+    } else if (gids.indexOf(stats.gid) !== -1) {
+        return !!(stats.mode & GROUP_WRITE_BIT);
+    }
+    return !!(stats.mode & OTHER_WRITE_BIT);
+}
 
 function _addStats(obj, stats) {
     obj.isFile = !stats.isDirectory();
     obj.mtime = stats.mtime.getTime();
     obj.size = stats.size;
+    obj.mode = stats.mode;
+    obj.uid = stats.uid;
+    obj.gid = stats.gid;
+    obj.dev = stats.dev;
+    obj.ino = stats.ino;
+    obj.atime = stats.atime.getTime();
+    obj.ctime = stats.ctime.getTime();
+    if (stats.birthtime) {
+        obj.birthtime = stats.birthtime.getTime();
+    }
+    obj.isWritable = _isWritable(stats);
     return obj;
 }
 
-function _statHelper(path) {
-    var last = path.length - 1;
+function _contentHash(data) {
+    return crypto.createHash("sha1").update(data).digest("hex");
+}
+
+/** Maximum number of content hashes remembered for the lazy hash mode */
+var MAX_HASH_CACHE_ENTRIES = 10000;
+
+/**
+ * Coarsest resolution in ms of the modification times of the file systems a
+ * file may be on: FAT has 2 s, and HFS+ and SFTP have 1 s.
+ */
+var TIMESTAMP_GRANULARITY = 2000;
+
+/**
+ * Content hashes computed in lazy mode, keyed by path, with the signature of
+ * the stats of the file at the time.
+ * @type {Object.<string, {signature: string, hash: string}>}
+ */
+var _hashCache = {},
+    _hashCacheCount = 0;
+
+function _hashSignature(ino, size, mtime) {
+    return [ino, size, mtime].join(":");
+}
+
+/**
+ * Remember the content hash of a file for the lazy hash mode. It is only
+ * remembered if the file did not change while it was read, i.e. if its stats
+ * taken afterwards still match those taken before, and if it was modified
+ * more than TIMESTAMP_GRANULARITY ago: a change within the same tick of its
+ * modification time would not change its stats.
+ * @param {string} path
+ * @param {Object} stats Stats as returned by _statHelper, taken before the
+ *      file was read, with its hash
+ * @return {Promise}
+ */
+function _rememberHash(path, stats) {
+    var signature = _hashSignature(stats.ino, stats.size, stats.mtime);
+    
+    if (stats.mtime > Date.now() - TIMESTAMP_GRANULARITY) {
+        return Promise.fulfilled();
+    }
+    
+    return fs.statAsync(path).then(function (current) {
+        var oldest;
+        
+        if (_hashSignature(current.ino, current.size, current.mtime.getTime()) !== signature) {
+            return;
+        }
+        
+        if (!_hashCache.hasOwnProperty(path)) {
+            if (_hashCacheCount >= MAX_HASH_CACHE_ENTRIES) {
+                for (oldest in _hashCache) {
+                    if (_hashCache.hasOwnProperty(oldest)) {
+                        delete _hashCache[oldest];
+                        break;
+                    }
+                }
+            } else {
+                _hashCacheCount++;
+            }
+        }
+        _hashCache[path] = {signature: signature, hash: stats.hash};
+    }, function () {
+        // Removed in the meantime
+    });
+}
+
+function _usesContentHash(options) {
+    var hashMode = options && options.hashMode;
+    return hashMode === HASH_MODE_LAZY || hashMode === HASH_MODE_EAGER;
+}
+
+/**
+ * Set the content hash of a file in its stats. In lazy mode, a hash
+ * remembered for the same stats is reused instead of reading the file.
+ * @param {string} path
+ * @param {Object} stats
+ * @param {{hashMode: ?string}=} options
+ * @return {Promise.<Object>} Resolves with the stats
+ */
+function _addContentHash(path, stats, options) {
+    var cached = _hashCache.hasOwnProperty(path) && _hashCache[path];
+    
+    if (options && options.hashMode === HASH_MODE_LAZY && cached &&
+            cached.signature === _hashSignature(stats.ino, stats.size, stats.mtime)) {
+        stats.hash = cached.hash;
+        return Promise.fulfilled(stats);
+    }
+    
+    return fs.readFileAsync(path)
+        .then(function (data) {
+            stats.hash = _contentHash(data);
+            return _rememberHash(path, stats);
+        })
+        .then(function () {
+            return stats;
+        });
+}
+
+function _statHelper(path, options) {
+    var last = path.length - 1,
+        statPromise;
 
     if (path[last] === "/") {
         path = path.substr(0, last);
     }
 
-    return fs.lstatAsync(path)
+    statPromise = fs.lstatAsync(path)
         .then(function (lstats) {
             if (lstats.isSymbolicLink()) {
-                var pathPromise = fs.realpathAsync(path),
+                var targetPromise = fs.readlinkAsync(path),
+                    pathPromise = fs.realpathAsync(path),
                     statPromise = fs.statAsync(path);
                 
-                return Promise.join(pathPromise, statPromise)
-                    .spread(function (realpath, stats) {
-                        if (stats.isDirectory() && realpath[realpath - 1] !== "/") {
+                return Promise.join(targetPromise, pathPromise, statPromise)
+                    .spread(function (linkTarget, realpath, stats) {
+                        if (stats.isDirectory() && realpath[realpath.length - 1] !== "/") {
                             realpath += "/";
                         }
-                        return _addStats({realpath: realpath}, stats);
+                        return _addStats({realpath: realpath, isSymbolicLink: true, linkTarget: linkTarget}, stats);
+                    }, function (err) {
+                        // The link points to a missing entry, or to a chain of links that never ends
+                        var code = err && err.cause && err.cause.code;
+                        
+                        if (code !== "ENOENT" && code !== "ELOOP") {
+                            throw err;
+                        }
+                        
+                        return targetPromise.then(function (linkTarget) {
+                            return _addStats({isSymbolicLink: true, linkTarget: linkTarget, isDangling: true}, lstats);
+                        });
                     });
             } else {
                 return _addStats({}, lstats);
             }
         });
+
+    if (_usesContentHash(options)) {
+        return statPromise.then(function (stats) {
+            return stats.isFile ? _addContentHash(path, stats, options) : stats;
+        });
+    }
+
+    return statPromise;
 }
 
-function readdirCmd(path, callback) {
-    fs.readdirAsync(path)
+function _readdirHelper(path, options) {
+    return fs.readdirAsync(path)
         .then(function (names) {
             var statPromises = names.map(function (name) {
-                return _statHelper(path + name);
+                return _statHelper(path + name, options);
             });
             
             return Promise.settle(statPromises)
@@ -93,40 +337,165 @@ function readdirCmd(path, callback) {
                         return total;
                     }, []);
                 });
-        })
+        });
+}
+
+function readdirCmd(path, options, callback) {
+    _readdirHelper(path, options)
         .nodeify(callback);
 }
 
+/**
+ * Like Array.prototype.reduce, but for a reducer that may return a promise,
+ * which is settled before the next item is reduced. Promise.reduce does not
+ * wait for promises returned by the reducer in this version of bluebird.
+ * @param {Array} items
+ * @param {function(*, *, number): (Promise|*)} fn Called with the
+ *      accumulated value, the item and its index
+ * @param {*} initialValue
+ * @return {Promise} Resolves with the accumulated value
+ */
+function _reduceSeries(items, fn, initialValue) {
+    return items.reduce(function (promise, item, index) {
+        return promise.then(function (total) {
+            return fn(total, item, index);
+        });
+    }, Promise.fulfilled(initialValue));
+}
+
+/**
+ * Recursively enumerate the tree below a directory, one directory at a time.
+ * @param {string} root Absolute path of the directory, with a trailing slash
+ * @param {{ignore: ?Array.<string>, maxDepth: ?number, followSymlinks: ?boolean, hashMode: ?string}} options
+ * @param {function(Object)} visit Called with the stat object of each entry,
+ *      extended with its name and absolute path, or with {name, path, err}
+ * @return {Promise} Resolved once the whole tree has been visited
+ */
+function _walkHelper(root, options, visit) {
+    var isIgnored = GlobMatcher.compile(options.ignore),
+        maxDepth = typeof options.maxDepth === "number" && options.maxDepth >= 0 ? options.maxDepth : Infinity;
+    
+    /**
+     * @param {string} dirPath
+     * @param {string} realDirPath The resolved path of dirPath
+     * @param {number} depth
+     * @param {Object.<string, boolean>} ancestors Resolved paths of dirPath and
+     *      the directories above it; a link to one of these is a cycle
+     */
+    function walkDir(dirPath, realDirPath, depth, ancestors) {
+        return _readdirHelper(dirPath, options)
+            .then(function (entries) {
+                var subdirs = [];
+                
+                entries.forEach(function (entry) {
+                    var relativePath = dirPath.substr(root.length) + entry.name,
+                        isDirectory = !entry.err && !entry.isFile,
+                        realPath = entry.realpath || (realDirPath + entry.name + "/");
+                    
+                    if (isIgnored(relativePath, entry.name)) {
+                        return;
+                    }
+                    
+                    entry.path = dirPath + entry.name + (isDirectory ? "/" : "");
+                    if (isDirectory && entry.isSymbolicLink && ancestors[realPath]) {
+                        entry.isCycle = true;
+                    }
+                    
+                    visit(entry);
+                    
+                    if (isDirectory && depth < maxDepth && !entry.isCycle &&
+                            (!entry.isSymbolicLink || options.followSymlinks)) {
+                        subdirs.push({path: entry.path, realPath: realPath});
+                    }
+                });
+                
+                return _reduceSeries(subdirs, function (total, subdir) {
+                    var childAncestors = Object.create(ancestors);
+                    
+                    childAncestors[subdir.realPath] = true;
+                    return walkDir(subdir.path, subdir.realPath, depth + 1, childAncestors);
+                }, 0);
+            });
+    }
+    
+    return fs.realpathAsync(root)
+        .then(function (realRoot) {
+            var ancestors = {};
+            
+            realRoot = realRoot.replace(/\/?$/, "/");
+            ancestors[realRoot] = true;
+            return walkDir(root, realRoot, 1, ancestors);
+        });
+}
+
 function _strencode(data) {
     return unescape(encodeURIComponent(JSON.stringify(data)));
 }
 
-function _readFileHelper(path, encoding) {
-    var readPromise = fs.readFileAsync(path),
-        statPromise = _statHelper(path);
+/**
+ * Decode file contents as text.
+ * @param {string} path
+ * @param {Buffer} data
+ * @param {string} encoding A text encoding or "auto"
+ * @return {{text: string, encoding: string, bom: boolean}}
+ */
+function _decodeText(path, data, encoding) {
+    var detected = EncodingDetector.detect(data),
+        textEncoding = encoding === AUTO_ENCODING ? detected.encoding : encoding;
     
-    return Promise.join(readPromise, statPromise)
-        .spread(function (data, stats) {
-            if (isBinaryFile(data, stats.size)) {
-                return Promise.rejected("Binary file");
-            } else {
-                var utf8Data = data.toString(encoding),
-                    encodedData = _strencode(utf8Data);
-                stats.data = encodedData;
+    if (!iconv.encodingExists(textEncoding)) {
+        throw Errors.createError("EUNSUPPORTEDENCODING", "Unsupported encoding: " + textEncoding);
+    }
+    
+    if (!EncodingDetector.isMultiByte(textEncoding) && isBinaryFile(data, data.length)) {
+        throw Errors.createError("EBINARYFILE", "Binary file: " + path, path);
+    }
+    
+    return {
+        text: iconv.decode(data, textEncoding),
+        encoding: textEncoding,
+        bom: detected.bom && EncodingDetector.isSameEncoding(detected.encoding, textEncoding)
+    };
+}
 
-                return stats;
+function _readFileHelper(path, encoding, options) {
+    return _statHelper(path)
+        .then(function (stats) {
+            if (options && options.maxSize >= 0 && stats.size > options.maxSize) {
+                throw Errors.createError("EFILETOOLARGE", path + " exceeds the maximum file size of " + options.maxSize + " bytes", path);
             }
+            
+            return fs.readFileAsync(path)
+                .then(function (data) {
+                    if (encoding === BINARY_ENCODING) {
+                        stats.data = data.toString(BINARY_ENCODING);
+                    } else {
+                        var decoded = _decodeText(path, data, encoding);
+                        
+                        stats.data = _strencode(decoded.text);
+                        stats.encoding = decoded.encoding;
+                        stats.bom = decoded.bom;
+                    }
+                    
+                    if (_usesContentHash(options)) {
+                        stats.hash = _contentHash(data);
+                        return _rememberHash(path, stats);
+                    }
+                })
+                .then(function () {
+                    return stats;
+                });
         });
 }
 
-function readFileCmd(path, encoding, callback) {
-    _readFileHelper(path, encoding)
+function readFileCmd(path, encoding, options, callback) {
+    _readFileHelper(path, encoding, options)
         .nodeify(callback);
 }
 
-function readAllFilesCmd(paths, encoding, callback) {
+function readAllFilesCmd(paths, encoding, options, callback) {
     var allPromises = paths.map(function (path) {
-        return _readFileHelper(path, encoding);
+        return _readFileHelper(path, encoding, options);
     });
     
     Promise.settle(allPromises)
@@ -140,40 +509,1436 @@ function readAllFilesCmd(paths, encoding, callback) {
         .nodeify(callback);
 }
 
-function statCmd(path, callback) {
-    _statHelper(path)
+/**
+ * Number of bytes at the start of the buffer that hold only complete
+ * characters, so that a chunk never ends in the middle of a character.
+ * @param {Buffer} buffer
+ * @param {string} encoding
+ * @return {number}
+ */
+function _completeLength(buffer, encoding) {
+    var length = buffer.length,
+        start,
+        lead,
+        needed;
+    
+    if (EncodingDetector.isSameEncoding(encoding, "utf8")) {
+        // Find the lead byte of the last character and check that it is complete
+        start = length - 1;
+        while (start >= 0 && start > length - 4 && (buffer[start] & 0xC0) === 0x80) {
+            start--;
+        }
+        if (start < 0) {
+            return length;
+        }
+        lead = buffer[start];
+        needed = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+        return start + needed > length ? start : length;
+    } else if (/^utf-?16/i.test(encoding)) {
+        return length - (length % 2);
+    }
+    return length;
+}
+
+/**
+ * Read part of a file, so that large files can be previewed or tailed without
+ * reading them completely. Text chunks never end in the middle of a UTF-8 or
+ * UTF-16 character, unless the file does, and contain at least one complete
+ * character, for which up to MAX_CHARACTER_LENGTH bytes are read even if
+ * length is smaller; the next chunk should start at offset + bytesRead.
+ */
+function readFileChunkCmd(path, offset, length, encoding, callback) {
+    offset = offset || 0;
+    length = length || DEFAULT_CHUNK_LENGTH;
+    
+    fs.openAsync(path, "r")
+        .then(function (fd) {
+            var detectPromise = encoding === AUTO_ENCODING ? _detectEncoding(fd) : null;
+            
+            return Promise.join(fs.fstatAsync(fd), detectPromise)
+                .spread(function (stats, detected) {
+                    var size = stats.size,
+                        readLength = encoding === BINARY_ENCODING ? length : Math.max(length, MAX_CHARACTER_LENGTH),
+                        buffer = new Buffer(Math.max(0, Math.min(readLength, size - offset)));
+                    
+                    return fs.readAsync(fd, buffer, 0, buffer.length, offset)
+                        .spread(function (bytesRead) {
+                            var data = buffer.slice(0, bytesRead),
+                                result = {
+                                    offset: offset,
+                                    size: size
+                                };
+                            
+                            if (encoding === BINARY_ENCODING) {
+                                result.data = data.toString(BINARY_ENCODING);
+                            } else {
+                                var textEncoding = detected ? detected.encoding : encoding,
+                                    decoded;
+                                
+                                if (offset + data.length < size) {
+                                    data = data.slice(0, _completeLength(data, textEncoding));
+                                }
+                                decoded = _decodeText(path, data, textEncoding);
+                                result.data = _strencode(decoded.text);
+                                result.encoding = decoded.encoding;
+                            }
+                            
+                            result.bytesRead = data.length;
+                            result.eof = offset + data.length >= size;
+                            return result;
+                        });
+                })
+                .finally(function () {
+                    return fs.closeAsync(fd);
+                });
+        })
+        .nodeify(callback);
+}
+
+/**
+ * Recursively enumerate a directory tree. Entries are emitted in walkBatch
+ * events as they are found; stat errors are reported per entry as in readdir.
+ */
+function walkCmd(walkId, path, options, callback) {
+    var batch = [],
+        count = 0,
+        batchSize;
+    
+    options = options || {};
+    batchSize = options.batchSize || DEFAULT_WALK_BATCH_SIZE;
+    
+    function flush() {
+        if (batch.length > 0) {
+            _domainManager.emitEvent("fileSystem", "walkBatch", [walkId, batch]);
+            batch = [];
+        }
+    }
+    
+    _walkHelper(path, options, function (entry) {
+        batch.push(entry);
+        count++;
+        if (batch.length >= batchSize) {
+            flush();
+        }
+    })
+        .then(function () {
+            flush();
+            return count;
+        })
+        .nodeify(callback);
+}
+
+function _createSearchRegExp(query) {
+    var source = query.isRegexp ? query.pattern : query.pattern.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
+    
+    if (query.isWholeWord) {
+        source = "\\b(?:" + source + ")\\b";
+    }
+    
+    try {
+        return new RegExp(source, query.isCaseSensitive ? "g" : "gi");
+    } catch (err) {
+        throw Errors.createError("EINVALIDPARAMS", "Invalid search pattern: " + err.message);
+    }
+}
+
+function _searchText(text, regexp) {
+    var lines = text.split(/\r\n|\r|\n/),
+        matches = [];
+    
+    lines.forEach(function (lineText, line) {
+        var match;
+        
+        regexp.lastIndex = 0;
+        while ((match = regexp.exec(lineText)) !== null) {
+            matches.push({
+                line: line,
+                column: match.index,
+                length: match[0].length,
+                lineText: lineText
+            });
+            
+            // Step past empty matches so that they are not found again
+            if (match[0].length === 0) {
+                regexp.lastIndex++;
+            }
+        }
+    });
+    
+    return matches;
+}
+
+/**
+ * The directory the exclude globs of a file given explicitly to search are
+ * relative to: the root given in the options if it contains the file, else a
+ * directory being searched that contains it, else the file's parent.
+ * @param {string} path
+ * @param {Array.<string>} paths
+ * @param {{root: ?string}} options
+ * @return {string} Directory with a trailing slash
+ */
+function _searchRootOf(path, paths, options) {
+    var root = options.root && options.root.replace(/\/?$/, "/"),
+        dirs;
+    
+    if (root && path.indexOf(root) === 0) {
+        return root;
+    }
+    dirs = paths.filter(function (dir) {
+        return dir[dir.length - 1] === "/" && path.indexOf(dir) === 0;
+    });
+    return dirs.length > 0 ? dirs[0] : nodePath.dirname(path) + "/";
+}
+
+/**
+ * Collect the files to search: directories (paths with a trailing slash) are
+ * walked, other paths are searched as they are. Like the walk, which skips
+ * excluded directories, a file given explicitly is excluded if the globs
+ * match its path or that of a directory above it, relative to its root.
+ * @return {Promise.<Array.<string>>}
+ */
+function _searchFiles(paths, options) {
+    var walkOptions = {ignore: options.exclude},
+        isExcluded = GlobMatcher.compile(options.exclude);
+    
+    return _reduceSeries(paths, function (files, path) {
+        var names;
+        
+        if (path[path.length - 1] !== "/") {
+            names = path.substr(_searchRootOf(path, paths, options).length).split("/");
+            if (!names.some(function (name, index) {
+                    return isExcluded(names.slice(0, index + 1).join("/"), name);
+                })) {
+                files.push(path);
+            }
+            return files;
+        }
+        
+        return _walkHelper(path, walkOptions, function (entry) {
+            if (!entry.err && entry.isFile) {
+                files.push(entry.path);
+            }
+        }).then(function () {
+            return files;
+        });
+    }, []);
+}
+
+/**
+ * Search files for a literal string or regular expression. Matches are emitted
+ * per file in searchMatches events. Binary files and files that cannot be read
+ * are skipped. The search stops early if cancelSearch is called with its id.
+ */
+function searchCmd(searchId, paths, query, options, callback) {
+    var search = {canceled: false},
+        result = {filesSearched: 0, matchCount: 0, canceled: false},
+        regexp;
+    
+    options = options || {};
+    
+    try {
+        regexp = _createSearchRegExp(query);
+    } catch (err) {
+        callback(err);
+        return;
+    }
+    
+    _searches[searchId] = search;
+    
+    _searchFiles(paths, options)
+        .then(function (files) {
+            return _reduceSeries(files, function (total, path) {
+                if (search.canceled) {
+                    return total;
+                }
+                
+                return _statHelper(path)
+                    .then(function (stats) {
+                        if (options.maxFileSize >= 0 && stats.size > options.maxFileSize) {
+                            return;
+                        }
+                        
+                        return fs.readFileAsync(path)
+                            .then(function (data) {
+                                var matches = _searchText(_decodeText(path, data, AUTO_ENCODING).text, regexp);
+                                
+                                result.filesSearched++;
+                                if (matches.length > 0 && !search.canceled) {
+                                    result.matchCount += matches.length;
+                                    _domainManager.emitEvent("fileSystem", "searchMatches", [searchId, path, matches]);
+                                }
+                            });
+                    })
+                    .catch(function () {
+                        // Binary and unreadable files are skipped
+                    })
+                    .then(function () {
+                        return total;
+                    });
+            }, 0);
+        })
+        .then(function () {
+            result.canceled = search.canceled;
+            return result;
+        })
+        .finally(function () {
+            delete _searches[searchId];
+        })
+        .nodeify(callback);
+}
+
+/**
+ * Stop an in-progress search. No further searchMatches events are emitted for it.
+ * @param {string} searchId
+ */
+function cancelSearchCmd(searchId) {
+    if (_searches.hasOwnProperty(searchId)) {
+        _searches[searchId].canceled = true;
+    }
+}
+
+function statCmd(path, options, callback) {
+    _statHelper(path, options)
+        .nodeify(callback);
+}
+
+function existsCmd(path, callback) {
+    fs.statAsync(path)
+        .then(function () {
+            return true;
+        }, function (err) {
+            // Whether a remote entry exists is unknown while offline
+            if (err && err.cause && err.cause.code === "ENOTCONN") {
+                throw err;
+            }
+            return false;
+        })
         .nodeify(callback);
 }
 
-function existsCmd(path, callback) {
-    callbackfs.exists(path, callback);
+/**
+ * Resolve the path a write should actually replace. Writing through a symbolic
+ * link replaces the file it points to so that the link itself survives.
+ * @param {string} path
+ * @return {Promise.<string>}
+ */
+function _resolveWritePath(path) {
+    return fs.lstatAsync(path)
+        .then(function (lstats) {
+            return lstats.isSymbolicLink() ? fs.realpathAsync(path) : path;
+        }, function (err) {
+            if (Errors.isNotFound(err)) {
+                return path;
+            }
+            throw err;
+        });
+}
+
+function _tempPathFor(path) {
+    var dir = nodePath.dirname(path),
+        base = nodePath.basename(path);
+
+    return nodePath.join(dir, "." + base + "." + process.pid + "." + (_tempFileCounter++) + ".tmp");
+}
+
+/**
+ * Describe a failed atomic write of a file, keeping the Node error code of
+ * the step that failed in err.cause.
+ * @param {string} path
+ * @param {Error} err
+ * @return {Error}
+ */
+function _atomicWriteError(path, err) {
+    var error = new Error("Unable to save " + path + ": " + (err && err.message));
+    error.cause = (err && err.cause) || err;
+    return error;
+}
+
+/**
+ * Write data to a sibling temporary file, flush it to disk and then rename it
+ * over the target, so that a failure part way through never leaves a truncated
+ * file behind. The mode of an existing file is preserved.
+ * @param {string} path
+ * @param {Buffer} data
+ * @param {string=} operation Name of the command writing the file, for
+ *      watchers to tag its changes; "writeFile" by default
+ * @return {Promise.<boolean>} Resolves with whether the file was created
+ */
+function _writeFileAtomic(path, data, operation) {
+    var tempPath;
+
+    operation = operation || "writeFile";
+
+    return _resolveWritePath(path)
+        .then(function (targetPath) {
+            var modePromise = fs.statAsync(targetPath)
+                .then(function (stats) {
+                    return stats.mode & PERMISSION_BITS;
+                }, function (err) {
+                    if (Errors.isNotFound(err)) {
+                        return null;
+                    }
+                    throw err;
+                });
+
+            tempPath = _tempPathFor(targetPath);
+
+            return modePromise.then(function (mode) {
+                return fs.writeFileAsync(tempPath, data)
+                    .then(function () {
+                        if (mode !== null) {
+                            return fs.chmodAsync(tempPath, mode);
+                        }
+                    })
+                    .then(function () {
+                        return fs.openAsync(tempPath, "r+");
+                    })
+                    .then(function (fd) {
+                        return fs.fsyncAsync(fd)
+                            .finally(function () {
+                                return fs.closeAsync(fd);
+                            });
+                    })
+                    .then(function () {
+                        return fs.renameAsync(tempPath, targetPath);
+                    })
+                    .then(function () {
+                        OwnChanges.record(operation, tempPath);
+                        OwnChanges.record(operation, targetPath);
+                        return mode === null;
+                    });
+            });
+        })
+        .catch(function (err) {
+            var cleanup = tempPath ? fs.unlinkAsync(tempPath) : Promise.fulfilled();
+
+            return cleanup
+                .then(function () {
+                    OwnChanges.record(operation, tempPath);
+                }, function () {
+                    // The temporary file may never have been created
+                })
+                .then(function () {
+                    throw _atomicWriteError(path, err);
+                });
+        });
+}
+
+/**
+ * Detect the encoding of an open file from its first bytes, so that large
+ * files are not read completely.
+ * @param {*} fd
+ * @return {Promise.<{encoding: string, bom: boolean}>}
+ */
+function _detectEncoding(fd) {
+    var sample = new Buffer(EncodingDetector.SAMPLE_SIZE);
+    
+    return fs.readAsync(fd, sample, 0, sample.length, 0)
+        .spread(function (bytesRead) {
+            return EncodingDetector.detect(sample.slice(0, bytesRead));
+        });
+}
+
+/**
+ * Detect the encoding of an existing file. Files that do not exist yet are
+ * written as UTF-8 without a byte order mark.
+ * @param {string} path
+ * @return {Promise.<{encoding: string, bom: boolean}>}
+ */
+function _detectFileEncoding(path) {
+    return fs.openAsync(path, "r")
+        .then(function (fd) {
+            return _detectEncoding(fd)
+                .finally(function () {
+                    return fs.closeAsync(fd);
+                });
+        }, function (err) {
+            if (Errors.isNotFound(err)) {
+                return {encoding: "utf8", bom: false};
+            }
+            throw err;
+        });
+}
+
+/**
+ * Encode data for writing to path. Unless given explicitly, the encoding and
+ * byte order mark of the file being replaced are preserved.
+ * @param {string} path
+ * @param {string} data
+ * @param {string} encoding
+ * @param {{bom: ?boolean}} options
+ * @return {Promise.<{buffer: Buffer, encoding: ?string, bom: ?boolean}>}
+ */
+function _encodeData(path, data, encoding, options) {
+    if (encoding === BINARY_ENCODING) {
+        return Promise.fulfilled({buffer: new Buffer(data, BINARY_ENCODING)});
+    }
+    
+    var hasBOMOption = typeof options.bom === "boolean",
+        existingPromise = (encoding === AUTO_ENCODING || !hasBOMOption) ?
+                _detectFileEncoding(path) : Promise.fulfilled(null);
+    
+    return existingPromise.then(function (existing) {
+        var textEncoding = encoding === AUTO_ENCODING ? existing.encoding : encoding,
+            bom = hasBOMOption ? options.bom :
+                    existing.bom && EncodingDetector.isSameEncoding(existing.encoding, textEncoding);
+        
+        if (!iconv.encodingExists(textEncoding)) {
+            throw Errors.createError("EUNSUPPORTEDENCODING", "Unsupported encoding: " + textEncoding);
+        }
+        
+        bom = bom && EncodingDetector.supportsBOM(textEncoding);
+        
+        return {
+            buffer: iconv.encode(data, textEncoding, {addBOM: bom}),
+            encoding: textEncoding,
+            bom: bom
+        };
+    });
+}
+
+/**
+ * Run the given operation once all previously queued writes to the same path
+ * have settled, so that checking and writing a file cannot interleave with
+ * another write to it.
+ * @param {string} path
+ * @param {function(): Promise} fn
+ * @return {Promise}
+ */
+function _serializeWrite(path, fn) {
+    var previous = _pendingWrites[path] || Promise.fulfilled(),
+        next = previous
+            .catch(function () {
+                // A failed write must not block the ones queued behind it
+            })
+            .then(fn);
+
+    _pendingWrites[path] = next;
+
+    return next.finally(function () {
+        if (_pendingWrites[path] === next) {
+            delete _pendingWrites[path];
+        }
+    });
+}
+
+/**
+ * Reject with ECONTENTSMODIFIED if the file at path no longer has the given
+ * hash. A file that does not exist yet is always considered unmodified.
+ * Content hashes are strings; modification time hashes are numbers.
+ * @param {string} path
+ * @param {?(number|string)} expectedHash
+ * @return {Promise}
+ */
+function _checkHash(path, expectedHash) {
+    if (expectedHash === undefined || expectedHash === null) {
+        return Promise.fulfilled();
+    }
+
+    return _statHelper(path)
+        .then(function (stats) {
+            if (typeof expectedHash === "string" && stats.isFile) {
+                return _addContentHash(path, stats);
+            }
+            stats.hash = stats.mtime;
+            return stats;
+        })
+        .then(function (stats) {
+            if (stats.hash !== expectedHash) {
+                throw Errors.createError("ECONTENTSMODIFIED", "Contents of " + path + " were modified", path);
+            }
+        }, function (err) {
+            if (!Errors.isNotFound(err)) {
+                throw err;
+            }
+        });
+}
+
+/**
+ * Keep a snapshot of a file in its project's local history before it is
+ * changed. Failing to take it does not prevent the change.
+ * @param {string} path
+ * @param {boolean=} isTree Whether path may be a directory about to be
+ *      deleted, in which case every file below it is recorded
+ * @return {Promise}
+ */
+function _takeSnapshot(path, isTree) {
+    // The history is kept for local files only
+    if (fs.isRemote(path)) {
+        return Promise.fulfilled();
+    }
+    
+    return (isTree ? LocalHistory.snapshotTree(path) : LocalHistory.snapshot(path))
+        .catch(function (err) {
+            console.warn("Unable to add to local history: ", path, err);
+        });
+}
+
+/**
+ * Let the local history of a renamed file or directory follow it.
+ * @param {string} oldPath
+ * @param {string} newPath
+ * @return {Promise}
+ */
+function _moveHistory(oldPath, newPath) {
+    return LocalHistory.moved(oldPath, newPath)
+        .catch(function (err) {
+            console.warn("Unable to move local history: ", oldPath, err);
+        });
+}
+
+/**
+ * Check the expected hash, encode and atomically write a file.
+ * @param {string} path
+ * @param {string} data
+ * @param {?string} encoding
+ * @param {{expectedHash: ?(number|string), hashMode: ?string, bom: ?boolean}} options
+ * @return {Promise.<Object>} Resolves with the stats of the written file
+ */
+function _writeHelper(path, data, encoding, options) {
+    var encoded;
+    
+    return _checkHash(path, options.expectedHash)
+        .then(function () {
+            return _takeSnapshot(path);
+        })
+        .then(function () {
+            return _encodeData(path, data, encoding, options);
+        })
+        .then(function (result) {
+            encoded = result;
+            return _writeFileAtomic(path, encoded.buffer);
+        })
+        .then(function (created) {
+            return _statHelper(path)
+                .then(function (stats) {
+                    stats.created = created;
+                    if (encoded.encoding) {
+                        stats.encoding = encoded.encoding;
+                        stats.bom = encoded.bom;
+                    }
+                    if (_usesContentHash(options)) {
+                        stats.hash = _contentHash(encoded.buffer);
+                    }
+                    return stats;
+                });
+        });
+}
+
+/**
+ * Apply the lock policy of a write: with "refuse", writing a file locked by
+ * another live owner fails with ELOCKED; with "warn", the write goes ahead.
+ * @param {string} path
+ * @param {{lockPolicy: ?string, lockOwner: ?string}} options
+ * @return {Promise.<?Object>} Resolves with the conflicting lock, if any
+ */
+function _checkLock(path, options) {
+    if ((options.lockPolicy !== "refuse" && options.lockPolicy !== "warn") || fs.isRemote(path)) {
+        return Promise.fulfilled(null);
+    }
+    
+    return Locks.conflictingLock(path, options.lockOwner)
+        .then(function (lock) {
+            if (lock && options.lockPolicy === "refuse") {
+                throw Errors.createError("ELOCKED", path + " is locked by process " + lock.pid + " on " + lock.host, path);
+            }
+            return lock;
+        });
+}
+
+function writeFileCmd(path, data, encoding, options, callback) {
+    options = options || {};
+
+    _serializeWrite(path, function () {
+        return _checkLock(path, options).then(function (lock) {
+            return _writeHelper(path, data, encoding, options)
+                .then(function (stats) {
+                    if (lock) {
+                        stats.lock = lock;
+                    }
+                    return stats;
+                });
+        });
+    }).nodeify(callback);
+}
+
+/**
+ * Returns a promise handler that passes its value through after recording
+ * a change made by the domain, so that watchers can tag its events.
+ * @param {string} operation Name of the command that made the change
+ * @param {string} path
+ * @param {boolean=} isTree Whether the entries below path changed as well
+ * @return {function(*): *}
+ */
+function _recordOwnChange(operation, path, isTree) {
+    return function (result) {
+        OwnChanges.record(operation, path, isTree);
+        return result;
+    };
+}
+
+function mkdirCmd(path, mode, callback) {
+    fs.mkdirAsync(path, mode)
+        .then(_recordOwnChange("mkdir", path))
+        .then(_statHelper.bind(undefined, path))
+        .nodeify(callback);
+}
+
+function _copyFile(src, dest) {
+    return new Promise(function (resolve, reject) {
+        var readStream = fs.createReadStream(src),
+            writeStream = fs.createWriteStream(dest);
+        
+        // Stream errors are raw Node errors; reject in the form of the
+        // errors of promisified fs calls, with the Node error in err.cause
+        function fail(err) {
+            reject(new Promise.RejectionError(err));
+        }
+        
+        readStream.on("error", fail);
+        writeStream.on("error", fail);
+        writeStream.on("close", resolve);
+        readStream.pipe(writeStream);
+    });
+}
+
+function _preserveStats(dest, stats) {
+    return fs.chmodAsync(dest, stats.mode & PERMISSION_BITS)
+        .then(function () {
+            return fs.utimesAsync(dest, stats.atime, stats.mtime);
+        });
+}
+
+/**
+ * Copy a file, symbolic link or directory tree. Failures below the root are
+ * collected rather than aborting the copy.
+ * @param {string} src
+ * @param {string} dest
+ * @param {{conflict: string, preserve: boolean}} options
+ * @param {Array.<{path: string, err: Error}>} failures
+ * @return {Promise}
+ */
+function _copyHelper(src, dest, options, failures) {
+    return Promise.join(fs.lstatAsync(src), fs.lstatAsync(dest).catch(function (err) {
+        if (Errors.isNotFound(err)) {
+            return null;
+        }
+        throw err;
+    })).spread(function (srcStats, destStats) {
+        var mergeDirs = srcStats.isDirectory() && destStats && destStats.isDirectory(),
+            removePromise;
+        
+        if (destStats && options.conflict === CONFLICT_FAIL) {
+            throw Errors.createError("EEXIST", dest + " already exists", dest);
+        }
+        if (destStats && !mergeDirs && options.conflict === CONFLICT_SKIP) {
+            return;
+        }
+        if (destStats && destStats.isDirectory() && !srcStats.isDirectory()) {
+            throw Errors.createError("EISDIR", "Cannot replace directory " + dest + " with " + src, dest);
+        }
+        
+        removePromise = destStats && !mergeDirs ? fs.removeAsync(dest) : Promise.fulfilled();
+        
+        if (srcStats.isDirectory()) {
+            return removePromise
+                .then(function () {
+                    if (!mergeDirs) {
+                        return fs.mkdirAsync(dest, srcStats.mode & PERMISSION_BITS);
+                    }
+                })
+                .then(function () {
+                    return fs.readdirAsync(src);
+                })
+                .then(function (names) {
+                    return _reduceSeries(names, function (total, name) {
+                        var childSrc = nodePath.join(src, name),
+                            childDest = nodePath.join(dest, name);
+                        
+                        return _copyHelper(childSrc, childDest, options, failures)
+                            .catch(function (err) {
+                                failures.push({path: childSrc, err: err});
+                            })
+                            .then(function () {
+                                return total;
+                            });
+                    }, 0);
+                })
+                .then(function () {
+                    if (options.preserve) {
+                        return _preserveStats(dest, srcStats);
+                    }
+                });
+        }
+        
+        if (srcStats.isSymbolicLink()) {
+            // Links are copied as links, so copying never follows a cycle
+            return Promise.join(fs.readlinkAsync(src), removePromise)
+                .spread(function (target) {
+                    return fs.symlinkAsync(target, dest);
+                });
+        }
+        
+        return removePromise
+            .then(function () {
+                return _copyFile(src, dest);
+            })
+            .then(function () {
+                if (options.preserve) {
+                    return _preserveStats(dest, srcStats);
+                }
+            });
+    });
+}
+
+/**
+ * Copy a file or directory tree. Failures to copy individual entries below
+ * src are reported in the result instead of failing the whole copy.
+ */
+function copyCmd(src, dest, options, callback) {
+    var failures = [],
+        srcPath = src.replace(/\/$/, ""),
+        destPath = dest.replace(/\/$/, "");
+    
+    options = options || {};
+    options.conflict = options.conflict || CONFLICT_FAIL;
+    
+    if (destPath === srcPath || destPath.indexOf(srcPath + "/") === 0) {
+        callback(Errors.createError("EINVALIDPARAMS", "Cannot copy " + src + " into itself", src));
+        return;
+    }
+    
+    _copyHelper(srcPath, destPath, options, failures)
+        .then(_recordOwnChange("copy", destPath, true))
+        .then(function () {
+            return _statHelper(destPath);
+        })
+        .then(function (stats) {
+            stats.failures = failures;
+            return stats;
+        })
+        .nodeify(callback);
+}
+
+function renameCmd(oldPath, newPath, callback) {
+    fs.renameAsync(oldPath, newPath)
+        .then(_recordOwnChange("rename", oldPath, true))
+        .then(_recordOwnChange("rename", newPath, true))
+        .then(function () {
+            return _moveHistory(oldPath, newPath);
+        })
+        .nodeify(callback);
+}
+
+function chmodCmd(path, mode, callback) {
+    fs.chmodAsync(path, mode)
+        .then(_recordOwnChange("chmod", path))
+        .then(_statHelper.bind(undefined, path))
+        .nodeify(callback);
+}
+
+function chownCmd(path, uid, gid, callback) {
+    fs.chownAsync(path, uid, gid)
+        .then(_recordOwnChange("chown", path))
+        .then(_statHelper.bind(undefined, path))
+        .nodeify(callback);
+}
+
+function utimesCmd(path, atime, mtime, callback) {
+    fs.utimesAsync(path, new Date(atime), new Date(mtime))
+        .then(_recordOwnChange("utimes", path))
+        .then(_statHelper.bind(undefined, path))
+        .nodeify(callback);
+}
+
+function readlinkCmd(path, callback) {
+    fs.readlinkAsync(path.replace(/\/$/, ""))
+        .nodeify(callback);
+}
+
+function symlinkCmd(target, path, type, callback) {
+    fs.symlinkAsync(target, path, type || "file")
+        .then(_recordOwnChange("symlink", path))
+        .then(_statHelper.bind(undefined, path))
+        .nodeify(callback);
+}
+
+function unlinkCmd(path, callback) {
+    _takeSnapshot(path, true)
+        .then(function () {
+            return fs.removeAsync(path);
+        })
+        .then(_recordOwnChange("unlink", path, true))
+        .nodeify(callback);
+}
+
+/**
+ * Fail with ENOTSUP for paths below a remote backend, for commands that only
+ * work on the local file system.
+ * @param {string} path
+ * @return {Promise}
+ */
+function _localOnly(path) {
+    if (fs.isRemote(path)) {
+        return Promise.rejected(Errors.createError("ENOTSUP", "Not supported for remote files: " + path, path));
+    }
+    return Promise.fulfilled();
+}
+
+/**
+ * Move a file or directory to the trash instead of deleting it permanently.
+ * Remote files have no trash.
+ */
+function moveToTrashCmd(path, callback) {
+    _localOnly(path)
+        .then(function () {
+            return Trash.moveToTrash(path);
+        })
+        .then(_recordOwnChange("moveToTrash", path, true))
+        .nodeify(callback);
+}
+
+function enableHistoryCmd(root, storePath, options, callback) {
+    LocalHistory.enable(root, storePath, options)
+        .nodeify(callback);
+}
+
+function disableHistoryCmd(root) {
+    LocalHistory.disable(root);
+}
+
+function listHistoryCmd(path) {
+    return LocalHistory.list(path);
+}
+
+function readHistoryEntryCmd(id, encoding, callback) {
+    LocalHistory.read(id)
+        .then(function (result) {
+            var entry = result.entry,
+                decoded;
+            
+            if (encoding === BINARY_ENCODING) {
+                entry.data = result.data.toString(BINARY_ENCODING);
+            } else {
+                decoded = _decodeText(entry.path, result.data, encoding || AUTO_ENCODING);
+                entry.data = _strencode(decoded.text);
+                entry.encoding = decoded.encoding;
+                entry.bom = decoded.bom;
+            }
+            return entry;
+        })
+        .nodeify(callback);
+}
+
+/**
+ * Write the contents of a history entry back to the file it was taken of,
+ * which is recreated if it was deleted. The contents being replaced are
+ * added to the history first, so that the restore can be undone.
+ */
+function restoreHistoryEntryCmd(id, callback) {
+    LocalHistory.read(id)
+        .then(function (result) {
+            var path = result.entry.path;
+            
+            return _serializeWrite(path, function () {
+                return _takeSnapshot(path)
+                    .then(function () {
+                        return fs.mkdirsAsync(nodePath.dirname(path));
+                    })
+                    .then(function () {
+                        return _writeFileAtomic(path, result.data, "restoreHistoryEntry");
+                    })
+                    .then(function (created) {
+                        return _statHelper(path).then(function (stats) {
+                            stats.created = created;
+                            stats.path = path;
+                            return stats;
+                        });
+                    });
+            });
+        })
+        .nodeify(callback);
+}
+
+function lockCmd(path, options, callback) {
+    _localOnly(path)
+        .then(function () {
+            return Locks.acquire(path, options);
+        })
+        .then(_recordOwnChange("lock", Locks.lockPathFor(path)))
+        .nodeify(callback);
+}
+
+function unlockCmd(path, options, callback) {
+    _localOnly(path)
+        .then(function () {
+            return Locks.release(path, options);
+        })
+        .then(_recordOwnChange("unlock", Locks.lockPathFor(path)))
+        .nodeify(callback);
+}
+
+function queryLockCmd(path, owner, callback) {
+    _localOnly(path)
+        .then(function () {
+            return Locks.query(path, owner);
+        })
+        .nodeify(callback);
+}
+
+/**
+ * Operations of a transaction and the fields they require besides type:
+ *   "write"  - path, data; optional encoding and options as for writeFile
+ *   "mkdir"  - path; optional mode
+ *   "rename" - path, newPath
+ *   "copy"   - path, newPath; optional preserve as for copy
+ *   "delete" - path
+ * Any operation may have an expectedHash for path, as for writeFile.
+ */
+var TRANSACTION_OPERATIONS = {
+    "write": ["path", "data"],
+    "mkdir": ["path"],
+    "rename": ["path", "newPath"],
+    "copy": ["path", "newPath"],
+    "delete": ["path"]
+};
+
+function _stripTrailingSlash(path) {
+    return path.length > 1 && path[path.length - 1] === "/" ? path.substr(0, path.length - 1) : path;
+}
+
+function _isAbsolutePath(path) {
+    return path[0] === "/" || /^[A-Za-z]:[\\\/]/.test(path);
+}
+
+/**
+ * Describe an error for a transaction report.
+ * @param {Error} err
+ * @return {{code: ?string, path: ?string, message: string}}
+ */
+function _errorInfo(err) {
+    var cause = (err && err.cause) || err || {};
+    
+    return {
+        code: cause.code || null,
+        path: cause.path || null,
+        message: (err && err.message) || String(err)
+    };
+}
+
+/**
+ * Check the shape of a transaction operation.
+ * @param {Object} op
+ * @return {?Error}
+ */
+function _checkOperation(op) {
+    var fields = op && TRANSACTION_OPERATIONS[op.type],
+        invalid;
+    
+    if (!fields || !TRANSACTION_OPERATIONS.hasOwnProperty(op.type)) {
+        return Errors.createError("EINVALIDPARAMS", "Unknown operation type: " + (op && op.type));
+    }
+    
+    invalid = fields.filter(function (field) {
+        return typeof op[field] !== "string" || (field !== "data" && !_isAbsolutePath(op[field]));
+    });
+    if (invalid.length > 0) {
+        return Errors.createError("EINVALIDPARAMS", "Invalid " + invalid.join(", ") + " for " + op.type, op.path);
+    }
+    
+    if (op.newPath && (_stripTrailingSlash(op.newPath) + "/").indexOf(_stripTrailingSlash(op.path) + "/") === 0) {
+        return Errors.createError("EINVALIDPARAMS", "Cannot " + op.type + " " + op.path + " into itself", op.path);
+    }
+    
+    return null;
 }
 
-function writeFileCmd(path, data, encoding, callback) {
-    existsCmd(path, function (exists) {
-        fs.writeFileAsync(path, data, {encoding: encoding})
-            .then(_statHelper.bind(undefined, path))
-            .then(function (stats) {
-                stats.created = !exists;
-                return stats;
+/**
+ * Validate all operations of a transaction before any is applied: check their
+ * shape, the expected hashes of paths that earlier operations do not touch,
+ * and that the paths they need exist, or do not, at that point of the
+ * transaction.
+ * @param {Array.<Object>} operations
+ * @return {Promise.<Array.<?Error>>} Resolves with an error, or null, per operation
+ */
+function _validateTransaction(operations) {
+    // Paths touched by the operations so far, in order, with whether they exist
+    // afterwards and, for renamed or copied entries, the path they came from
+    var log = [];
+    
+    function isAncestor(ancestor, path) {
+        return path.indexOf(ancestor === "/" ? ancestor : ancestor + "/") === 0;
+    }
+    
+    function isTouched(path) {
+        return log.some(function (entry) {
+            return entry.path === path || isAncestor(entry.path, path);
+        });
+    }
+    
+    /**
+     * Whether path exists after the first count logged changes.
+     */
+    function exists(path, count) {
+        var i,
+            entry;
+        
+        for (i = count - 1; i >= 0; i--) {
+            entry = log[i];
+            if (entry.path === path) {
+                return Promise.fulfilled(entry.exists);
+            }
+            if (isAncestor(entry.path, path)) {
+                if (entry.origin) {
+                    return exists(entry.origin + path.substr(entry.path.length), i);
+                }
+                // Deleted, or created empty
+                return Promise.fulfilled(false);
+            }
+        }
+        
+        return fs.lstatAsync(path)
+            .then(function () {
+                return true;
+            }, function (err) {
+                if (Errors.isNotFound(err)) {
+                    return false;
+                }
+                throw err;
+            });
+    }
+    
+    function expect(path, shouldExist) {
+        return exists(path, log.length).then(function (doesExist) {
+            if (doesExist && !shouldExist) {
+                throw Errors.createError("EEXIST", path + " already exists", path);
+            } else if (!doesExist && shouldExist) {
+                throw Errors.createError("ENOENT", path + " does not exist", path);
+            }
+        });
+    }
+    
+    return _reduceSeries(operations, function (errors, op) {
+        var error = _checkOperation(op),
+            path,
+            newPath,
+            checks;
+        
+        if (error) {
+            errors.push(error);
+            return errors;
+        }
+        
+        path = _stripTrailingSlash(op.path);
+        newPath = op.newPath && _stripTrailingSlash(op.newPath);
+        
+        checks = isTouched(path) ? Promise.fulfilled() : _checkHash(path, op.expectedHash);
+        
+        return checks
+            .then(function () {
+                switch (op.type) {
+                case "write":
+                    return expect(nodePath.dirname(path), true);
+                case "mkdir":
+                    return Promise.join(expect(path, false), expect(nodePath.dirname(path), true));
+                case "rename":
+                case "copy":
+                    return Promise.join(expect(path, true), expect(newPath, false), expect(nodePath.dirname(newPath), true));
+                case "delete":
+                    return expect(path, true);
+                }
             })
-            .nodeify(callback);
-    });
+            .then(function () {
+                // The destination is logged first, so that looking up its
+                // origin ignores the removal of a renamed source
+                if (newPath) {
+                    log.push({path: newPath, exists: true, origin: path});
+                }
+                if (op.type === "rename" || op.type === "delete") {
+                    log.push({path: path, exists: false});
+                } else if (op.type !== "copy") {
+                    log.push({path: path, exists: true});
+                }
+                errors.push(null);
+                return errors;
+            }, function (err) {
+                errors.push(err);
+                return errors;
+            });
+    }, []);
 }
 
-function mkdirCmd(path, mode, callback) {
-    fs.mkdirAsync(path, mode)
-        .then(_statHelper.bind(undefined, path))
-        .nodeify(callback);
+/**
+ * Backups of the entries a transaction replaced or deleted are kept next to
+ * them, so that restoring them is a rename on the same device. When a later
+ * operation moves a directory containing backups, their paths are updated.
+ * @param {{backups: Array.<{path: string}>}} txn
+ * @param {string} from
+ * @param {string} to
+ */
+function _moveBackups(txn, from, to) {
+    txn.backups.forEach(function (backup) {
+        if (backup.path === from || backup.path.indexOf(from + "/") === 0) {
+            backup.path = to + backup.path.substr(from.length);
+        }
+    });
 }
 
-function renameCmd(oldPath, newPath, callback) {
-    fs.renameAsync(oldPath, newPath)
-        .nodeify(callback);
+/**
+ * Apply one operation of a transaction. Once it succeeded, a function that
+ * undoes it is added to txn.undoLog; an operation that fails leaves no change
+ * behind.
+ * @param {Object} op
+ * @param {{undoLog: Array.<{undo: function(): Promise}>, backups: Array.<{path: string}>, touchedPaths: Array.<string>}} txn
+ *      State of the transaction: the undo log, the backups to discard once
+ *      it is committed and the paths that were changed
+ * @return {Promise.<?Object>} Resolves with the stats of the resulting entry
+ */
+function _applyOperation(op, txn) {
+    var path = _stripTrailingSlash(op.path),
+        newPath = op.newPath && _stripTrailingSlash(op.newPath),
+        failures = [],
+        backup;
+    
+    txn.touchedPaths.push(path);
+    if (newPath) {
+        txn.touchedPaths.push(newPath);
+    }
+    
+    return _checkHash(path, op.expectedHash).then(function () {
+        switch (op.type) {
+        case "write":
+            return _resolveWritePath(path).then(function (targetPath) {
+                backup = {path: _tempPathFor(targetPath)};
+                txn.touchedPaths.push(targetPath, backup.path);
+                
+                // A hard link keeps the original file, which the write replaces
+                return fs.linkAsync(targetPath, backup.path)
+                    .then(function () {
+                        return true;
+                    }, function (err) {
+                        if (Errors.isNotFound(err)) {
+                            return false;
+                        }
+                        return fs.copyAsync(targetPath, backup.path).then(function () {
+                            return true;
+                        });
+                    })
+                    .then(function (existed) {
+                        var options = op.options || {};
+                        
+                        return _serializeWrite(targetPath, function () {
+                            return _checkLock(path, options).then(function (lock) {
+                                return _writeHelper(path, op.data, op.encoding || AUTO_ENCODING, options)
+                                    .then(function (stats) {
+                                        if (lock) {
+                                            stats.lock = lock;
+                                        }
+                                        return stats;
+                                    });
+                            });
+                        }).then(function (stats) {
+                            if (existed) {
+                                txn.backups.push(backup);
+                            }
+                            txn.undoLog.push({
+                                undo: function () {
+                                    return existed ? fs.renameAsync(backup.path, targetPath) : fs.unlinkAsync(targetPath);
+                                }
+                            });
+                            return stats;
+                        }, function (err) {
+                            var cleanup = existed ? fs.unlinkAsync(backup.path) : Promise.fulfilled();
+                            
+                            return cleanup.then(function () {
+                                throw err;
+                            });
+                        });
+                    });
+            });
+        case "mkdir":
+            return fs.mkdirAsync(path, op.mode).then(function () {
+                txn.undoLog.push({
+                    undo: function () {
+                        return fs.rmdirAsync(path);
+                    }
+                });
+                return _statHelper(path);
+            });
+        case "rename":
+            return fs.renameAsync(path, newPath).then(function () {
+                _moveBackups(txn, path, newPath);
+                txn.undoLog.push({
+                    undo: function () {
+                        return fs.renameAsync(newPath, path).then(function () {
+                            _moveBackups(txn, newPath, path);
+                            return _moveHistory(newPath, path);
+                        });
+                    }
+                });
+                return _moveHistory(path, newPath);
+            }).then(function () {
+                return _statHelper(newPath);
+            });
+        case "copy":
+            return _copyHelper(path, newPath, {conflict: CONFLICT_FAIL, preserve: op.preserve}, failures)
+                .then(function () {
+                    if (failures.length > 0) {
+                        throw failures[0].err;
+                    }
+                    
+                    // Copies of backups are discarded with the backups
+                    txn.backups.slice().forEach(function (original) {
+                        if (original.path.indexOf(path + "/") === 0) {
+                            txn.backups.push({path: newPath + original.path.substr(path.length)});
+                        }
+                    });
+                    txn.undoLog.push({
+                        undo: function () {
+                            return fs.removeAsync(newPath);
+                        }
+                    });
+                    return _statHelper(newPath);
+                })
+                .catch(function (err) {
+                    // Remove what was copied before the failure
+                    return fs.removeAsync(newPath).then(function () {
+                        throw err;
+                    });
+                });
+        case "delete":
+            // The entry is moved aside, so that it can be moved back
+            backup = {path: _tempPathFor(path)};
+            txn.touchedPaths.push(backup.path);
+            return _takeSnapshot(path, true).then(function () {
+                return fs.renameAsync(path, backup.path);
+            }).then(function () {
+                _moveBackups(txn, path, backup.path);
+                txn.backups.push(backup);
+                txn.undoLog.push({
+                    undo: function () {
+                        return fs.renameAsync(backup.path, path).then(function () {
+                            _moveBackups(txn, backup.path, path);
+                        });
+                    }
+                });
+                return null;
+            });
+        }
+    });
 }
 
-function unlinkCmd(path, callback) {
-    fs.removeAsync(path)
+/**
+ * Apply an ordered list of write, mkdir, rename, copy and delete operations
+ * as a whole. All operations are validated before any is applied; if one
+ * fails, those applied before it are undone in reverse order. Watchers are
+ * paused meanwhile, so the changes are reported as one batch.
+ * 
+ * The report has one result per operation, whose status is one of:
+ *   "committed"      - applied, and kept because all operations succeeded
+ *   "rolledBack"     - applied, then undone because a later operation failed
+ *   "rollbackFailed" - applied, but could not be undone; see error
+ *   "failed"         - failed to validate or apply; see error
+ *   "notRun"         - not attempted because another operation failed
+ * 
+ * @param {Array.<Object>} operations See TRANSACTION_OPERATIONS
+ * @param {function(?Error, {committed: boolean, results: Array.<Object>})} callback
+ */
+function transactionCmd(operations, callback) {
+    var txn = {undoLog: [], backups: [], touchedPaths: []},
+        results;
+    
+    if (!Array.isArray(operations)) {
+        callback(Errors.createError("EINVALIDPARAMS", "Operations must be an array"));
+        return;
+    }
+    
+    results = operations.map(function (op) {
+        return {
+            type: op && op.type,
+            path: op && op.path,
+            newPath: (op && op.newPath) || null,
+            status: "notRun",
+            stats: null,
+            error: null
+        };
+    });
+    
+    pauseWatchersCmd();
+    
+    _validateTransaction(operations)
+        .then(function (errors) {
+            var invalid = false;
+            
+            errors.forEach(function (err, index) {
+                if (err) {
+                    results[index].status = "failed";
+                    results[index].error = _errorInfo(err);
+                    invalid = true;
+                }
+            });
+            
+            if (invalid) {
+                return false;
+            }
+            
+            return _reduceSeries(operations, function (succeeded, op, index) {
+                if (!succeeded) {
+                    return false;
+                }
+                
+                return _applyOperation(op, txn)
+                    .then(function (stats) {
+                        results[index].status = "committed";
+                        results[index].stats = stats;
+                        txn.undoLog[txn.undoLog.length - 1].index = index;
+                        return true;
+                    }, function (err) {
+                        results[index].status = "failed";
+                        results[index].error = _errorInfo(err);
+                        return false;
+                    });
+            }, true);
+        })
+        .then(function (committed) {
+            if (committed) {
+                return Promise.settle(txn.backups.map(function (backup) {
+                    txn.touchedPaths.push(backup.path);
+                    return fs.removeAsync(backup.path);
+                })).then(function () {
+                    return true;
+                });
+            }
+            
+            // Undo in reverse order, continuing past steps that cannot be undone
+            return _reduceSeries(txn.undoLog.slice().reverse(), function (total, step) {
+                var result = results[step.index];
+                
+                return step.undo()
+                    .then(function () {
+                        result.status = "rolledBack";
+                        result.stats = null;
+                    }, function (err) {
+                        console.error("Failed to roll back " + result.type + " of " + result.path + ": " + (err && err.message));
+                        result.status = "rollbackFailed";
+                        result.error = _errorInfo(err);
+                    })
+                    .then(function () {
+                        return total;
+                    });
+            }, 0).then(function () {
+                return false;
+            });
+        })
+        .then(function (committed) {
+            return {committed: committed, results: results};
+        })
+        .finally(function () {
+            txn.touchedPaths.forEach(function (path) {
+                OwnChanges.record("transaction", path, true);
+            });
+            resumeWatchersCmd(function () {});
+        })
         .nodeify(callback);
 }
 
@@ -182,14 +1947,15 @@ function unlinkCmd(path, callback) {
  * @param {string} path File or directory to unwatch.
  */
 function unwatchPath(path) {
-    var watcher = _watcherMap[path];
+    var entry = _watcherMap[path];
 
-    if (watcher) {
+    if (entry) {
         try {
-            if (fsevents) {
-                watcher.stop();
+            entry.coalescer.close();
+            if (fsevents && !entry.isPolling) {
+                entry.watcher.stop();
             } else {
-                watcher.close();
+                entry.watcher.close();
             }
         } catch (err) {
             console.warn("Failed to unwatch file " + path + ": " + (err && err.message));
@@ -200,45 +1966,232 @@ function unwatchPath(path) {
 }
 
 /**
- * Watch a file or directory.
+ * Emit a batch of changes, tagging those made by the domain itself with
+ * isOwnChange and the name of the command that made them. Changes of lock
+ * files are left out, as they are not part of the project. While the
+ * watchers are being resumed, the batches of all watchers are collected to
+ * be emitted at once.
+ * @param {Array.<{type: string, path: string, oldPath: ?string, stats: ?Object}>} changes
+ */
+function _emitChanges(changes) {
+    changes = changes.filter(function (change) {
+        return !Locks.isLockFile(change.path) && !(change.oldPath && Locks.isLockFile(change.oldPath));
+    });
+    if (!changes.length) {
+        return;
+    }
+    
+    changes.forEach(function (change) {
+        var operation = OwnChanges.getOperation(change);
+        
+        if (operation) {
+            change.isOwnChange = true;
+            change.operation = operation;
+        }
+    });
+    
+    if (_resumedChanges) {
+        _resumedChanges.push.apply(_resumedChanges, changes);
+    } else {
+        _domainManager.emitEvent("fileSystem", "changes", [changes]);
+    }
+}
+
+/**
+ * Start a native watcher, which reports changes to the coalescer.
+ * @param {string} path
+ * @param {{ignore: ?Array.<string>}} options
+ * @param {ChangeCoalescer} coalescer
+ * @return {EventEmitter} Watcher
+ */
+function _createNativeWatcher(path, options, coalescer) {
+    var watcher;
+    
+    if (fsevents) {
+        watcher = fsevents(path);
+        watcher.on("change", function (filename, info) {
+            coalescer.add(filename, info.event === "modified" ? "change" : "rename");
+        });
+    } else if (process.platform === "linux" && path[path.length - 1] === "/") {
+        watcher = new TreeWatcher(path, options);
+        watcher.on("change", function (parent, event, filename) {
+            coalescer.add(filename ? parent + filename : parent, event);
+        });
+        watcher.on("entry", function (entryPath, stats) {
+            coalescer.remember(entryPath, _addStats({}, stats));
+        });
+        watcher.on("limit", function (limitPath) {
+            console.warn("Reached the limit on watched directories while watching " + path);
+            _domainManager.emitEvent("fileSystem", "watcherLimit", [path, limitPath]);
+        });
+    } else {
+        watcher = callbackfs.watch(path, {persistent: false}, function (event, filename) {
+            var isDirectory = path[path.length - 1] === "/";
+            
+            coalescer.add(isDirectory && filename ? path + filename : path, event);
+        });
+    }
+    
+    return watcher;
+}
+
+/**
+ * Start a watcher that polls the file or directory tree for changes.
+ * @param {string} path
+ * @param {{ignore: ?Array.<string>, pollInterval: ?number}} options
+ * @param {ChangeCoalescer} coalescer
+ * @return {PollingWatcher}
+ */
+function _createPollingWatcher(path, options, coalescer) {
+    var watcher = new PollingWatcher(path, {
+        ignore: options.ignore,
+        pollInterval: options.pollInterval,
+        backend: fs
+    });
+    
+    watcher.on("change", function (parent, event, filename) {
+        coalescer.add(parent + filename, event);
+    });
+    watcher.on("entry", function (entryPath, stats) {
+        coalescer.remember(entryPath, _addStats({}, stats));
+    });
+    
+    return watcher;
+}
+
+/**
+ * Watch a file or directory. Directories are watched recursively: on Mac
+ * with FSEvents, and on Linux with one inotify watch per directory, in
+ * which case a "watcherLimit" event is emitted if the system limit on
+ * watches is reached before the whole tree is watched.
+ * 
+ * Paths on file systems where native watchers do not work, such as network
+ * mounts, are polled instead; so are paths whose native watcher fails and
+ * paths below a remote backend.
+ * 
+ * Changes are debounced and emitted in batches as "changes" events; see
+ * ChangeCoalescer for the types of changes.
+ * 
  * @param {string} path File or directory to watch.
+ * @param {{ignore: ?Array.<string>, hashMode: ?string, poll: ?boolean, pollInterval: ?number}=} options
+ *      Globs, relative to path, of files and directories whose changes need
+ *      not be reported, which are only used on Linux and when polling; how the
+ *      hashes of the reported stats are computed; whether to poll, with null
+ *      to poll only where native watchers are known not to work; and the
+ *      time in milliseconds between two scans when polling.
  */
-function watchPath(path) {
+function watchPath(path, options) {
     if (_watcherMap.hasOwnProperty(path)) {
         return;
     }
     
+    options = options || {};
+    
+    var isPolling = fs.isRemote(path) ||
+            (typeof options.poll === "boolean" ? options.poll : PollingWatcher.isUnsupportedFileSystem(path)),
+        coalescer = new ChangeCoalescer(function (changedPath) {
+            return _statHelper(changedPath, options);
+        }),
+        watcher;
+    
+    coalescer.on("changes", _emitChanges);
+    if (_watcherPauseCount > 0) {
+        coalescer.pause();
+    }
+    
     try {
-        var watcher;
-        
-        if (fsevents) {
-            watcher = fsevents(path);
-            watcher.on("change", function (filename, info) {
-                var lastIndex = filename.lastIndexOf("/") + 1,
-                    parent = lastIndex && filename.substring(0, lastIndex),
-                    name = lastIndex && filename.substring(lastIndex),
-                    type = info.event === "modified" ? "change" : "rename";
-                
-                _domainManager.emitEvent("fileSystem", "change", [parent, type, name]);
-            });
+        if (isPolling) {
+            watcher = _createPollingWatcher(path, options, coalescer);
         } else {
-            watcher = fs.watch(path, {persistent: false}, function (event, filename) {
-                // File/directory changes are emitted as "change" events on the fileWatcher domain.
-                _domainManager.emitEvent("fileSystem", "change", [path, event, filename]);
-            });
+            try {
+                watcher = _createNativeWatcher(path, options, coalescer);
+            } catch (nativeErr) {
+                console.warn("Failed to watch file " + path + ", polling instead: " + (nativeErr && nativeErr.message));
+                isPolling = true;
+                watcher = _createPollingWatcher(path, options, coalescer);
+            }
         }
 
-        _watcherMap[path] = watcher;
+        _watcherMap[path] = {watcher: watcher, coalescer: coalescer, isPolling: isPolling};
         
         watcher.on("error", function (err) {
             console.error("Error watching file " + path + ": " + (err && err.message));
             unwatchPath(path);
+            
+            if (!isPolling) {
+                watchPath(path, {
+                    ignore: options.ignore,
+                    hashMode: options.hashMode,
+                    poll: true,
+                    pollInterval: options.pollInterval
+                });
+            }
         });
     } catch (err) {
+        coalescer.close();
         console.warn("Failed to watch file " + path + ": " + (err && err.message));
     }
 }
 
+/**
+ * Resume all watchers, emitting the changes collected while they were
+ * paused as a single "changes" event.
+ * @return {Promise.<number>} Resolved with the number of changes
+ */
+function _resumeWatchers() {
+    var collected = _resumedChanges = [];
+    
+    clearTimeout(_watcherPauseTimeout);
+    _watcherPauseTimeout = null;
+    _watcherPauseCount = 0;
+    
+    return Promise.settle(Object.keys(_watcherMap).map(function (path) {
+        return _watcherMap[path].coalescer.resume();
+    })).then(function () {
+        if (_resumedChanges === collected) {
+            _resumedChanges = null;
+        }
+        if (collected.length > 0) {
+            _domainManager.emitEvent("fileSystem", "changes", [collected]);
+        }
+        return collected.length;
+    });
+}
+
+/**
+ * Hold back watcher changes, e.g. during a bulk operation, until
+ * resumeWatchers is called as many times as pauseWatchers was. Watchers
+ * are resumed anyway after MAX_WATCHER_PAUSE.
+ */
+function pauseWatchersCmd() {
+    _watcherPauseCount++;
+    
+    Object.keys(_watcherMap).forEach(function (path) {
+        _watcherMap[path].coalescer.pause();
+    });
+    
+    clearTimeout(_watcherPauseTimeout);
+    _watcherPauseTimeout = setTimeout(function () {
+        console.warn("Watchers were paused for too long; resuming them");
+        _resumeWatchers();
+    }, MAX_WATCHER_PAUSE);
+}
+
+/**
+ * Undo a call to pauseWatchers. Once all calls are undone, the changes made
+ * while the watchers were paused are emitted as one "changes" event.
+ */
+function resumeWatchersCmd(callback) {
+    if (_watcherPauseCount > 1) {
+        _watcherPauseCount--;
+        callback(null, 0);
+        return;
+    }
+    
+    _resumeWatchers()
+        .nodeify(callback);
+}
+
 /**
  * Un-watch all files and directories.
  */
@@ -252,6 +2205,62 @@ function unwatchAll() {
     }
 }
 
+/**
+ * Mount the files of another host at a path prefix: the commands for paths
+ * below the prefix then run on that host, and watchers poll them. A
+ * "mountStatus" event is emitted when the connection to the host is lost
+ * and when it is restored.
+ * @param {string} prefix Absolute local path, e.g. "/remote/example.com/"
+ * @param {{type: string, root: ?string}} options The type of the backend,
+ *      e.g. "sftp", the directory on the host the prefix is mapped to, "/"
+ *      by default, and the connection settings of the backend; see
+ *      SftpBackend
+ */
+function mountCmd(prefix, options, callback) {
+    var Backend = BACKEND_TYPES.hasOwnProperty(options.type) && BACKEND_TYPES[options.type],
+        backend;
+    
+    if (!Backend) {
+        callback(Errors.createError("ENOTSUP", "Unknown backend type: " + options.type, prefix));
+        return;
+    }
+    
+    backend = new Backend(options);
+    backend.connect()
+        .then(function () {
+            fs.mount(prefix, backend, options.root);
+        })
+        .catch(function (err) {
+            backend.close();
+            throw err;
+        })
+        .nodeify(callback);
+}
+
+/**
+ * Unmount the backend mounted at a prefix, which stops the watchers below it.
+ */
+function unmountCmd(prefix, callback) {
+    if (prefix[prefix.length - 1] !== "/") {
+        prefix += "/";
+    }
+    
+    Object.keys(_watcherMap).forEach(function (path) {
+        if (path.indexOf(prefix) === 0) {
+            unwatchPath(path);
+        }
+    });
+    
+    fs.unmount(prefix)
+        .nodeify(callback);
+}
+
+function _emitMountStatus(online) {
+    return function (prefix) {
+        _domainManager.emitEvent("fileSystem", "mountStatus", [prefix, online]);
+    };
+}
+
 /**
  * Initialize the "fileSystem" domain.
  */
@@ -270,13 +2279,83 @@ function init(domainManager) {
             name: "path",
             type: "string",
             description: "absolute filesystem path of the directory to read"
+        }, {
+            name: "options",
+            type: "{hashMode: ?string}",
+            description: "\"mtime\", \"lazy\" or \"eager\"; eager also computes content hashes of the files"
         }],
         [{
             name: "statObjs",
-            type: "Array.<{name: string, isFile: boolean, mtime: number, size: number}>",
+            type: "Array.<{name: string, isFile: boolean, mtime: number, size: number, hash: ?string}>",
             description: "An array of objects, each of which contains a name and stat information"
         }]
     );
+    domainManager.registerCommand(
+        "fileSystem",
+        "walk",
+        walkCmd,
+        true,
+        "Recursively enumerate the contents of a directory, emitting walkBatch events",
+        [{
+            name: "walkId",
+            type: "string",
+            description: "identifier passed back with each walkBatch event"
+        }, {
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the directory to walk"
+        }, {
+            name: "options",
+            type: "{ignore: ?Array.<string>, maxDepth: ?number, followSymlinks: ?boolean, batchSize: ?number, hashMode: ?string}",
+            description: "globs of entries to skip, maximum depth below path, whether to descend into linked directories and number of entries per event"
+        }],
+        [{
+            name: "count",
+            type: "number",
+            description: "The number of entries that were emitted"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "search",
+        searchCmd,
+        true,
+        "Search the contents of files, emitting searchMatches events",
+        [{
+            name: "searchId",
+            type: "string",
+            description: "identifier passed back with each searchMatches event"
+        }, {
+            name: "paths",
+            type: "Array.<string>",
+            description: "absolute paths of files to search, and of directories (with a trailing slash) to search recursively"
+        }, {
+            name: "query",
+            type: "{pattern: string, isRegexp: ?boolean, isCaseSensitive: ?boolean, isWholeWord: ?boolean}",
+            description: "the string or regular expression to search for"
+        }, {
+            name: "options",
+            type: "{exclude: ?Array.<string>, root: ?string, maxFileSize: ?number}",
+            description: "globs of files and directories to skip, relative to root for files given explicitly, and the size in bytes above which files are skipped"
+        }],
+        [{
+            name: "result",
+            type: "{filesSearched: number, matchCount: number, canceled: boolean}",
+            description: "The number of files searched and matches found, and whether the search was canceled"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "cancelSearch",
+        cancelSearchCmd,
+        false,
+        "Cancel an in-progress search",
+        [{
+            name: "searchId",
+            type: "string",
+            description: "identifier of the search to cancel"
+        }]
+    );
     domainManager.registerCommand(
         "fileSystem",
         "readFile",
@@ -290,11 +2369,15 @@ function init(domainManager) {
         }, {
             name: "encoding",
             type: "string",
-            description: "encoding with which to read the file"
+            description: "encoding with which to read the file, \"auto\" to detect it, or \"base64\" to read raw bytes"
+        }, {
+            name: "options",
+            type: "{hashMode: ?string, maxSize: ?number}",
+            description: "\"mtime\", \"lazy\" or \"eager\"; lazy and eager also compute a content hash. Files larger than maxSize bytes fail with EFILETOOLARGE"
         }],
         [{
             name: "statObjs",
-            type: "{data: string, isFile: boolean, mtime: number, size: number}",
+            type: "{data: string, isFile: boolean, mtime: number, size: number, hash: ?string, encoding: ?string, bom: ?boolean}",
             description: "An object that contains data and stat information"
         }]
     );
@@ -303,20 +2386,53 @@ function init(domainManager) {
         "readAllFiles",
         readAllFilesCmd,
         true,
-        "Read the contents of all files",
+        "Read the contents of all files",
+        [{
+            name: "paths",
+            type: "Array.<string>",
+            description: "absolute filesystem paths of the files to read"
+        }, {
+            name: "encoding",
+            type: "string",
+            description: "encoding with which to read the files, \"auto\" to detect it, or \"base64\" to read raw bytes"
+        }, {
+            name: "options",
+            type: "{hashMode: ?string, maxSize: ?number}",
+            description: "\"mtime\", \"lazy\" or \"eager\"; lazy and eager also compute content hashes. Files larger than maxSize bytes fail with EFILETOOLARGE"
+        }],
+        [{
+            name: "results",
+            type: "Array.<{err: string, data: string}>",
+            description: "An array of objects that contain read err or file data"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "readFileChunk",
+        readFileChunkCmd,
+        true,
+        "Read part of the contents of a file",
         [{
-            name: "paths",
-            type: "Array.<string>",
-            description: "absolute filesystem paths of the files to read"
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file to read"
+        }, {
+            name: "offset",
+            type: "number",
+            description: "byte offset at which to start reading"
+        }, {
+            name: "length",
+            type: "number",
+            description: "maximum number of bytes to read"
         }, {
             name: "encoding",
             type: "string",
-            description: "encoding with which to read the files"
+            description: "encoding with which to read the chunk, \"auto\" to detect it, or \"base64\" to read raw bytes"
         }],
         [{
-            name: "results",
-            type: "Array.<{err: string, data: string}>",
-            description: "An array of objects that contain read err or file data"
+            name: "chunk",
+            type: "{data: string, offset: number, bytesRead: number, size: number, eof: boolean, encoding: ?string}",
+            description: "An object that contains the chunk data, the number of bytes it spans and the total file size"
         }]
     );
     domainManager.registerCommand(
@@ -329,17 +2445,21 @@ function init(domainManager) {
             name: "path",
             type: "string",
             description: "absolute filesystem path of the file or directory to stat"
+        }, {
+            name: "options",
+            type: "{hashMode: ?string}",
+            description: "\"mtime\", \"lazy\" or \"eager\"; eager also computes a content hash"
         }],
         [{
             name: "statObj",
-            type: "{isFile: boolean, mtime: number, size: number, realpath: ?string}",
+            type: "{isFile: boolean, mtime: number, size: number, realpath: ?string, hash: ?string, mode: number, uid: number, gid: number, dev: number, ino: number, atime: number, ctime: number, birthtime: ?number, isWritable: boolean, isSymbolicLink: ?boolean, linkTarget: ?string, isDangling: ?boolean}",
             description: "An object that contains stat information"
         }]
     );
     domainManager.registerCommand(
         "fileSystem",
         "exists",
-        statCmd,
+        existsCmd,
         true,
         "Determine whether a file or directory exists",
         [{
@@ -370,12 +2490,16 @@ function init(domainManager) {
         }, {
             name: "encoding",
             type: "string",
-            description: "encoding with which to write the data"
+            description: "encoding with which to write the data, \"auto\" to keep the file's encoding, or \"base64\" if data holds base64-encoded bytes"
+        }, {
+            name: "options",
+            type: "{expectedHash: ?(number|string), hashMode: ?string, bom: ?boolean, lockPolicy: ?string, lockOwner: ?string}",
+            description: "if expectedHash is given, the write fails with ECONTENTSMODIFIED unless the file is unchanged; bom overrides whether a byte order mark is written; with lockPolicy \"refuse\", writing a file locked by another owner than lockOwner fails with ELOCKED, with \"warn\" its lock is returned"
         }],
         [{
             name: "statObj",
-            type: "{isFile: boolean, mtime: number, size: number}",
-            description: "An object that contains stat information"
+            type: "{isFile: boolean, mtime: number, size: number, created: boolean, hash: ?string, encoding: ?string, bom: ?boolean, lock: ?Object}",
+            description: "An object that contains stat information, and the conflicting lock if lockPolicy is \"warn\""
         }]
     );
     domainManager.registerCommand(
@@ -399,6 +2523,31 @@ function init(domainManager) {
             description: "An object that contains stat information for the new directory"
         }]
     );
+    domainManager.registerCommand(
+        "fileSystem",
+        "copy",
+        copyCmd,
+        true,
+        "Copy a file or directory tree",
+        [{
+            name: "src",
+            type: "string",
+            description: "absolute filesystem path of the file or directory to copy"
+        }, {
+            name: "dest",
+            type: "string",
+            description: "absolute filesystem path of the copy"
+        }, {
+            name: "options",
+            type: "{conflict: ?string, preserve: ?boolean}",
+            description: "\"overwrite\", \"skip\" or \"fail\" (default) when the destination exists, and whether to preserve modes and timestamps"
+        }],
+        [{
+            name: "statObj",
+            type: "{isFile: boolean, mtime: number, size: number, failures: Array.<{path: string, err: string}>}",
+            description: "An object that contains stat information for the copy and the entries that could not be copied"
+        }]
+    );
     domainManager.registerCommand(
         "fileSystem",
         "rename",
@@ -415,6 +2564,119 @@ function init(domainManager) {
             description: "new absolute filesystem path"
         }]
     );
+    domainManager.registerCommand(
+        "fileSystem",
+        "chmod",
+        chmodCmd,
+        true,
+        "Change the permissions of a file or directory",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file or directory"
+        }, {
+            name: "mode",
+            type: "number",
+            description: "new permission bits"
+        }],
+        [{
+            name: "statObj",
+            type: "{isFile: boolean, mtime: number, size: number, mode: number}",
+            description: "An object that contains updated stat information"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "chown",
+        chownCmd,
+        true,
+        "Change the owner of a file or directory",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file or directory"
+        }, {
+            name: "uid",
+            type: "number",
+            description: "user id of the new owner"
+        }, {
+            name: "gid",
+            type: "number",
+            description: "group id of the new owner"
+        }],
+        [{
+            name: "statObj",
+            type: "{isFile: boolean, mtime: number, size: number, uid: number, gid: number}",
+            description: "An object that contains updated stat information"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "utimes",
+        utimesCmd,
+        true,
+        "Change the access and modification times of a file or directory",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file or directory"
+        }, {
+            name: "atime",
+            type: "number",
+            description: "new access time in milliseconds"
+        }, {
+            name: "mtime",
+            type: "number",
+            description: "new modification time in milliseconds"
+        }],
+        [{
+            name: "statObj",
+            type: "{isFile: boolean, mtime: number, size: number, atime: number}",
+            description: "An object that contains updated stat information"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "readlink",
+        readlinkCmd,
+        true,
+        "Read the target of a symbolic link",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the symbolic link"
+        }],
+        [{
+            name: "linkTarget",
+            type: "string",
+            description: "The path the link points to, as stored in the link"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "symlink",
+        symlinkCmd,
+        true,
+        "Create a symbolic link",
+        [{
+            name: "target",
+            type: "string",
+            description: "path the link points to, either absolute or relative to the link's directory"
+        }, {
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the link to create"
+        }, {
+            name: "type",
+            type: "?string",
+            description: "\"file\", \"dir\" or \"junction\"; only used on Windows"
+        }],
+        [{
+            name: "statObj",
+            type: "{isFile: boolean, mtime: number, size: number, isSymbolicLink: boolean, linkTarget: string, isDangling: ?boolean}",
+            description: "An object that contains stat information for the new link"
+        }]
+    );
     domainManager.registerCommand(
         "fileSystem",
         "unlink",
@@ -427,6 +2689,190 @@ function init(domainManager) {
             description: "absolute filesystem path of the directory to delete"
         }]
     );
+    domainManager.registerCommand(
+        "fileSystem",
+        "moveToTrash",
+        moveToTrashCmd,
+        true,
+        "Move a file or directory to the trash",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file or directory to move to the trash"
+        }],
+        [{
+            name: "trashedPath",
+            type: "string",
+            description: "The path of the entry in the trash"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "lock",
+        lockCmd,
+        true,
+        "Take or refresh an advisory lock on a file, taking over a stale one; fails with ELOCKED if another owner holds it",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file to lock"
+        }, {
+            name: "options",
+            type: "{owner: ?string, ttl: ?number}",
+            description: "owner of the lock within this process, e.g. a window, and the time in ms after which the lock is stale unless refreshed"
+        }],
+        [{
+            name: "lock",
+            type: "{path: string, pid: number, host: string, owner: ?string, time: number, expires: ?number, isOwn: boolean, isStale: boolean}",
+            description: "The new lock"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "unlock",
+        unlockCmd,
+        true,
+        "Release an advisory lock; fails with ELOCKED if another live owner holds it",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the locked file"
+        }, {
+            name: "options",
+            type: "{owner: ?string, force: ?boolean}",
+            description: "owner of the lock, and whether to release a lock held by another owner"
+        }],
+        [{
+            name: "removed",
+            type: "boolean",
+            description: "Whether the file was locked"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "queryLock",
+        queryLockCmd,
+        true,
+        "Read the advisory lock of a file",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file"
+        }, {
+            name: "owner",
+            type: "?string",
+            description: "owner for which isOwn is determined"
+        }],
+        [{
+            name: "lock",
+            type: "?{path: string, pid: number, host: string, owner: ?string, time: number, expires: ?number, isOwn: boolean, isStale: boolean}",
+            description: "The lock and its holder, or null if the file is not locked; isStale is set once its process exited or it expired"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "enableHistory",
+        enableHistoryCmd,
+        true,
+        "Keep snapshots of the files below a project root before they are written or deleted",
+        [{
+            name: "root",
+            type: "string",
+            description: "absolute filesystem path of the project root"
+        }, {
+            name: "storePath",
+            type: "string",
+            description: "absolute filesystem path of the directory in which the history of all projects is stored"
+        }, {
+            name: "options",
+            type: "{maxEntries: ?number, maxAge: ?number, maxSize: ?number, maxFileSize: ?number}",
+            description: "snapshots kept per file, their maximum age in ms and total compressed size in bytes, and the size in bytes of the largest file to snapshot"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "disableHistory",
+        disableHistoryCmd,
+        false,
+        "Stop keeping snapshots of the files below a project root; its history is kept",
+        [{
+            name: "root",
+            type: "string",
+            description: "absolute filesystem path of the project root"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "listHistory",
+        listHistoryCmd,
+        false,
+        "List the local history of a file, including a deleted one",
+        [{
+            name: "path",
+            type: "string",
+            description: "absolute filesystem path of the file, or of a directory with a trailing slash to list the history of all files below it"
+        }],
+        [{
+            name: "entries",
+            type: "Array.<{id: string, path: string, time: number, size: number}>",
+            description: "The snapshots, newest first"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "readHistoryEntry",
+        readHistoryEntryCmd,
+        true,
+        "Read the contents of a local history snapshot",
+        [{
+            name: "id",
+            type: "string",
+            description: "id of the snapshot"
+        }, {
+            name: "encoding",
+            type: "string",
+            description: "encoding with which to read the snapshot, \"auto\" to detect it, or \"base64\" to read raw bytes"
+        }],
+        [{
+            name: "entry",
+            type: "{id: string, path: string, time: number, size: number, data: string, encoding: ?string, bom: ?boolean}",
+            description: "The snapshot and its contents"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "restoreHistoryEntry",
+        restoreHistoryEntryCmd,
+        true,
+        "Write the contents of a local history snapshot back to its file",
+        [{
+            name: "id",
+            type: "string",
+            description: "id of the snapshot"
+        }],
+        [{
+            name: "statObj",
+            type: "{path: string, isFile: boolean, mtime: number, size: number, created: boolean}",
+            description: "An object that contains the path of and stat information for the restored file"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "transaction",
+        transactionCmd,
+        true,
+        "Apply a list of operations as a whole, undoing them all if one fails",
+        [{
+            name: "operations",
+            type: "Array.<{type: string, path: string, newPath: ?string, data: ?string, encoding: ?string, options: ?Object, mode: ?number, preserve: ?boolean, expectedHash: ?(number|string)}>",
+            description: "ordered write, mkdir, rename, copy and delete operations; the options of a write are those of writeFile, including its lockPolicy and lockOwner"
+        }],
+        [{
+            name: "report",
+            type: "{committed: boolean, results: Array.<{type: string, path: string, newPath: ?string, status: string, stats: ?Object, error: ?{code: string, path: string, message: string}}>}",
+            description: "Whether the operations were kept and the result of each operation"
+        }]
+    );
     domainManager.registerCommand(
         "fileSystem",
         "watchPath",
@@ -437,6 +2883,10 @@ function init(domainManager) {
             name: "path",
             type: "string",
             description: "absolute filesystem path of the file or directory to watch"
+        }, {
+            name: "options",
+            type: "{ignore: ?Array.<string>, hashMode: ?string, poll: ?boolean, pollInterval: ?number}",
+            description: "globs of files and directories to ignore, relative to path, the hash mode of reported stats, whether to poll (null to decide by file system type) and the polling interval in ms"
         }]
     );
     domainManager.registerCommand(
@@ -458,16 +2908,98 @@ function init(domainManager) {
         false,
         "Stop watching all files and directories"
     );
+    domainManager.registerCommand(
+        "fileSystem",
+        "pauseWatchers",
+        pauseWatchersCmd,
+        false,
+        "Hold back watcher changes until resumeWatchers is called"
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "resumeWatchers",
+        resumeWatchersCmd,
+        true,
+        "Emit the changes held back since pauseWatchers as one batch",
+        [],
+        [{
+            name: "count",
+            type: "number",
+            description: "The number of changes emitted, or 0 if the watchers are still paused by another caller"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "mount",
+        mountCmd,
+        true,
+        "Mount the files of another host at a path prefix",
+        [{
+            name: "prefix",
+            type: "string",
+            description: "absolute local path below which the files of the host appear"
+        }, {
+            name: "options",
+            type: "{type: string, root: ?string, host: string, port: ?number, username: string, password: ?string, privateKey: ?string, passphrase: ?string}",
+            description: "the type of the backend (\"sftp\"), the directory on the host the prefix is mapped to and the connection settings"
+        }]
+    );
+    domainManager.registerCommand(
+        "fileSystem",
+        "unmount",
+        unmountCmd,
+        true,
+        "Unmount the backend mounted at a path prefix",
+        [{
+            name: "prefix",
+            type: "string",
+            description: "prefix passed to mount"
+        }]
+    );
+    domainManager.registerEvent(
+        "fileSystem",
+        "walkBatch",
+        [
+            {name: "walkId", type: "string"},
+            {name: "entries", type: "Array.<{name: string, path: string, isFile: boolean, mtime: number, size: number}>"}
+        ]
+    );
+    domainManager.registerEvent(
+        "fileSystem",
+        "searchMatches",
+        [
+            {name: "searchId", type: "string"},
+            {name: "path", type: "string"},
+            {name: "matches", type: "Array.<{line: number, column: number, length: number, lineText: string}>"}
+        ]
+    );
+    domainManager.registerEvent(
+        "fileSystem",
+        "changes",
+        [
+            {name: "changes", type: "Array.<{type: string, path: string, oldPath: ?string, stats: ?Object, isOwnChange: ?boolean, operation: ?string}>"}
+        ]
+    );
     domainManager.registerEvent(
         "fileSystem",
-        "change",
+        "watcherLimit",
         [
             {name: "path", type: "string"},
-            {name: "event", type: "string"},
-            {name: "filename", type: "string"}
+            {name: "unwatchedPath", type: "string"}
+        ]
+    );
+    domainManager.registerEvent(
+        "fileSystem",
+        "mountStatus",
+        [
+            {name: "prefix", type: "string"},
+            {name: "online", type: "boolean"}
         ]
     );
     
+    fs.on("offline", _emitMountStatus(false));
+    fs.on("online", _emitMountStatus(true));
+    
     _domainManager = domainManager;
 }
 
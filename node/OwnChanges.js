@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var nodePath = require("path"),
+    Errors = require("./Errors"),
+    LocalBackend = require("./LocalBackend");
+
+/** How long in milliseconds a change made by the domain is expected to be reported by watchers */
+var OWN_CHANGE_TTL = 5000;
+
+/** Signature of an entry that was deleted */
+var DELETED = "deleted";
+
+/**
+ * Changes made by the domain itself, keyed by path without a trailing slash.
+ * Each record holds the signature of the entry after the change, which is
+ * undefined until it is known, whether the record covers the entries below
+ * the path as well, and the command that made the change.
+ * @type {Object.<string, {signature: ?string, isTree: boolean, operation: string, expires: number}>}
+ */
+var _records = {};
+
+/**
+ * Backend the changed entries are looked up with, so that entries below
+ * mounts are looked up on their host; see setBackend.
+ * @type {{statAsync: function(string): Promise}}
+ */
+var _backend = new LocalBackend();
+
+function _stripSlash(path) {
+    return path.length > 1 && path[path.length - 1] === "/" ? path.substr(0, path.length - 1) : path;
+}
+
+function _signature(stats) {
+    var mtime = stats.mtime instanceof Date ? stats.mtime.getTime() : stats.mtime;
+    
+    return [stats.ino, stats.size, mtime].join(":");
+}
+
+function _prune(now) {
+    Object.keys(_records).forEach(function (path) {
+        if (_records[path].expires <= now) {
+            delete _records[path];
+        }
+    });
+}
+
+function _recordPath(path, isTree, operation, now) {
+    var record = {signature: undefined, isTree: isTree, operation: operation, expires: now + OWN_CHANGE_TTL};
+    
+    _records[path] = record;
+    _backend.statAsync(path).then(function (stats) {
+        record.signature = _signature(stats);
+    }, function (err) {
+        record.signature = Errors.isNotFound(err) ? DELETED : undefined;
+    });
+}
+
+/**
+ * Look up changed entries through the given backend, e.g. the BackendRouter
+ * of the domain, instead of the local file system.
+ * @param {{statAsync: function(string): Promise}} backend
+ */
+function setBackend(backend) {
+    _backend = backend;
+}
+
+/**
+ * Remember that the domain just created, modified or deleted an entry, so
+ * that the watcher events it causes can be told apart from external
+ * changes. Its parent directory is remembered as well, since its contents
+ * changed. Call this once the operation is complete.
+ * @param {string} operation Name of the command, e.g. "writeFile"
+ * @param {string} path
+ * @param {boolean=} isTree Whether the entries below path were changed too,
+ *      e.g. when a directory was copied or deleted
+ */
+function record(operation, path, isTree) {
+    var now = Date.now();
+    
+    path = _stripSlash(path);
+    _prune(now);
+    _recordPath(path, !!isTree, operation, now);
+    _recordPath(nodePath.dirname(path), false, operation, now);
+}
+
+/**
+ * @return {?{signature: ?string, isTree: boolean, operation: string, expires: number}}
+ *      The record of the change to path that left it with the given stats
+ */
+function _match(path, stats) {
+    var now = Date.now(),
+        record,
+        ancestor;
+    
+    path = _stripSlash(path);
+    record = _records[path];
+    if (record && record.expires > now &&
+            (record.signature === undefined || record.signature === (stats ? _signature(stats) : DELETED))) {
+        return record;
+    }
+    
+    for (ancestor = nodePath.dirname(path); ancestor !== path; ancestor = nodePath.dirname(path)) {
+        path = ancestor;
+        record = _records[path];
+        if (record && record.isTree && record.expires > now) {
+            return record;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * The command that caused a change reported by a watcher, if it was caused
+ * by the domain itself, i.e. the entry is still in the state the domain
+ * left it in.
+ * @param {{type: string, path: string, oldPath: ?string, stats: ?Object}} change
+ * @return {?string} Name of the command, or null for external changes
+ */
+function getOperation(change) {
+    var record;
+    
+    if (change.type === "renamed" && !_match(change.oldPath, null)) {
+        return null;
+    }
+    record = _match(change.path, change.stats);
+    return record ? record.operation : null;
+}
+
+exports.setBackend = setBackend;
+exports.record = record;
+exports.getOperation = getOperation;
@@ -0,0 +1,333 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    EventEmitter = require("events").EventEmitter,
+    util = require("util"),
+    fs = Promise.promisifyAll(require("fs-extra")),
+    GlobMatcher = require("./GlobMatcher"),
+    TaskQueue = require("./TaskQueue");
+
+/** Default time in milliseconds between two scans of a watched tree */
+var DEFAULT_POLL_INTERVAL = 2000;
+
+/** Maximum number of readdir and lstat calls in progress while scanning a tree */
+var MAX_CONCURRENT_SCANS = 32;
+
+/** How long in milliseconds the parsed /proc/mounts is reused */
+var MOUNTS_TTL = 10000;
+
+/**
+ * Mount points and types from /proc/mounts, and when they were read.
+ * @type {?{mounts: Array.<{mountPoint: string, type: string}>, time: number}}
+ */
+var _mountsCache = null;
+
+/**
+ * File system types on which fs.watch reports no changes, or only the
+ * changes made by this machine, as listed in /proc/mounts.
+ */
+var UNSUPPORTED_FS_TYPES = {
+    "nfs": true,
+    "nfs4": true,
+    "cifs": true,
+    "smbfs": true,
+    "smb3": true,
+    "afs": true,
+    "9p": true,
+    "vboxsf": true,
+    "virtiofs": true,
+    "davfs": true,
+    "fakeowner": true,
+    "fuse.sshfs": true,
+    "fuse.grpcfuse": true,
+    "fuse.osxfs": true,
+    "fuse.gvfsd-fuse": true
+};
+
+function _unescapeMountPath(path) {
+    return path.replace(/\\([0-7]{3})/g, function (match, octal) {
+        return String.fromCharCode(parseInt(octal, 8));
+    });
+}
+
+/**
+ * The mounts listed in /proc/mounts, which is read again once MOUNTS_TTL has
+ * passed, so that watching many paths does not read it each time.
+ * @return {Array.<{mountPoint: string, type: string}>}
+ */
+function _getMounts() {
+    var now = Date.now(),
+        mounts = [],
+        contents;
+    
+    if (_mountsCache && now - _mountsCache.time < MOUNTS_TTL) {
+        return _mountsCache.mounts;
+    }
+    
+    try {
+        contents = fs.readFileSync("/proc/mounts", "utf8");
+    } catch (err) {
+        contents = "";
+    }
+    
+    contents.split("\n").forEach(function (line) {
+        var fields = line.split(" ");
+        
+        if (fields.length >= 3) {
+            mounts.push({mountPoint: _unescapeMountPath(fields[1]), type: fields[2]});
+        }
+    });
+    
+    _mountsCache = {mounts: mounts, time: now};
+    return mounts;
+}
+
+/**
+ * Whether fs.watch is known not to work for a path, because it is on a
+ * network or virtual machine mount. Only detected on Linux.
+ * @param {string} path Absolute path
+ * @return {boolean}
+ */
+function isUnsupportedFileSystem(path) {
+    var bestMatch = null;
+    
+    if (process.platform !== "linux") {
+        return false;
+    }
+    
+    // Find the mount point that contains path, i.e. the longest matching prefix
+    _getMounts().forEach(function (mount) {
+        var mountPoint = mount.mountPoint,
+            prefix = mountPoint[mountPoint.length - 1] === "/" ? mountPoint : mountPoint + "/";
+        
+        if ((path.indexOf(prefix) === 0 || path === mountPoint) &&
+                (!bestMatch || mountPoint.length >= bestMatch.mountPoint.length)) {
+            bestMatch = mount;
+        }
+    });
+    
+    return !!bestMatch && UNSUPPORTED_FS_TYPES.hasOwnProperty(bestMatch.type);
+}
+
+/**
+ * Watches a file or directory tree by scanning it periodically and
+ * comparing the listings and stats of its entries with the previous scan,
+ * for file systems on which fs.watch does not work. Has the same events as
+ * TreeWatcher:
+ * 
+ *   "change" (parentPath, event, filename) for each entry that was created
+ *            or deleted ("rename") or whose stats changed ("change")
+ *   "entry"  (path, stats) with the fs.Stats of each entry found by the
+ *            first scan
+ * 
+ * Symbolic links to directories are not followed. While the backend is
+ * offline, scans are skipped rather than reporting every entry as deleted.
+ * 
+ * @constructor
+ * @param {string} root Absolute path of the file, or of the directory with a
+ *      trailing slash
+ * @param {{ignore: ?Array.<string>, pollInterval: ?number, backend: ?Object}} options
+ *      Globs, relative to root, of entries to skip, the time in milliseconds
+ *      between two scans and the backend to scan through, the local file
+ *      system by default
+ */
+function PollingWatcher(root, options) {
+    EventEmitter.call(this);
+    
+    this.root = root;
+    this._fs = (options && options.backend) || fs;
+    this._isIgnored = GlobMatcher.compile(options && options.ignore);
+    this._interval = (options && options.pollInterval) || DEFAULT_POLL_INTERVAL;
+    this._scans = new TaskQueue(MAX_CONCURRENT_SCANS);
+    this._snapshot = null;
+    this._timeout = null;
+    this._closed = false;
+    
+    this._poll();
+}
+
+util.inherits(PollingWatcher, EventEmitter);
+
+function _isOffline(err) {
+    return !!(err && err.cause && err.cause.code === "ENOTCONN");
+}
+
+function _signature(stats) {
+    return [stats.ino, stats.size, stats.mtime.getTime(), stats.ctime.getTime(), stats.mode].join(":");
+}
+
+/**
+ * Call a file system method of the backend once fewer than
+ * MAX_CONCURRENT_SCANS calls are in progress.
+ * @param {string} method Name of the promisified method, e.g. "lstatAsync"
+ * @param {string} path
+ * @return {Promise}
+ */
+PollingWatcher.prototype._call = function (method, path) {
+    var self = this;
+    
+    return new Promise(function (resolve, reject) {
+        self._scans.add(function (done) {
+            self._fs[method](path)
+                .finally(done)
+                .then(resolve, reject);
+        });
+    });
+};
+
+/**
+ * List the entries below the root.
+ * @return {Promise.<Object.<string, fs.Stats>>} Stats of the entries, keyed by
+ *      path without a trailing slash
+ */
+PollingWatcher.prototype._scan = function () {
+    var self = this,
+        snapshot = {};
+    
+    function scanDir(dirPath) {
+        return self._call("readdirAsync", dirPath)
+            .then(function (names) {
+                return Promise.all(names.map(function (name) {
+                    var childPath = dirPath + name;
+                    
+                    if (self._isIgnored(childPath.substr(self.root.length), name)) {
+                        return;
+                    }
+                    
+                    return self._call("lstatAsync", childPath)
+                        .then(function (stats) {
+                            snapshot[childPath] = stats;
+                            if (stats.isDirectory()) {
+                                return scanDir(childPath + "/");
+                            }
+                        }, function (err) {
+                            if (_isOffline(err)) {
+                                throw err;
+                            }
+                            // Deleted while scanning
+                        });
+                }));
+            }, function (err) {
+                if (_isOffline(err)) {
+                    throw err;
+                }
+                // Deleted or unreadable; its entries are treated as gone
+            });
+    }
+    
+    if (this.root[this.root.length - 1] === "/") {
+        return scanDir(this.root).then(function () {
+            return snapshot;
+        });
+    }
+    
+    return this._fs.statAsync(this.root)
+        .then(function (stats) {
+            snapshot[self.root] = stats;
+            return snapshot;
+        }, function (err) {
+            if (_isOffline(err)) {
+                throw err;
+            }
+            return snapshot;
+        });
+};
+
+PollingWatcher.prototype._emitChange = function (path, event) {
+    var index = path.lastIndexOf("/") + 1;
+    
+    this.emit("change", path.substr(0, index), event, path.substr(index));
+};
+
+PollingWatcher.prototype._compare = function (oldSnapshot, newSnapshot) {
+    var self = this;
+    
+    Object.keys(newSnapshot).forEach(function (path) {
+        if (!oldSnapshot.hasOwnProperty(path)) {
+            self._emitChange(path, "rename");
+        } else if (_signature(oldSnapshot[path]) !== _signature(newSnapshot[path])) {
+            self._emitChange(path, "change");
+        }
+    });
+    
+    Object.keys(oldSnapshot).forEach(function (path) {
+        if (!newSnapshot.hasOwnProperty(path)) {
+            self._emitChange(path, "rename");
+        }
+    });
+};
+
+PollingWatcher.prototype._poll = function () {
+    var self = this;
+    
+    this._timeout = null;
+    this._scan()
+        .then(function (snapshot) {
+            if (self._closed) {
+                return;
+            }
+            
+            if (self._snapshot) {
+                self._compare(self._snapshot, snapshot);
+            } else {
+                Object.keys(snapshot).forEach(function (path) {
+                    self.emit("entry", path, snapshot[path]);
+                });
+            }
+            self._snapshot = snapshot;
+        })
+        .catch(function (err) {
+            if (_isOffline(err)) {
+                // Compared with the last complete scan once back online
+                return;
+            }
+            console.warn("Failed to poll " + self.root + ": " + (err && err.message));
+        })
+        .finally(function () {
+            if (!self._closed) {
+                self._timeout = setTimeout(self._poll.bind(self), self._interval);
+            }
+        });
+};
+
+/**
+ * Stop polling.
+ */
+PollingWatcher.prototype.close = function () {
+    this._closed = true;
+    this._scans.clear();
+    if (this._timeout) {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+    }
+};
+
+module.exports = PollingWatcher;
+module.exports.isUnsupportedFileSystem = isUnsupportedFileSystem;
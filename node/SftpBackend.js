@@ -0,0 +1,682 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    EventEmitter = require("events").EventEmitter,
+    PassThrough = require("stream").PassThrough,
+    util = require("util"),
+    nodePath = require("path"),
+    Errors = require("./Errors");
+
+// Delays in ms between attempts to reconnect, doubled after each failure
+var RECONNECT_DELAY_MIN = 1000,
+    RECONNECT_DELAY_MAX = 60000;
+
+/** Interval in ms of SSH keepalives, so that a lost connection is noticed while idle */
+var KEEPALIVE_INTERVAL = 10000;
+
+var S_IFMT = parseInt("0170000", 8),
+    S_IFDIR = parseInt("0040000", 8),
+    S_IFREG = parseInt("0100000", 8),
+    S_IFLNK = parseInt("0120000", 8);
+
+/** SFTP status of reading past the end of a file */
+var STATUS_EOF = 1;
+
+/** Message of the error ssh2 throws for extensions the server does not support */
+var UNSUPPORTED_EXTENSION = /does not support this extended request/;
+
+/**
+ * Node error codes of SFTP status codes. FAILURE is what most servers
+ * report for anything not covered by version 3 of the protocol, e.g. a
+ * directory that already exists or is not empty.
+ */
+var STATUS_CODES = {
+    2: "ENOENT",        // NO_SUCH_FILE
+    3: "EACCES",        // PERMISSION_DENIED
+    4: "EIO",           // FAILURE
+    5: "EINVAL",        // BAD_MESSAGE
+    6: "ENOTCONN",      // NO_CONNECTION
+    7: "ENOTCONN",      // CONNECTION_LOST
+    8: "ENOTSUP",       // OP_UNSUPPORTED
+    11: "EEXIST",       // FILE_ALREADY_EXISTS
+    14: "ENOSPC",       // NO_SPACE_ON_FILESYSTEM
+    15: "EDQUOT",       // QUOTA_EXCEEDED
+    18: "ENOTEMPTY",    // DIR_NOT_EMPTY
+    19: "ENOTDIR",      // NOT_A_DIRECTORY
+    24: "EISDIR"        // FILE_IS_A_DIRECTORY
+};
+
+function _codeOf(err) {
+    if (typeof err.code === "number") {
+        return STATUS_CODES[err.code] || "EIO";
+    }
+    return err.code || "EIO";
+}
+
+function _sftpError(err, path) {
+    var error = Errors.createError(_codeOf(err), err.message + (path ? ": " + path : ""), path);
+    
+    error.cause.status = err.code;
+    return error;
+}
+
+function _stripSlash(path) {
+    return path.length > 1 ? path.replace(/\/$/, "") : path;
+}
+
+/**
+ * Stats of a remote entry with the parts of the fs.Stats interface that
+ * SFTP provides. Times have a resolution of a second, ctime is the mtime,
+ * and there is no device or inode.
+ * @constructor
+ * @param {{mode: number, uid: number, gid: number, size: number, atime: number, mtime: number}} attrs
+ */
+function SftpStats(attrs) {
+    this.mode = attrs.mode;
+    this.uid = attrs.uid;
+    this.gid = attrs.gid;
+    this.size = attrs.size;
+    this.atime = new Date(attrs.atime * 1000);
+    this.mtime = new Date(attrs.mtime * 1000);
+    this.ctime = this.mtime;
+    this.dev = 0;
+    this.ino = 0;
+    this.nlink = 1;
+}
+
+SftpStats.prototype.isFile = function () {
+    return (this.mode & S_IFMT) === S_IFREG;
+};
+
+SftpStats.prototype.isDirectory = function () {
+    return (this.mode & S_IFMT) === S_IFDIR;
+};
+
+SftpStats.prototype.isSymbolicLink = function () {
+    return (this.mode & S_IFMT) === S_IFLNK;
+};
+
+function _defaultCreateClient() {
+    // Only required once a remote backend is used
+    var Client = require("ssh2").Client;
+    
+    return new Client();
+}
+
+/**
+ * A backend for the files of another host, accessed over SFTP. It has the
+ * same methods as LocalBackend, for paths on the remote host.
+ * 
+ * When the connection is lost, the backend emits "offline" and reconnects
+ * with a growing delay, failing calls with ENOTCONN meanwhile; it emits
+ * "online" once it is connected again.
+ * 
+ * @constructor
+ * @param {{host: string, port: ?number, username: string, password: ?string, privateKey: ?string, passphrase: ?string, createClient: ?function(): Object}} options
+ *      Connection settings; createClient creates an unconnected client with
+ *      the API of the Client of the ssh2 module, which is used by default
+ */
+function SftpBackend(options) {
+    EventEmitter.call(this);
+    
+    this._connectOptions = {
+        host: options.host,
+        port: options.port || 22,
+        username: options.username,
+        password: options.password,
+        privateKey: options.privateKey,
+        passphrase: options.passphrase,
+        keepaliveInterval: KEEPALIVE_INTERVAL
+    };
+    this._createClient = options.createClient || _defaultCreateClient;
+    this._client = null;
+    this._sftp = null;
+    this._connecting = null;
+    this._isOffline = false;
+    this._reconnectDelay = RECONNECT_DELAY_MIN;
+    this._reconnectTimeout = null;
+    this._closed = false;
+}
+
+util.inherits(SftpBackend, EventEmitter);
+
+SftpBackend.prototype.isRemote = true;
+
+/**
+ * Connect to the host, unless already connected.
+ * @return {Promise} Rejected with the error of the SSH client, e.g.
+ *      ECONNREFUSED, or EACCES if authentication failed
+ */
+SftpBackend.prototype.connect = function () {
+    var self = this;
+    
+    if (this._sftp) {
+        return Promise.fulfilled();
+    }
+    if (this._connecting) {
+        return this._connecting;
+    }
+    
+    this._connecting = new Promise(function (resolve, reject) {
+        var client = self._createClient(),
+            isSettled = false;
+        
+        function fail(err) {
+            if (!isSettled) {
+                isSettled = true;
+                reject(Errors.createError(err.level === "client-authentication" ? "EACCES" : _codeOf(err),
+                    "Unable to connect to " + self._connectOptions.host + ": " + err.message));
+            }
+        }
+        
+        client.on("ready", function () {
+            client.sftp(function (err, sftp) {
+                if (err) {
+                    fail(err);
+                    client.end();
+                    return;
+                }
+                
+                isSettled = true;
+                self._client = client;
+                self._sftp = sftp;
+                self._reconnectDelay = RECONNECT_DELAY_MIN;
+                resolve();
+            });
+        });
+        client.on("error", fail);
+        client.on("close", function () {
+            fail(new Error("Connection closed"));
+            if (self._client === client) {
+                self._disconnected();
+            }
+        });
+        client.connect(self._connectOptions);
+    });
+    
+    return this._connecting.finally(function () {
+        self._connecting = null;
+    });
+};
+
+SftpBackend.prototype._disconnected = function () {
+    this._client = null;
+    this._sftp = null;
+    
+    if (this._closed) {
+        return;
+    }
+    if (!this._isOffline) {
+        this._isOffline = true;
+        this.emit("offline");
+    }
+    this._scheduleReconnect();
+};
+
+SftpBackend.prototype._scheduleReconnect = function () {
+    var self = this;
+    
+    this._reconnectTimeout = setTimeout(function () {
+        self._reconnectTimeout = null;
+        self.connect().then(function () {
+            if (self._closed) {
+                self._client.end();
+                return;
+            }
+            self._isOffline = false;
+            self.emit("online");
+        }, function () {
+            self._reconnectDelay = Math.min(self._reconnectDelay * 2, RECONNECT_DELAY_MAX);
+            if (!self._closed) {
+                self._scheduleReconnect();
+            }
+        });
+    }, this._reconnectDelay);
+};
+
+/**
+ * Disconnect from the host for good.
+ * @return {Promise}
+ */
+SftpBackend.prototype.close = function () {
+    this._closed = true;
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+    if (this._client) {
+        this._client.end();
+    }
+    return Promise.fulfilled();
+};
+
+/**
+ * Call a method of the SFTP session with a callback.
+ * @param {string} method
+ * @param {Array} args
+ * @param {?string} path Path reported in errors
+ * @return {Promise} Resolved with the first result of the callback, or with
+ *      all of them as an array if there are several
+ */
+SftpBackend.prototype._invoke = function (method, args, path) {
+    var sftp = this._sftp;
+    
+    if (!sftp) {
+        return Promise.rejected(Errors.createError("ENOTCONN", "Not connected to " + this._connectOptions.host, path));
+    }
+    
+    return new Promise(function (resolve, reject) {
+        try {
+            sftp[method].apply(sftp, args.concat(function (err) {
+                if (err) {
+                    reject(_sftpError(err, path));
+                } else {
+                    resolve(arguments.length > 2 ? Array.prototype.slice.call(arguments, 1) : arguments[1]);
+                }
+            }));
+        } catch (err) {
+            if (!UNSUPPORTED_EXTENSION.test(err.message)) {
+                throw err;
+            }
+            reject(Errors.createError("ENOTSUP", err.message, path));
+        }
+    });
+};
+
+/**
+ * Turn a FAILURE into EEXIST if the entry exists, as servers report it for
+ * creating an entry that already exists.
+ */
+SftpBackend.prototype._existsOnFailure = function (path) {
+    var self = this;
+    
+    return function (err) {
+        if (err.cause.code !== "EIO") {
+            throw err;
+        }
+        return self._invoke("lstat", [path], path).then(function () {
+            throw Errors.createError("EEXIST", "File exists: " + path, path);
+        }, function () {
+            throw err;
+        });
+    };
+};
+
+SftpBackend.prototype.statAsync = function (path) {
+    return this._invoke("stat", [path], path).then(function (attrs) {
+        return new SftpStats(attrs);
+    });
+};
+
+SftpBackend.prototype.lstatAsync = function (path) {
+    return this._invoke("lstat", [_stripSlash(path)], path).then(function (attrs) {
+        return new SftpStats(attrs);
+    });
+};
+
+SftpBackend.prototype.fstatAsync = function (handle) {
+    return this._invoke("fstat", [handle], null).then(function (attrs) {
+        return new SftpStats(attrs);
+    });
+};
+
+SftpBackend.prototype.readdirAsync = function (path) {
+    return this._invoke("readdir", [path], path).then(function (list) {
+        return list
+            .map(function (entry) {
+                return entry.filename;
+            })
+            .filter(function (name) {
+                return name !== "." && name !== "..";
+            });
+    });
+};
+
+SftpBackend.prototype.readFileAsync = function (path, options) {
+    return this._invoke("readFile", [path, options || {}], path);
+};
+
+SftpBackend.prototype.writeFileAsync = function (path, data, options) {
+    var promise = this._invoke("writeFile", [path, data, options || {}], path),
+        flag = options && options.flag;
+    
+    return flag && flag.indexOf("x") !== -1 ? promise.catch(this._existsOnFailure(path)) : promise;
+};
+
+SftpBackend.prototype.openAsync = function (path, flags, mode) {
+    var promise = this._invoke("open", mode === undefined ? [path, flags] : [path, flags, {mode: mode}], path);
+    
+    return flags.indexOf("x") !== -1 ? promise.catch(this._existsOnFailure(path)) : promise;
+};
+
+SftpBackend.prototype.closeAsync = function (handle) {
+    return this._invoke("close", [handle], null);
+};
+
+/**
+ * Resolves with [bytesRead, buffer], like the promisified fs.read.
+ */
+SftpBackend.prototype.readAsync = function (handle, buffer, offset, length, position) {
+    if (length === 0) {
+        return Promise.fulfilled([0, buffer]);
+    }
+    return this._invoke("read", [handle, buffer, offset, length, position], null).then(function (results) {
+        return [results[0], buffer];
+    }, function (err) {
+        // Reading at the end of the file is not an error
+        if (err.cause.status === STATUS_EOF) {
+            return [0, buffer];
+        }
+        throw err;
+    });
+};
+
+/**
+ * Flush a file with the fsync extension of OpenSSH. Without it, data is
+ * written when the server gets it.
+ */
+SftpBackend.prototype.fsyncAsync = function (handle) {
+    return this._invoke("ext_openssh_fsync", [handle], null).catch(function (err) {
+        if (err.cause.code !== "ENOTSUP") {
+            throw err;
+        }
+    });
+};
+
+SftpBackend.prototype.mkdirAsync = function (path, mode) {
+    path = _stripSlash(path);
+    return this._invoke("mkdir", typeof mode === "number" ? [path, {mode: mode}] : [path], path)
+        .catch(this._existsOnFailure(path));
+};
+
+SftpBackend.prototype.mkdirsAsync = function (path) {
+    var self = this,
+        parent;
+    
+    path = _stripSlash(path);
+    parent = nodePath.dirname(path);
+    
+    return this.statAsync(path).then(function (stats) {
+        if (!stats.isDirectory()) {
+            throw Errors.createError("ENOTDIR", "Not a directory: " + path, path);
+        }
+    }, function (err) {
+        if (!Errors.isNotFound(err) || parent === path) {
+            throw err;
+        }
+        return self.mkdirsAsync(parent).then(function () {
+            return self.mkdirAsync(path);
+        }).catch(function (err) {
+            // Created concurrently
+            if (err.cause.code !== "EEXIST") {
+                throw err;
+            }
+        });
+    });
+};
+
+SftpBackend.prototype.rmdirAsync = function (path) {
+    var self = this;
+    
+    path = _stripSlash(path);
+    return this._invoke("rmdir", [path], path).catch(function (err) {
+        if (err.cause.code !== "EIO") {
+            throw err;
+        }
+        return self.readdirAsync(path).then(function (names) {
+            throw names.length ? Errors.createError("ENOTEMPTY", "Directory not empty: " + path, path) : err;
+        }, function () {
+            throw err;
+        });
+    });
+};
+
+SftpBackend.prototype.unlinkAsync = function (path) {
+    return this._invoke("unlink", [path], path);
+};
+
+/**
+ * Rename an entry, replacing the destination like fs.rename does. Servers
+ * without the POSIX rename extension of OpenSSH refuse to replace an entry,
+ * so the destination is then moved aside first and removed afterwards.
+ */
+SftpBackend.prototype.renameAsync = function (oldPath, newPath) {
+    var self = this;
+    
+    oldPath = _stripSlash(oldPath);
+    newPath = _stripSlash(newPath);
+    return this._invoke("ext_openssh_rename", [oldPath, newPath], oldPath).catch(function (err) {
+        if (err.cause.code !== "ENOTSUP") {
+            throw err;
+        }
+        return self._invoke("rename", [oldPath, newPath], oldPath).catch(function (err) {
+            if (oldPath === newPath) {
+                throw err;
+            }
+            return self.lstatAsync(newPath).then(function (stats) {
+                return self._replace(oldPath, newPath, stats);
+            }, function () {
+                throw err;
+            });
+        });
+    });
+};
+
+/**
+ * Rename an entry onto an existing one with the plain SFTP rename: fails as
+ * fs.rename would if the destination cannot be replaced, and otherwise moves
+ * it aside, renames the entry and removes the destination. If the rename
+ * fails, the destination is moved back.
+ * @param {string} oldPath
+ * @param {string} newPath
+ * @param {SftpStats} newStats Stats of the destination
+ * @return {Promise}
+ */
+SftpBackend.prototype._replace = function (oldPath, newPath, newStats) {
+    var self = this,
+        asidePath = nodePath.join(nodePath.dirname(newPath),
+            "." + nodePath.basename(newPath) + ".replaced-" + Date.now().toString(36));
+    
+    return this.lstatAsync(oldPath)
+        .then(function (oldStats) {
+            if (newStats.isDirectory() && !oldStats.isDirectory()) {
+                throw Errors.createError("EISDIR", "Is a directory: " + newPath, newPath);
+            }
+            if (!newStats.isDirectory() && oldStats.isDirectory()) {
+                throw Errors.createError("ENOTDIR", "Not a directory: " + newPath, newPath);
+            }
+            if (newStats.isDirectory()) {
+                return self.readdirAsync(newPath).then(function (names) {
+                    if (names.length > 0) {
+                        throw Errors.createError("ENOTEMPTY", "Directory not empty: " + newPath, newPath);
+                    }
+                });
+            }
+        })
+        .then(function () {
+            return self._invoke("rename", [newPath, asidePath], newPath);
+        })
+        .then(function () {
+            return self._invoke("rename", [oldPath, newPath], oldPath).catch(function (err) {
+                return self._invoke("rename", [asidePath, newPath], newPath).then(function () {
+                    throw err;
+                }, function () {
+                    throw err;
+                });
+            });
+        })
+        .then(function () {
+            return self.removeAsync(asidePath).catch(function (err) {
+                // The rename itself succeeded
+                console.warn("Unable to remove replaced entry: ", asidePath, err);
+            });
+        });
+};
+
+/**
+ * Create a hard link with the extension of OpenSSH; fails with ENOTSUP
+ * without it.
+ */
+SftpBackend.prototype.linkAsync = function (existingPath, newPath) {
+    return this._invoke("ext_openssh_hardlink", [existingPath, newPath], existingPath);
+};
+
+SftpBackend.prototype.symlinkAsync = function (target, path) {
+    return this._invoke("symlink", [target, _stripSlash(path)], path);
+};
+
+SftpBackend.prototype.readlinkAsync = function (path) {
+    return this._invoke("readlink", [path], path);
+};
+
+SftpBackend.prototype.realpathAsync = function (path) {
+    return this._invoke("realpath", [path], path);
+};
+
+SftpBackend.prototype.chmodAsync = function (path, mode) {
+    return this._invoke("chmod", [path, mode], path);
+};
+
+SftpBackend.prototype.chownAsync = function (path, uid, gid) {
+    return this._invoke("chown", [path, uid, gid], path);
+};
+
+SftpBackend.prototype.utimesAsync = function (path, atime, mtime) {
+    return this._invoke("utimes", [path, atime, mtime], path);
+};
+
+/**
+ * Remove a file, or a directory and its contents. Succeeds if the entry does
+ * not exist, like fs-extra's remove.
+ */
+SftpBackend.prototype.removeAsync = function (path) {
+    var self = this;
+    
+    path = _stripSlash(path);
+    return this.lstatAsync(path).then(function (stats) {
+        if (!stats.isDirectory()) {
+            return self.unlinkAsync(path);
+        }
+        return self.readdirAsync(path)
+            .then(function (names) {
+                return names.reduce(function (promise, name) {
+                    return promise.then(function () {
+                        return self.removeAsync(path + "/" + name);
+                    });
+                }, Promise.fulfilled());
+            })
+            .then(function () {
+                return self.rmdirAsync(path);
+            });
+    }).catch(function (err) {
+        if (!Errors.isNotFound(err)) {
+            throw err;
+        }
+    });
+};
+
+/**
+ * Copy a file, symbolic link or directory tree within the remote host.
+ */
+SftpBackend.prototype.copyAsync = function (src, dest) {
+    var self = this;
+    
+    src = _stripSlash(src);
+    dest = _stripSlash(dest);
+    return this.lstatAsync(src).then(function (stats) {
+        if (stats.isSymbolicLink()) {
+            return self.readlinkAsync(src).then(function (target) {
+                return self.symlinkAsync(target, dest);
+            });
+        }
+        if (stats.isDirectory()) {
+            return self.mkdirAsync(dest, stats.mode & parseInt("7777", 8))
+                .then(function () {
+                    return self.readdirAsync(src);
+                })
+                .then(function (names) {
+                    return names.reduce(function (promise, name) {
+                        return promise.then(function () {
+                            return self.copyAsync(src + "/" + name, dest + "/" + name);
+                        });
+                    }, Promise.fulfilled());
+                });
+        }
+        return new Promise(function (resolve, reject) {
+            var readStream = self.createReadStream(src),
+                writeStream = self.createWriteStream(dest, {mode: stats.mode & parseInt("7777", 8)});
+            
+            // Stream errors carry the code in err.code; reject in the form
+            // of the other methods, with the code in err.cause
+            function fail(err) {
+                reject(Errors.createError(err.code || "EIO", err.message, err.path));
+            }
+            
+            readStream.on("error", fail);
+            writeStream.on("error", fail);
+            writeStream.on("close", resolve);
+            readStream.pipe(writeStream);
+        });
+    });
+};
+
+/**
+ * Streams fail like fs streams, with the Node error code in err.code.
+ */
+SftpBackend.prototype._stream = function (method, path, options) {
+    var stream;
+    
+    if (!this._sftp) {
+        stream = new PassThrough();
+        process.nextTick(function () {
+            var err = new Error("Not connected: " + path);
+            err.code = "ENOTCONN";
+            err.path = path;
+            stream.emit("error", err);
+        });
+        return stream;
+    }
+    
+    stream = this._sftp[method](path, options);
+    stream.on("error", function (err) {
+        err.code = _codeOf(err);
+        err.path = path;
+    });
+    return stream;
+};
+
+SftpBackend.prototype.createReadStream = function (path, options) {
+    return this._stream("createReadStream", path, options);
+};
+
+SftpBackend.prototype.createWriteStream = function (path, options) {
+    return this._stream("createWriteStream", path, options);
+};
+
+module.exports = SftpBackend;
@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+/**
+ * Runs asynchronous tasks in the order they are added, with at most a given
+ * number of them in progress, e.g. to scan a large tree without opening
+ * more files at once than the process may.
+ * @constructor
+ * @param {number} concurrency Maximum number of tasks in progress
+ */
+function TaskQueue(concurrency) {
+    this._concurrency = concurrency;
+    this._tasks = [];
+    this._running = 0;
+}
+
+/**
+ * Add a task, which is run right away if fewer than the maximum number of
+ * tasks are in progress.
+ * @param {function(function())} task Called with a function that the task
+ *      must call once it is complete
+ */
+TaskQueue.prototype.add = function (task) {
+    this._tasks.push(task);
+    this._next();
+};
+
+/**
+ * Drop the tasks that have not started yet.
+ */
+TaskQueue.prototype.clear = function () {
+    this._tasks = [];
+};
+
+TaskQueue.prototype._next = function () {
+    var self = this,
+        task;
+    
+    function done() {
+        self._running--;
+        self._next();
+    }
+    
+    while (this._running < this._concurrency && this._tasks.length > 0) {
+        task = this._tasks.shift();
+        this._running++;
+        task(done);
+    }
+};
+
+module.exports = TaskQueue;
@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    nodePath = require("path"),
+    fs = Promise.promisifyAll(require("fs-extra")),
+    Errors = require("./Errors");
+
+var TRASH_DIR_MODE = parseInt("0700", 8);
+
+function _pad(number) {
+    return (number < 10 ? "0" : "") + number;
+}
+
+/**
+ * Format a date as the local time required by the DeletionDate key,
+ * e.g. 2004-08-31T22:32:08.
+ * @param {Date} date
+ * @return {string}
+ */
+function _formatDeletionDate(date) {
+    return date.getFullYear() + "-" + _pad(date.getMonth() + 1) + "-" + _pad(date.getDate()) +
+        "T" + _pad(date.getHours()) + ":" + _pad(date.getMinutes()) + ":" + _pad(date.getSeconds());
+}
+
+function _escapePath(path) {
+    return path.split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * The home trash directory, $XDG_DATA_HOME/Trash, which defaults to
+ * ~/.local/share/Trash.
+ * @return {string}
+ */
+function _getTrashDirectory() {
+    var dataHome = process.env.XDG_DATA_HOME || nodePath.join(process.env.HOME, ".local", "share");
+    return nodePath.join(dataHome, "Trash");
+}
+
+/**
+ * Reserve a name in the trash by exclusively creating its .trashinfo file.
+ * If the name is taken, either by another .trashinfo file or by an entry in
+ * the files directory, ".2", ".3" and so on are appended to it.
+ * @param {string} filesDir
+ * @param {string} infoDir
+ * @param {string} name
+ * @param {string} contents
+ * @return {Promise.<string>} Resolves with the reserved name
+ */
+function _reserveName(filesDir, infoDir, name, contents) {
+    function tryName(attempt) {
+        var candidate = attempt > 1 ? name + "." + attempt : name,
+            infoPath = nodePath.join(infoDir, candidate + ".trashinfo");
+
+        return fs.writeFileAsync(infoPath, contents, {flag: "wx", mode: parseInt("0600", 8)})
+            .then(function () {
+                return fs.lstatAsync(nodePath.join(filesDir, candidate))
+                    .then(function () {
+                        return fs.unlinkAsync(infoPath)
+                            .then(function () {
+                                return tryName(attempt + 1);
+                            });
+                    }, function () {
+                        return candidate;
+                    });
+            }, function (err) {
+                if (err.cause && err.cause.code === "EEXIST") {
+                    return tryName(attempt + 1);
+                }
+                throw err;
+            });
+    }
+
+    return tryName(1);
+}
+
+/**
+ * Move a file or directory to the home trash as described by the
+ * freedesktop.org Trash specification, so that it can be restored with
+ * the desktop's file manager. Only supported on Linux.
+ * @param {string} path Absolute path of the file or directory
+ * @return {Promise.<string>} Resolves with the path of the trashed entry
+ */
+function moveToTrash(path) {
+    if (process.platform !== "linux") {
+        return Promise.rejected(Errors.createError("ENOTSUP", "Moving to the trash is not supported on " + process.platform));
+    }
+
+    var sourcePath = path.replace(/\/+$/, ""),
+        trashDir = _getTrashDirectory(),
+        filesDir = nodePath.join(trashDir, "files"),
+        infoDir = nodePath.join(trashDir, "info"),
+        info = "[Trash Info]\n" +
+            "Path=" + _escapePath(sourcePath) + "\n" +
+            "DeletionDate=" + _formatDeletionDate(new Date()) + "\n";
+
+    return fs.lstatAsync(sourcePath)
+        .then(function () {
+            return Promise.join(fs.mkdirsAsync(filesDir, TRASH_DIR_MODE), fs.mkdirsAsync(infoDir, TRASH_DIR_MODE));
+        })
+        .then(function () {
+            return _reserveName(filesDir, infoDir, nodePath.basename(sourcePath), info);
+        })
+        .then(function (name) {
+            var trashedPath = nodePath.join(filesDir, name),
+                copied = false;
+
+            return fs.renameAsync(sourcePath, trashedPath)
+                .catch(function (err) {
+                    if (err.cause && err.cause.code === "EXDEV") {
+                        // The trash is on another device, so the entry has to be copied.
+                        // A partial copy would be left in files/ without its .trashinfo.
+                        return fs.copyAsync(sourcePath, trashedPath)
+                            .then(function () {
+                                copied = true;
+                            }, function (copyErr) {
+                                return fs.removeAsync(trashedPath)
+                                    .finally(function () {
+                                        throw copyErr;
+                                    });
+                            });
+                    }
+                    throw err;
+                })
+                .catch(function (err) {
+                    return fs.unlinkAsync(nodePath.join(infoDir, name + ".trashinfo"))
+                        .finally(function () {
+                            throw err;
+                        });
+                })
+                .then(function () {
+                    // Once copied the entry stays in the trash, so that it can be
+                    // restored even if removing the original fails part way through
+                    if (copied) {
+                        return fs.removeAsync(sourcePath);
+                    }
+                })
+                .then(function () {
+                    return trashedPath;
+                });
+        });
+}
+
+exports.moveToTrash = moveToTrash;
@@ -0,0 +1,217 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var EventEmitter = require("events").EventEmitter,
+    util = require("util"),
+    fs = require("fs"),
+    GlobMatcher = require("./GlobMatcher"),
+    TaskQueue = require("./TaskQueue");
+
+/** Maximum number of readdir and lstat calls in progress while scanning the tree */
+var MAX_CONCURRENT_SCANS = 32;
+
+/**
+ * Recursively watches a directory tree with one non-recursive fs.watch per
+ * directory, for platforms where fs.watch cannot watch a tree by itself.
+ * Watchers are added for directories as they are created and closed when
+ * they are deleted. Symbolic links to directories are not followed.
+ * 
+ * Emits:
+ *   "change" (parentPath, event, filename) for each fs.watch event, with
+ *            parentPath the watched directory with a trailing slash, except
+ *            for the events of ignored entries
+ *   "entry"  (path, stats) with the fs.Stats of each entry found while
+ *            scanning the tree for directories
+ *   "limit"  (path) once the system limit on watchers is reached, with
+ *            path the first directory that could not be watched; no further
+ *            directories are watched after that
+ *   "error"  (err) if the root can no longer be watched
+ * 
+ * @constructor
+ * @param {string} root Absolute path of the directory, with a trailing slash
+ * @param {{ignore: ?Array.<string>}} options Globs, relative to root, of
+ *      entries to skip
+ */
+function TreeWatcher(root, options) {
+    EventEmitter.call(this);
+    
+    this.root = root;
+    this._isIgnored = GlobMatcher.compile(options && options.ignore);
+    this._watchers = {};
+    this._scans = new TaskQueue(MAX_CONCURRENT_SCANS);
+    this._closed = false;
+    this._limitReached = false;
+    
+    this._watchTree(root);
+}
+
+util.inherits(TreeWatcher, EventEmitter);
+
+/**
+ * Watch a directory and, asynchronously, the directories below it.
+ * @param {string} dirPath Absolute path with a trailing slash
+ */
+TreeWatcher.prototype._watchTree = function (dirPath) {
+    var self = this;
+    
+    if (!this._watchDirectory(dirPath)) {
+        return;
+    }
+    
+    this._scans.add(function (done) {
+        fs.readdir(dirPath, function (err, names) {
+            done();
+            if (err || self._closed) {
+                return;
+            }
+            
+            names.forEach(function (name) {
+                var childPath = dirPath + name;
+                
+                if (self._isIgnored(childPath.substr(self.root.length), name)) {
+                    return;
+                }
+                
+                self._scans.add(function (done) {
+                    fs.lstat(childPath, function (err, stats) {
+                        done();
+                        if (err || self._closed) {
+                            return;
+                        }
+                        
+                        self.emit("entry", childPath, stats);
+                        if (stats.isDirectory()) {
+                            self._watchTree(childPath + "/");
+                        }
+                    });
+                });
+            });
+        });
+    });
+};
+
+/**
+ * @param {string} dirPath Absolute path with a trailing slash
+ * @return {boolean} Whether the directory is being watched
+ */
+TreeWatcher.prototype._watchDirectory = function (dirPath) {
+    var self = this,
+        watcher;
+    
+    if (this._closed || this._limitReached) {
+        return false;
+    }
+    if (this._watchers.hasOwnProperty(dirPath)) {
+        return true;
+    }
+    
+    try {
+        watcher = fs.watch(dirPath, {persistent: false}, function (event, filename) {
+            self._handleChange(dirPath, event, filename);
+        });
+    } catch (err) {
+        if (err.code === "ENOSPC") {
+            // Out of inotify watches; keep the watchers we have
+            this._limitReached = true;
+            this.emit("limit", dirPath);
+        } else if (dirPath === this.root) {
+            this.emit("error", err);
+        }
+        return false;
+    }
+    
+    watcher.on("error", function (err) {
+        self._unwatchTree(dirPath);
+        if (dirPath === self.root) {
+            self.emit("error", err);
+        }
+    });
+    
+    this._watchers[dirPath] = watcher;
+    return true;
+};
+
+/**
+ * Close the watchers of a directory and of all directories below it.
+ * @param {string} dirPath Absolute path with a trailing slash
+ */
+TreeWatcher.prototype._unwatchTree = function (dirPath) {
+    var self = this;
+    
+    Object.keys(this._watchers).forEach(function (path) {
+        if (path.indexOf(dirPath) === 0) {
+            try {
+                self._watchers[path].close();
+            } catch (err) {
+                console.warn("Failed to unwatch directory " + path + ": " + (err && err.message));
+            }
+            delete self._watchers[path];
+        }
+    });
+};
+
+TreeWatcher.prototype._handleChange = function (dirPath, event, filename) {
+    var self = this,
+        childPath;
+    
+    if (this._closed) {
+        return;
+    }
+    
+    if (filename) {
+        childPath = dirPath + filename;
+        if (this._isIgnored(childPath.substr(this.root.length), filename)) {
+            return;
+        }
+    }
+    
+    if (event === "rename" && filename) {
+        // A rename event means that an entry was created or deleted
+        fs.lstat(childPath, function (err, stats) {
+            if (err) {
+                self._unwatchTree(childPath + "/");
+            } else if (stats.isDirectory()) {
+                self._watchTree(childPath + "/");
+            }
+        });
+    }
+    
+    this.emit("change", dirPath, event, filename);
+};
+
+/**
+ * Stop watching the tree.
+ */
+TreeWatcher.prototype.close = function () {
+    this._closed = true;
+    this._scans.clear();
+    this._unwatchTree(this.root);
+};
+
+module.exports = TreeWatcher;
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach */
+
+"use strict";
+
+var crypto = require("crypto"),
+    fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    commands = require("./DomainManagerStandIn").commands;
+
+describe("Content hashes", function () {
+    var testDir;
+    
+    beforeEach(function () {
+        testDir = path.join(os.tmpdir(), "nfs-hash-" + process.pid + "-" + Date.now());
+        fs.mkdirsSync(testDir);
+    });
+    
+    afterEach(function () {
+        fs.removeSync(testDir);
+    });
+    
+    function sha1(text) {
+        return crypto.createHash("sha1").update(text).digest("hex");
+    }
+    
+    it("should not reuse the lazy hash of a file changed within the same modification time", function (done) {
+        var file = path.join(testDir, "file.txt");
+        
+        fs.writeFileSync(file, "aaaa");
+        commands.readFile(file, "utf8", {hashMode: "lazy"}, function (err, first) {
+            var stats = fs.statSync(file);
+            
+            expect(err).toBeFalsy();
+            expect(first.hash).toBe(sha1("aaaa"));
+            
+            // Same size, inode and modification time, as for two writes
+            // within one tick of a coarse clock
+            fs.writeFileSync(file, "bbbb");
+            fs.utimesSync(file, stats.atime, stats.mtime);
+            
+            commands.stat(file, {hashMode: "lazy"}, function (err, second) {
+                expect(err).toBeFalsy();
+                expect(second.mtime).toBe(first.mtime);
+                expect(second.hash).toBe(sha1("bbbb"));
+                done();
+            });
+        });
+    });
+});
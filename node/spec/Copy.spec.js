@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach */
+
+"use strict";
+
+var fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    commands = require("./DomainManagerStandIn").commands;
+
+describe("Copy", function () {
+    var testDir;
+    
+    beforeEach(function () {
+        testDir = path.join(os.tmpdir(), "nfs-copy-" + process.pid + "-" + Date.now());
+        fs.mkdirsSync(path.join(testDir, "src"));
+        fs.writeFileSync(path.join(testDir, "src", "file.txt"), "contents");
+    });
+    
+    afterEach(function () {
+        if (fs.existsSync(path.join(testDir, "readOnly"))) {
+            fs.chmodSync(path.join(testDir, "readOnly"), parseInt("0755", 8));
+        }
+        fs.removeSync(testDir);
+    });
+    
+    function file(name) {
+        return path.join(testDir, name);
+    }
+    
+    it("should report the Node error code of a copy into a missing directory", function (done) {
+        commands.copy(file("src/file.txt"), file("missing/file.txt"), {}, function (err) {
+            expect(err).toBeTruthy();
+            expect(err.cause.code).toBe("ENOENT");
+            done();
+        });
+    });
+    
+    it("should report the Node error codes of entries that cannot be copied onto a read-only target", function (done) {
+        // Permissions do not apply to root
+        if (process.getuid && process.getuid() === 0) {
+            done();
+            return;
+        }
+        
+        fs.mkdirsSync(file("readOnly"));
+        fs.chmodSync(file("readOnly"), parseInt("0555", 8));
+        
+        commands.copy(file("src"), file("readOnly"), {conflict: "overwrite"}, function (err, stats) {
+            expect(err).toBeFalsy();
+            expect(stats.failures.length).toBe(1);
+            expect(stats.failures[0].path).toBe(file("src/file.txt"));
+            expect(stats.failures[0].err.cause.code).toBe("EACCES");
+            done();
+        });
+    });
+});
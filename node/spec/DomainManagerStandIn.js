@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var NodeFileSystemDomain = require("../NodeFileSystemDomain");
+
+/**
+ * Stands in for the DomainManager of Brackets' Node process: the domain is
+ * initialized once, and the commands it registers and the events it emits
+ * are collected for the specs.
+ */
+var commands = {},  // Command functions, keyed by name
+    events = [];    // Emitted events as {name, parameters}, oldest first
+
+NodeFileSystemDomain.init({
+    hasDomain: function () {
+        return true;
+    },
+    registerDomain: function () {},
+    registerCommand: function (domainName, commandName, commandFunction) {
+        commands[commandName] = commandFunction;
+    },
+    registerEvent: function () {},
+    emitEvent: function (domainName, eventName, parameters) {
+        events.push({name: eventName, parameters: parameters});
+    }
+});
+
+exports.commands = commands;
+exports.events = events;
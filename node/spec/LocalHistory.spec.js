@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach */
+
+"use strict";
+
+var fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    commands = require("./DomainManagerStandIn").commands,
+    LocalHistory = require("../LocalHistory");
+
+describe("Local history", function () {
+    var testDir,
+        projectDir;
+    
+    beforeEach(function (done) {
+        testDir = path.join(os.tmpdir(), "nfs-history-" + process.pid + "-" + Date.now());
+        projectDir = path.join(testDir, "project");
+        fs.mkdirsSync(path.join(projectDir, "dir", "sub"));
+        fs.writeFileSync(path.join(projectDir, "dir", "a.txt"), "a");
+        fs.writeFileSync(path.join(projectDir, "dir", "sub", "b.txt"), "b");
+        LocalHistory.enable(projectDir, path.join(testDir, "history")).nodeify(done);
+    });
+    
+    afterEach(function () {
+        LocalHistory.disable(projectDir);
+        fs.removeSync(testDir);
+    });
+    
+    function historyPaths() {
+        return LocalHistory.list(projectDir + "/").map(function (entry) {
+            return path.relative(projectDir, entry.path);
+        }).sort();
+    }
+    
+    it("should keep every file below a deleted directory", function (done) {
+        commands.unlink(path.join(projectDir, "dir"), function (err) {
+            expect(err).toBeFalsy();
+            expect(fs.existsSync(path.join(projectDir, "dir"))).toBe(false);
+            expect(historyPaths()).toEqual([path.join("dir", "a.txt"), path.join("dir", "sub", "b.txt")]);
+            done();
+        });
+    });
+    
+    it("should keep every file below a directory deleted in a transaction", function (done) {
+        commands.transaction([
+            {type: "delete", path: path.join(projectDir, "dir")}
+        ], function (err, report) {
+            expect(err).toBeFalsy();
+            expect(report.committed).toBe(true);
+            expect(historyPaths()).toEqual([path.join("dir", "a.txt"), path.join("dir", "sub", "b.txt")]);
+            done();
+        });
+    });
+});
@@ -0,0 +1,142 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach, waitsFor, runs */
+
+"use strict";
+
+var fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    DomainManagerStandIn = require("./DomainManagerStandIn"),
+    commands = DomainManagerStandIn.commands,
+    events = DomainManagerStandIn.events,
+    Locks = require("../Locks");
+
+describe("Locks", function () {
+    var testDir;
+    
+    beforeEach(function () {
+        testDir = path.join(os.tmpdir(), "nfs-locks-" + process.pid + "-" + Date.now());
+        fs.mkdirsSync(testDir);
+        fs.writeFileSync(path.join(testDir, "locked.txt"), "original");
+    });
+    
+    afterEach(function () {
+        fs.removeSync(testDir);
+    });
+    
+    function file(name) {
+        return path.join(testDir, name);
+    }
+    
+    it("should not take over a lock file that cannot be parsed", function (done) {
+        fs.writeFileSync(file(".locked.txt.lock"), "{\"pid\": ");
+        
+        Locks.acquire(file("locked.txt"), {owner: "window-1"}).then(function () {
+            expect("acquired").toBe("refused");
+        }, function (err) {
+            expect(err.cause.code).toBe("ELOCKED");
+            expect(fs.readFileSync(file(".locked.txt.lock"), "utf8")).toBe("{\"pid\": ");
+        }).nodeify(done);
+    });
+    
+    it("should refuse transaction writes to files locked by another owner", function (done) {
+        Locks.acquire(file("locked.txt"), {owner: "window-1"}).then(function () {
+            commands.transaction([
+                {type: "write", path: file("other.txt"), data: "new", encoding: "utf8"},
+                {type: "write", path: file("locked.txt"), data: "changed", encoding: "utf8",
+                    options: {lockPolicy: "refuse", lockOwner: "window-2"}}
+            ], function (err, report) {
+                expect(err).toBeFalsy();
+                expect(report.committed).toBe(false);
+                expect(report.results[1].status).toBe("failed");
+                expect(report.results[1].error.code).toBe("ELOCKED");
+                expect(fs.readFileSync(file("locked.txt"), "utf8")).toBe("original");
+                expect(fs.existsSync(file("other.txt"))).toBe(false);
+                
+                Locks.release(file("locked.txt"), {owner: "window-1"}).nodeify(done);
+            });
+        });
+    });
+    
+    it("should report the lock of a transaction write with the warn policy", function (done) {
+        Locks.acquire(file("locked.txt"), {owner: "window-1"}).then(function () {
+            commands.transaction([
+                {type: "write", path: file("locked.txt"), data: "changed", encoding: "utf8",
+                    options: {lockPolicy: "warn", lockOwner: "window-2"}}
+            ], function (err, report) {
+                expect(err).toBeFalsy();
+                expect(report.committed).toBe(true);
+                expect(report.results[0].stats.lock.owner).toBe("window-1");
+                expect(fs.readFileSync(file("locked.txt"), "utf8")).toBe("changed");
+                
+                Locks.release(file("locked.txt"), {owner: "window-1"}).nodeify(done);
+            });
+        });
+    });
+    
+    it("should not report lock files to watchers", function () {
+        var isUnlocked = false;
+        
+        function changedPaths() {
+            return events.filter(function (event) {
+                return event.name === "changes";
+            }).reduce(function (paths, event) {
+                return paths.concat(event.parameters[0].map(function (change) {
+                    return change.path;
+                }));
+            }, []);
+        }
+        
+        runs(function () {
+            events.length = 0;
+            commands.watchPath(testDir + "/", {});
+            commands.lock(file("locked.txt"), {owner: "window-1"}, function (err) {
+                expect(err).toBeFalsy();
+                commands.unlock(file("locked.txt"), {owner: "window-1"}, function (err) {
+                    expect(err).toBeFalsy();
+                    isUnlocked = true;
+                });
+            });
+        });
+        waitsFor(function () {
+            return isUnlocked;
+        }, "lock and unlock", 1000);
+        runs(function () {
+            // Reported after the changes of the lock file, if those were
+            fs.writeFileSync(file("external.txt"), "external");
+        });
+        waitsFor(function () {
+            return changedPaths().indexOf(file("external.txt")) !== -1;
+        }, "change of the external file", 3000);
+        runs(function () {
+            expect(changedPaths()).not.toContain(file(".locked.txt.lock"));
+            commands.unwatchPath(testDir + "/");
+        });
+    });
+});
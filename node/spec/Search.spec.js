@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach */
+
+"use strict";
+
+var fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    DomainManagerStandIn = require("./DomainManagerStandIn");
+
+var commands = DomainManagerStandIn.commands,
+    events = DomainManagerStandIn.events;
+
+describe("Search", function () {
+    var testDir;
+    
+    beforeEach(function () {
+        testDir = path.join(os.tmpdir(), "nfs-search-" + process.pid + "-" + Date.now());
+        fs.mkdirsSync(path.join(testDir, "node_modules", "lib"));
+        fs.mkdirsSync(path.join(testDir, "src"));
+        fs.writeFileSync(path.join(testDir, "node_modules", "lib", "index.js"), "needle");
+        fs.writeFileSync(path.join(testDir, "src", "main.js"), "needle");
+        events.length = 0;
+    });
+    
+    afterEach(function () {
+        fs.removeSync(testDir);
+    });
+    
+    function matchedPaths(searchId) {
+        return events.filter(function (event) {
+            return event.name === "searchMatches" && event.parameters[0] === searchId;
+        }).map(function (event) {
+            return path.relative(testDir, event.parameters[1]);
+        });
+    }
+    
+    it("should apply path excludes to files given explicitly relative to the root", function (done) {
+        var files = [
+            path.join(testDir, "node_modules", "lib", "index.js"),
+            path.join(testDir, "src", "main.js")
+        ];
+        
+        commands.search("explicit", files, {pattern: "needle"}, {exclude: ["node_modules/**"], root: testDir}, function (err, result) {
+            expect(err).toBeFalsy();
+            expect(result.filesSearched).toBe(1);
+            expect(matchedPaths("explicit")).toEqual([path.join("src", "main.js")]);
+            done();
+        });
+    });
+    
+    it("should exclude files given explicitly below an excluded directory", function (done) {
+        var files = [
+            path.join(testDir, "node_modules", "lib", "index.js"),
+            path.join(testDir, "src", "main.js")
+        ];
+        
+        commands.search("names", files, {pattern: "needle"}, {exclude: ["node_modules"], root: testDir + "/"}, function (err, result) {
+            expect(err).toBeFalsy();
+            expect(result.filesSearched).toBe(1);
+            expect(matchedPaths("names")).toEqual([path.join("src", "main.js")]);
+            done();
+        });
+    });
+});
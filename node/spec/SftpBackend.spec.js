@@ -0,0 +1,232 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach, waits, waitsFor, runs */
+
+"use strict";
+
+var fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    DomainManagerStandIn = require("./DomainManagerStandIn"),
+    SftpServerStandIn = require("./SftpServerStandIn");
+
+var commands = DomainManagerStandIn.commands,
+    events = DomainManagerStandIn.events;
+
+var PREFIX = "/remote/standin/";
+
+describe("SFTP mounts", function () {
+    var serverDir,
+        server;
+    
+    function mount(options) {
+        var isMounted = false;
+        
+        server = new SftpServerStandIn(serverDir, options);
+        runs(function () {
+            commands.mount(PREFIX, {type: "sftp", host: "standin", username: "user", createClient: server.createClient}, function (err) {
+                expect(err).toBeFalsy();
+                isMounted = true;
+            });
+        });
+        waitsFor(function () {
+            return isMounted;
+        }, "mount", 1000);
+    }
+    
+    function mountStatuses() {
+        return events.filter(function (event) {
+            return event.name === "mountStatus";
+        }).map(function (event) {
+            return event.parameters;
+        });
+    }
+    
+    beforeEach(function () {
+        serverDir = path.join(os.tmpdir(), "nfs-sftp-" + process.pid + "-" + Date.now());
+        fs.mkdirsSync(path.join(serverDir, "dir"));
+        fs.writeFileSync(path.join(serverDir, "dir", "file.txt"), "remote");
+        events.length = 0;
+    });
+    
+    afterEach(function () {
+        var isUnmounted = false;
+        
+        runs(function () {
+            commands.unmount(PREFIX, function () {
+                isUnmounted = true;
+            });
+        });
+        waitsFor(function () {
+            return isUnmounted;
+        }, "unmount", 1000);
+        runs(function () {
+            fs.removeSync(serverDir);
+        });
+    });
+    
+    it("should read and write remote files", function () {
+        var content = null,
+            isWritten = false;
+        
+        mount();
+        runs(function () {
+            commands.readFile(PREFIX + "dir/file.txt", "utf8", {}, function (err, result) {
+                expect(err).toBeFalsy();
+                // Text is sent to the window as UTF-8 encoded JSON
+                content = JSON.parse(decodeURIComponent(escape(result.data)));
+            });
+        });
+        waitsFor(function () {
+            return content !== null;
+        }, "readFile", 1000);
+        runs(function () {
+            expect(content).toBe("remote");
+            commands.writeFile(PREFIX + "dir/file.txt", "changed", "utf8", {}, function (err) {
+                expect(err).toBeFalsy();
+                isWritten = true;
+            });
+        });
+        waitsFor(function () {
+            return isWritten;
+        }, "writeFile", 1000);
+        runs(function () {
+            expect(fs.readFileSync(path.join(serverDir, "dir", "file.txt"), "utf8")).toBe("changed");
+        });
+    });
+    
+    it("should replace the destination of a rename without the POSIX rename extension", function () {
+        var isRenamed = false;
+        
+        mount({extensions: false});
+        runs(function () {
+            fs.writeFileSync(path.join(serverDir, "dir", "other.txt"), "other");
+            commands.rename(PREFIX + "dir/other.txt", PREFIX + "dir/file.txt", function (err) {
+                expect(err).toBeFalsy();
+                isRenamed = true;
+            });
+        });
+        waitsFor(function () {
+            return isRenamed;
+        }, "rename", 1000);
+        runs(function () {
+            expect(fs.readdirSync(path.join(serverDir, "dir"))).toEqual(["file.txt"]);
+            expect(fs.readFileSync(path.join(serverDir, "dir", "file.txt"), "utf8")).toBe("other");
+        });
+    });
+    
+    it("should fail with ENOTCONN while the host is unreachable", function () {
+        var error = null;
+        
+        mount();
+        runs(function () {
+            server.setReachable(false);
+        });
+        waitsFor(function () {
+            return mountStatuses().length > 0;
+        }, "offline mount status", 1000);
+        runs(function () {
+            expect(mountStatuses()).toEqual([[PREFIX, false]]);
+            commands.stat(PREFIX + "dir/file.txt", {}, function (err) {
+                error = err;
+            });
+        });
+        waitsFor(function () {
+            return error !== null;
+        }, "stat", 1000);
+        runs(function () {
+            expect(error.cause.code).toBe("ENOTCONN");
+            expect(error.cause.path).toBe(PREFIX + "dir/file.txt");
+            server.setReachable(true);
+        });
+        waitsFor(function () {
+            return mountStatuses().length > 1;
+        }, "online mount status", 3000);
+        runs(function () {
+            expect(mountStatuses()[1]).toEqual([PREFIX, true]);
+        });
+    });
+    
+    it("should poll remote directories for changes", function () {
+        function changedPaths() {
+            return events.filter(function (event) {
+                return event.name === "changes";
+            }).reduce(function (paths, event) {
+                return paths.concat(event.parameters[0].map(function (change) {
+                    return change.path;
+                }));
+            }, []);
+        }
+        
+        mount();
+        runs(function () {
+            commands.watchPath(PREFIX, {pollInterval: 50});
+        });
+        waits(200);
+        runs(function () {
+            fs.writeFileSync(path.join(serverDir, "dir", "added.txt"), "added");
+        });
+        waitsFor(function () {
+            return changedPaths().indexOf(PREFIX + "dir/added.txt") !== -1;
+        }, "change of the added file", 3000);
+        runs(function () {
+            commands.unwatchPath(PREFIX);
+        });
+    });
+    
+    it("should tag changes made through the mount as own changes", function () {
+        function ownChanges() {
+            return events.filter(function (event) {
+                return event.name === "changes";
+            }).reduce(function (changes, event) {
+                return changes.concat(event.parameters[0]);
+            }, []).filter(function (change) {
+                return change.path === PREFIX + "dir/own.txt";
+            });
+        }
+        
+        mount();
+        runs(function () {
+            commands.watchPath(PREFIX, {pollInterval: 50});
+        });
+        waits(200);
+        runs(function () {
+            commands.writeFile(PREFIX + "dir/own.txt", "own", "utf8", {}, function (err) {
+                expect(err).toBeFalsy();
+            });
+        });
+        waitsFor(function () {
+            return ownChanges().length > 0;
+        }, "change of the written file", 3000);
+        runs(function () {
+            expect(ownChanges()[0].isOwnChange).toBe(true);
+            expect(ownChanges()[0].operation).toBe("writeFile");
+            commands.unwatchPath(PREFIX);
+        });
+    });
+});
@@ -0,0 +1,330 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+
+"use strict";
+
+var EventEmitter = require("events").EventEmitter,
+    fs = require("fs-extra"),
+    nodePath = require("path"),
+    util = require("util");
+
+/** SFTP status codes, as ssh2 reports them in err.code */
+var STATUS_EOF = 1,
+    STATUS_NO_SUCH_FILE = 2,
+    STATUS_PERMISSION_DENIED = 3,
+    STATUS_FAILURE = 4;
+
+/**
+ * Like an OpenSSH server, report anything but a missing file or a denied
+ * permission as a FAILURE.
+ */
+function _statusError(err) {
+    var error = new Error(err.message);
+    
+    if (err.code === "ENOENT") {
+        error.code = STATUS_NO_SUCH_FILE;
+    } else if (err.code === "EACCES" || err.code === "EPERM") {
+        error.code = STATUS_PERMISSION_DENIED;
+    } else {
+        error.code = STATUS_FAILURE;
+    }
+    return error;
+}
+
+function _attrs(stats) {
+    return {
+        mode: stats.mode,
+        uid: stats.uid,
+        gid: stats.gid,
+        size: stats.size,
+        atime: Math.floor(stats.atime.getTime() / 1000),
+        mtime: Math.floor(stats.mtime.getTime() / 1000)
+    };
+}
+
+/**
+ * The SFTP session of a StandInClient, with the callback API of the SFTP
+ * session of ssh2.
+ * @constructor
+ * @param {SftpServerStandIn} server
+ */
+function StandInSession(server) {
+    this._server = server;
+}
+
+StandInSession.prototype._local = function (path) {
+    return nodePath.join(this._server.root, path);
+};
+
+/**
+ * Call an fs function with the local path of the first argument, reporting
+ * errors as SFTP status errors.
+ */
+StandInSession.prototype._call = function (name, args, callback, map) {
+    fs[name].apply(fs, args.concat(function (err, result) {
+        if (err) {
+            callback(_statusError(err));
+        } else {
+            callback(null, map ? map(result) : result);
+        }
+    }));
+};
+
+StandInSession.prototype._requireExtension = function () {
+    if (!this._server.extensions) {
+        throw new Error("Server does not support this extended request");
+    }
+};
+
+StandInSession.prototype.stat = function (path, callback) {
+    this._call("stat", [this._local(path)], callback, _attrs);
+};
+
+StandInSession.prototype.lstat = function (path, callback) {
+    this._call("lstat", [this._local(path)], callback, _attrs);
+};
+
+StandInSession.prototype.fstat = function (handle, callback) {
+    this._call("fstat", [handle], callback, _attrs);
+};
+
+StandInSession.prototype.readdir = function (path, callback) {
+    var local = this._local(path);
+    
+    this._call("readdir", [local], callback, function (names) {
+        return names.map(function (name) {
+            return {filename: name, longname: name, attrs: _attrs(fs.lstatSync(nodePath.join(local, name)))};
+        });
+    });
+};
+
+StandInSession.prototype.readFile = function (path, options, callback) {
+    this._call("readFile", [this._local(path), options], callback);
+};
+
+StandInSession.prototype.writeFile = function (path, data, options, callback) {
+    this._call("writeFile", [this._local(path), data, options], callback);
+};
+
+StandInSession.prototype.open = function (path, flags, attrs, callback) {
+    if (typeof attrs === "function") {
+        callback = attrs;
+        attrs = {};
+    }
+    this._call("open", [this._local(path), flags, attrs.mode], callback);
+};
+
+StandInSession.prototype.close = function (handle, callback) {
+    this._call("close", [handle], callback);
+};
+
+StandInSession.prototype.read = function (handle, buffer, offset, length, position, callback) {
+    fs.read(handle, buffer, offset, length, position, function (err, bytesRead) {
+        var eof;
+        
+        if (err) {
+            callback(_statusError(err));
+        } else if (bytesRead === 0) {
+            eof = new Error("No data");
+            eof.code = STATUS_EOF;
+            callback(eof);
+        } else {
+            callback(null, bytesRead, buffer, position);
+        }
+    });
+};
+
+StandInSession.prototype.mkdir = function (path, attrs, callback) {
+    if (typeof attrs === "function") {
+        callback = attrs;
+        attrs = {};
+    }
+    this._call("mkdir", [this._local(path), attrs.mode], callback);
+};
+
+StandInSession.prototype.rmdir = function (path, callback) {
+    this._call("rmdir", [this._local(path)], callback);
+};
+
+StandInSession.prototype.unlink = function (path, callback) {
+    this._call("unlink", [this._local(path)], callback);
+};
+
+/**
+ * The rename of version 3 of the protocol, which OpenSSH refuses if the
+ * destination exists.
+ */
+StandInSession.prototype.rename = function (oldPath, newPath, callback) {
+    var self = this;
+    
+    fs.lstat(this._local(newPath), function (err) {
+        if (!err) {
+            callback(_statusError(new Error("Failure")));
+            return;
+        }
+        self._call("rename", [self._local(oldPath), self._local(newPath)], callback);
+    });
+};
+
+StandInSession.prototype.ext_openssh_rename = function (oldPath, newPath, callback) {
+    this._requireExtension();
+    this._call("rename", [this._local(oldPath), this._local(newPath)], callback);
+};
+
+StandInSession.prototype.ext_openssh_hardlink = function (existingPath, newPath, callback) {
+    this._requireExtension();
+    this._call("link", [this._local(existingPath), this._local(newPath)], callback);
+};
+
+StandInSession.prototype.ext_openssh_fsync = function (handle, callback) {
+    this._requireExtension();
+    this._call("fsync", [handle], callback);
+};
+
+StandInSession.prototype.symlink = function (target, path, callback) {
+    this._call("symlink", [target, this._local(path)], callback);
+};
+
+StandInSession.prototype.readlink = function (path, callback) {
+    this._call("readlink", [this._local(path)], callback);
+};
+
+StandInSession.prototype.realpath = function (path, callback) {
+    var root = this._server.root;
+    
+    this._call("realpath", [this._local(path)], callback, function (realPath) {
+        return "/" + nodePath.relative(fs.realpathSync(root), realPath);
+    });
+};
+
+StandInSession.prototype.chmod = function (path, mode, callback) {
+    this._call("chmod", [this._local(path), mode], callback);
+};
+
+StandInSession.prototype.chown = function (path, uid, gid, callback) {
+    this._call("chown", [this._local(path), uid, gid], callback);
+};
+
+StandInSession.prototype.utimes = function (path, atime, mtime, callback) {
+    this._call("utimes", [this._local(path), atime, mtime], callback);
+};
+
+StandInSession.prototype.createReadStream = function (path, options) {
+    return fs.createReadStream(this._local(path), options);
+};
+
+StandInSession.prototype.createWriteStream = function (path, options) {
+    return fs.createWriteStream(this._local(path), options);
+};
+
+/**
+ * Stands in for the Client of the ssh2 module.
+ * @constructor
+ * @param {SftpServerStandIn} server
+ */
+function StandInClient(server) {
+    EventEmitter.call(this);
+    
+    this._server = server;
+    this._isClosed = false;
+}
+
+util.inherits(StandInClient, EventEmitter);
+
+StandInClient.prototype.connect = function () {
+    var self = this;
+    
+    process.nextTick(function () {
+        if (!self._server.isReachable) {
+            self.emit("error", new Error("connect ECONNREFUSED"));
+            self.end();
+            return;
+        }
+        self._server._clients.push(self);
+        self.emit("ready");
+    });
+};
+
+StandInClient.prototype.sftp = function (callback) {
+    var self = this;
+    
+    process.nextTick(function () {
+        callback(null, new StandInSession(self._server));
+    });
+};
+
+StandInClient.prototype.end = function () {
+    var self = this;
+    
+    if (this._isClosed) {
+        return;
+    }
+    this._isClosed = true;
+    this._server._clients = this._server._clients.filter(function (client) {
+        return client !== self;
+    });
+    process.nextTick(function () {
+        self.emit("close");
+    });
+};
+
+/**
+ * Stands in for an SFTP server whose files are those below a local
+ * directory, so that SftpBackend can be tested without a host: pass
+ * createClient as the createClient option of the backend.
+ * @constructor
+ * @param {string} root Local directory that is "/" on the server
+ * @param {{extensions: ?boolean}=} options Whether the server has the
+ *      rename, hard link and fsync extensions of OpenSSH; true by default
+ */
+function SftpServerStandIn(root, options) {
+    this.root = root;
+    this.extensions = !options || options.extensions !== false;
+    this.isReachable = true;
+    this._clients = [];
+    this.createClient = this.createClient.bind(this);
+}
+
+SftpServerStandIn.prototype.createClient = function () {
+    return new StandInClient(this);
+};
+
+/**
+ * Drop the connections of all clients and refuse new ones, as if the
+ * network went down, or accept them again.
+ * @param {boolean} isReachable
+ */
+SftpServerStandIn.prototype.setReachable = function (isReachable) {
+    this.isReachable = isReachable;
+    if (!isReachable) {
+        this._clients.slice().forEach(function (client) {
+            client.end();
+        });
+    }
+};
+
+module.exports = SftpServerStandIn;
@@ -0,0 +1,113 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, node: true, nomen: true, indent: 4, maxerr: 50 */
+/*global expect, describe, it, beforeEach, afterEach */
+
+"use strict";
+
+var fs = require("fs-extra"),
+    os = require("os"),
+    path = require("path"),
+    commands = require("./DomainManagerStandIn").commands;
+
+describe("Transactions", function () {
+    var testDir;
+    
+    beforeEach(function () {
+        testDir = path.join(os.tmpdir(), "nfs-transaction-" + process.pid + "-" + Date.now());
+        fs.mkdirsSync(testDir);
+        fs.writeFileSync(path.join(testDir, "written.txt"), "original");
+        fs.writeFileSync(path.join(testDir, "renamed.txt"), "renamed");
+        fs.writeFileSync(path.join(testDir, "deleted.txt"), "deleted");
+    });
+    
+    afterEach(function () {
+        fs.removeSync(testDir);
+    });
+    
+    function file(name) {
+        return path.join(testDir, name);
+    }
+    
+    it("should commit all operations", function (done) {
+        commands.transaction([
+            {type: "write", path: file("written.txt"), data: "changed", encoding: "utf8"},
+            {type: "rename", path: file("renamed.txt"), newPath: file("moved.txt")},
+            {type: "delete", path: file("deleted.txt")}
+        ], function (err, report) {
+            expect(err).toBeFalsy();
+            expect(report.committed).toBe(true);
+            expect(report.results.map(function (result) {
+                return result.status;
+            })).toEqual(["committed", "committed", "committed"]);
+            
+            expect(fs.readFileSync(file("written.txt"), "utf8")).toBe("changed");
+            expect(fs.existsSync(file("renamed.txt"))).toBe(false);
+            expect(fs.readFileSync(file("moved.txt"), "utf8")).toBe("renamed");
+            expect(fs.existsSync(file("deleted.txt"))).toBe(false);
+            done();
+        });
+    });
+    
+    it("should roll back a write, a rename and a delete when a later operation fails", function (done) {
+        commands.transaction([
+            {type: "write", path: file("written.txt"), data: "changed", encoding: "utf8"},
+            {type: "rename", path: file("renamed.txt"), newPath: file("moved.txt")},
+            {type: "delete", path: file("deleted.txt")},
+            // Only checked when applied, since the file was touched by then
+            {type: "write", path: file("written.txt"), data: "again", encoding: "utf8", expectedHash: "stale"}
+        ], function (err, report) {
+            expect(err).toBeFalsy();
+            expect(report.committed).toBe(false);
+            expect(report.results.map(function (result) {
+                return result.status;
+            })).toEqual(["rolledBack", "rolledBack", "rolledBack", "failed"]);
+            expect(report.results[3].error.code).toBe("ECONTENTSMODIFIED");
+            
+            expect(fs.readFileSync(file("written.txt"), "utf8")).toBe("original");
+            expect(fs.readFileSync(file("renamed.txt"), "utf8")).toBe("renamed");
+            expect(fs.existsSync(file("moved.txt"))).toBe(false);
+            expect(fs.readFileSync(file("deleted.txt"), "utf8")).toBe("deleted");
+            expect(fs.readdirSync(testDir).sort()).toEqual(["deleted.txt", "renamed.txt", "written.txt"]);
+            done();
+        });
+    });
+    
+    it("should apply nothing when an operation is invalid", function (done) {
+        commands.transaction([
+            {type: "write", path: file("written.txt"), data: "changed", encoding: "utf8"},
+            {type: "rename", path: file("missing.txt"), newPath: file("moved.txt")}
+        ], function (err, report) {
+            expect(err).toBeFalsy();
+            expect(report.committed).toBe(false);
+            expect(report.results[1].status).toBe("failed");
+            expect(report.results[1].error.code).toBe("ENOENT");
+            expect(fs.readFileSync(file("written.txt"), "utf8")).toBe("original");
+            done();
+        });
+    });
+});
@@ -0,0 +1,305 @@
+/*
+ * Copyright (c) 2013 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, $, describe, it, expect, beforeEach, afterEach, runs, waitsFor */
+
+define(function (require, exports, module) {
+    "use strict";
+    
+    var FileSystemError     = require("filesystem/FileSystemError"),
+        InMemoryFileSystem  = require("./InMemoryFileSystem");
+    
+    describe("InMemoryFileSystem", function () {
+        var changes,
+            offlineCount;
+        
+        /**
+         * A callback that records its error and other arguments.
+         * @return {function(?string, ...*)}
+         */
+        function recorder() {
+            var cb = function (err) {
+                cb.wasCalled = true;
+                cb.error = err;
+                cb.args = Array.prototype.slice.call(arguments, 1);
+            };
+            
+            cb.wasCalled = false;
+            return cb;
+        }
+        
+        function waitsForCallback(cb, operation) {
+            waitsFor(function () {
+                return cb.wasCalled;
+            }, operation, 1000);
+        }
+        
+        beforeEach(function () {
+            changes = [];
+            offlineCount = 0;
+            
+            InMemoryFileSystem.seed({
+                "project": {
+                    "main.js": "hello",
+                    "lib": {
+                        "util.js": "util"
+                    }
+                }
+            });
+            InMemoryFileSystem.setLatency(0);
+            InMemoryFileSystem.setHashMode("mtime");
+            InMemoryFileSystem.initWatchers(function (path, stats) {
+                changes.push({path: path, stats: stats || null});
+            }, function () {
+                offlineCount++;
+            });
+        });
+        
+        afterEach(function () {
+            InMemoryFileSystem.seed({});
+        });
+        
+        describe("seed and dump", function () {
+            it("should read the seeded files", function () {
+                var cb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.readFile("/project/lib/util.js", {encoding: "utf8"}, cb);
+                });
+                waitsForCallback(cb, "readFile");
+                runs(function () {
+                    expect(cb.error).toBeFalsy();
+                    expect(cb.args[0]).toBe("util");
+                    expect(cb.args[1].isFile).toBe(true);
+                });
+            });
+            
+            it("should dump the tree in the form taken by seed", function () {
+                var cb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.writeFile("/project/lib/new.js", "new", {encoding: "utf8"}, cb);
+                });
+                waitsForCallback(cb, "writeFile");
+                runs(function () {
+                    expect(cb.error).toBeFalsy();
+                    expect(InMemoryFileSystem.dump()).toEqual({
+                        "project": {
+                            "main.js": "hello",
+                            "lib": {
+                                "util.js": "util",
+                                "new.js": "new"
+                            }
+                        }
+                    });
+                    expect(InMemoryFileSystem.dump("/project/lib/")).toEqual({"util.js": "util", "new.js": "new"});
+                });
+            });
+        });
+        
+        describe("hashes", function () {
+            it("should report the SHA-1 content hashes of the Node domain", function () {
+                var cb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.setHashMode("eager");
+                    InMemoryFileSystem.stat("/project/main.js", cb);
+                });
+                waitsForCallback(cb, "stat");
+                runs(function () {
+                    expect(cb.error).toBeFalsy();
+                    expect(cb.args[0]._hash).toBe("aaf4c61ddcc5e8a2dabede0f3b482cd9aea9434d");
+                });
+            });
+            
+            it("should refuse to write a file changed since it was read", function () {
+                var readCb = recorder(),
+                    writeCb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.readFile("/project/main.js", {encoding: "utf8"}, readCb);
+                });
+                waitsForCallback(readCb, "readFile");
+                runs(function () {
+                    InMemoryFileSystem.externalWrite("/project/main.js", "changed elsewhere");
+                    InMemoryFileSystem.writeFile("/project/main.js", "mine", {encoding: "utf8", hash: readCb.args[1]._hash}, writeCb);
+                });
+                waitsForCallback(writeCb, "writeFile");
+                runs(function () {
+                    expect(writeCb.error).toBe(FileSystemError.CONTENTS_MODIFIED);
+                    expect(writeCb.args[0].operation).toBe("writeFile");
+                    expect(InMemoryFileSystem.dump("/project/")["main.js"]).toBe("changed elsewhere");
+                });
+            });
+        });
+        
+        describe("injected failures", function () {
+            it("should fail the given number of requests of an operation", function () {
+                var first = recorder(),
+                    second = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.injectFailure("writeFile", "/project/", FileSystemError.OUT_OF_SPACE);
+                    InMemoryFileSystem.writeFile("/project/main.js", "first", {encoding: "utf8"}, first);
+                    InMemoryFileSystem.writeFile("/project/main.js", "second", {encoding: "utf8"}, second);
+                });
+                waitsForCallback(second, "writeFile");
+                runs(function () {
+                    expect(first.error).toBe(FileSystemError.OUT_OF_SPACE);
+                    expect(first.args[0].path).toBe("/project/main.js");
+                    expect(second.error).toBeFalsy();
+                    expect(InMemoryFileSystem.dump("/project/")["main.js"]).toBe("second");
+                });
+            });
+            
+            it("should only fail requests for paths below the given directory", function () {
+                var outside = recorder(),
+                    inside = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.injectFailure("*", "/project/lib/", FileSystemError.NOT_READABLE, Infinity);
+                    InMemoryFileSystem.readFile("/project/main.js", {encoding: "utf8"}, outside);
+                    InMemoryFileSystem.readFile("/project/lib/util.js", {encoding: "utf8"}, inside);
+                });
+                waitsForCallback(inside, "readFile");
+                runs(function () {
+                    expect(outside.error).toBeFalsy();
+                    expect(inside.error).toBe(FileSystemError.NOT_READABLE);
+                });
+            });
+        });
+        
+        describe("local history", function () {
+            it("should keep every file below a deleted directory", function () {
+                var unlinkCb = recorder(),
+                    listCb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.unlink("/project/", unlinkCb);
+                });
+                waitsForCallback(unlinkCb, "unlink");
+                runs(function () {
+                    expect(unlinkCb.error).toBeFalsy();
+                    InMemoryFileSystem.listHistory("/project/", listCb);
+                });
+                waitsForCallback(listCb, "listHistory");
+                runs(function () {
+                    expect(listCb.args[0].map(function (entry) {
+                        return entry.path;
+                    }).sort()).toEqual(["/project/lib/util.js", "/project/main.js"]);
+                });
+            });
+        });
+        
+        describe("search", function () {
+            it("should match the excludes of files given explicitly relative to the root", function () {
+                var cb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.search(["/project/main.js", "/project/lib/util.js"], {pattern: "l"},
+                        {exclude: ["lib/**"], root: "/project/"}, function () {}, cb);
+                });
+                waitsForCallback(cb, "search");
+                runs(function () {
+                    expect(cb.error).toBeFalsy();
+                    expect(cb.args[0].filesSearched).toBe(1);
+                });
+            });
+        });
+        
+        describe("watchers", function () {
+            beforeEach(function () {
+                var cb = recorder();
+                
+                runs(function () {
+                    InMemoryFileSystem.watchPath("/project/", cb);
+                });
+                waitsForCallback(cb, "watchPath");
+            });
+            
+            it("should pass external changes to the change callback", function () {
+                runs(function () {
+                    InMemoryFileSystem.externalWrite("/project/main.js", "changed elsewhere");
+                    InMemoryFileSystem.externalWrite("/project/lib/added.js", "added");
+                });
+                waitsFor(function () {
+                    return changes.length === 2;
+                }, "changes", 1000);
+                runs(function () {
+                    expect(changes[0].path).toBe("/project/main.js");
+                    expect(changes[0].stats.isFile).toBe(true);
+                    expect(changes[1]).toEqual({path: "/project/lib/", stats: null});
+                });
+            });
+            
+            it("should only report own changes to changes event handlers", function () {
+                var cb = recorder(),
+                    ownChanges = [];
+                
+                function onChanges(event, batch) {
+                    ownChanges = ownChanges.concat(batch);
+                }
+                
+                runs(function () {
+                    $(InMemoryFileSystem).on("changes", onChanges);
+                    InMemoryFileSystem.writeFile("/project/main.js", "mine", {encoding: "utf8"}, cb);
+                });
+                waitsFor(function () {
+                    return ownChanges.length > 0;
+                }, "changes event", 1000);
+                runs(function () {
+                    $(InMemoryFileSystem).off("changes", onChanges);
+                    expect(ownChanges[0].path).toBe("/project/main.js");
+                    expect(ownChanges[0].isOwnChange).toBe(true);
+                    expect(ownChanges[0].operation).toBe("writeFile");
+                    expect(changes).toEqual([]);
+                });
+            });
+            
+            it("should not report changes below unwatched paths", function () {
+                runs(function () {
+                    InMemoryFileSystem.externalMkdir("/elsewhere");
+                    // Reported in the same batch as the change above, or after it
+                    InMemoryFileSystem.externalWrite("/project/main.js", "changed elsewhere");
+                });
+                waitsFor(function () {
+                    return changes.length > 0;
+                }, "changes", 1000);
+                runs(function () {
+                    expect(changes.map(function (change) {
+                        return change.path;
+                    })).toEqual(["/project/main.js"]);
+                });
+            });
+            
+            it("should call the offline callback", function () {
+                InMemoryFileSystem.setOffline(true);
+                InMemoryFileSystem.setOffline(false);
+                expect(offlineCount).toBe(1);
+            });
+        });
+    });
+});